@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ *  CLI — Simulador Sistema Eléctrico Español
+ * ============================================================================
+ *  Ejecuta el motor de simulación sin navegador: carga constants.js,
+ *  scenarios.js y simulator.js (y los módulos de trayectoria, conjunto,
+ *  pruebas de estrés, exportación y validación de configuración) en el contexto global de Node.js y escribe KPIs y series
+ *  en JSON/CSV con el mismo formato que la descarga de la interfaz web.
+ *
+ *  Uso:
+ *    node cli/simular.js --escenario "PNIEC Base 2030" --salida resultados/
+ *    node cli/simular.js --params mi-escenario.json --formato csv --salida out/
+ *    node cli/simular.js --escenario 3 --param semilla=7 --param precioGas=60
+ *    node cli/simular.js --escenario 1 --modo trayectoria --salida tray/
+ *    node cli/simular.js --escenario 7 --modo conjunto --semillas 50
+ *    node cli/simular.js --escenario 1 --modo barrido --tecnologia eolica
+ *    node cli/simular.js --escenario 1 --modo estres --evento dunkelflaute,corteGas
+ *    node cli/simular.js --escenario 0 --perfil-demanda ree-2025.csv --perfil-eolica eol.csv
+ *    node cli/simular.js --listar
+ *
+ *  Sin --salida, los KPIs se imprimen en JSON por la salida estándar.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+
+const DIR_JS = path.join(__dirname, '..', 'js');
+
+/** Scripts del motor, en el mismo orden que index.html */
+const SCRIPTS_MOTOR = [
+    'constants.js',
+    'scenarios.js',
+    'calendario.js',
+    'economia.js',
+    'ingresos.js',
+    'mercado.js',
+    'flota-ccgt.js',
+    'interconexion.js',
+    'parque-solar.js',
+    'parque-eolico.js',
+    'hidrogeno.js',
+    'vehiculos.js',
+    'climatizacion.js',
+    'autoconsumo.js',
+    'suficiencia.js',
+    'estres.js',
+    'simulator.js',
+    'perfiles.js',
+    'trayectoria.js',
+    'montecarlo.js',
+    'tareas.js',
+    'exportar.js',
+    'configuracion.js',
+];
+
+const AYUDA = `
+Uso: node cli/simular.js [opciones]
+
+  --escenario <id|nombre>   Escenario de SEF.ESCENARIOS (por id o nombre)
+  --params <fichero.json>   Parámetros en JSON (se aplican sobre el escenario)
+  --param clave=valor       Sobrescribe un parámetro (repetible)
+  --modo <modo>             simular (defecto) | trayectoria | conjunto | barrido | estres
+  --semillas <n>            Número de semillas en modo conjunto (defecto 20)
+  --tecnologia <tec>        solar (defecto) | eolica en modo barrido
+  --evento <e1,e2,...>      Eventos de SEF.EVENTOS_ESTRES en modo estres (defecto todos):
+                            dunkelflaute, olaCalor, olaFrio, corteGas, caidaInterconexion
+  --perfil-demanda <csv>    Perfil horario real de demanda (8760 valores)
+  --perfil-solar <csv>      Perfil horario real solar (FC, % o MW)
+  --perfil-eolica <csv>     Perfil horario real eólico (FC, % o MW)
+  --salida <directorio>     Directorio de salida (sin él: KPIs por stdout)
+  --formato <fmt>           json | csv | ambos (defecto ambos)
+  --listar                  Lista los escenarios disponibles
+  --ayuda, --help, -h       Muestra esta ayuda
+`;
+
+// ── Carga del motor ─────────────────────────────────────────────────────────
+
+function cargarMotor() {
+    for (const f of SCRIPTS_MOTOR) {
+        const codigo = fs.readFileSync(path.join(DIR_JS, f), 'utf8');
+        vm.runInThisContext(codigo, { filename: f });
+    }
+    return globalThis.SEF;
+}
+
+// ── Argumentos ──────────────────────────────────────────────────────────────
+
+function leerArgumentos(argv) {
+    const args = { param: [], formato: 'ambos', modo: 'simular', semillas: 20 };
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (a === '--help' || a === '-h') {
+            args.ayuda = true;
+            continue;
+        }
+        if (!a.startsWith('--')) throw new Error(`Argumento no reconocido: ${a}`);
+        const clave = a.slice(2);
+        if (clave === 'listar' || clave === 'ayuda') {
+            args[clave] = true;
+            continue;
+        }
+        const valor = argv[++i];
+        if (valor === undefined) throw new Error(`Falta el valor de --${clave}`);
+        if (clave === 'param') args.param.push(valor);
+        else args[clave] = valor;
+    }
+    // Se comprueban antes de simular: un error aquí no debe llegar tras una ejecución larga
+    if (!['json', 'csv', 'ambos'].includes(args.formato)) {
+        throw new Error(`Formato no válido: ${args.formato}`);
+    }
+    const semillas = Number(args.semillas);
+    if (!Number.isInteger(semillas) || semillas <= 0) {
+        throw new Error(`Número de semillas no válido: ${args.semillas} (entero positivo)`);
+    }
+    args.semillas = semillas;
+    return args;
+}
+
+/** Convierte el texto de --param al tipo del valor por defecto */
+function convertirValor(SEF, clave, texto) {
+    const defecto = SEF.PARAMS_DEFAULT[clave];
+    if (typeof defecto === 'boolean') return texto === 'true' || texto === '1';
+    if (typeof defecto === 'string') return texto;
+    const n = Number(texto);
+    if (Number.isNaN(n)) throw new Error(`Valor no numérico para ${clave}: ${texto}`);
+    return n;
+}
+
+function buscarEscenario(SEF, ref) {
+    const id = Number(ref);
+    const esc = Number.isInteger(id)
+        ? SEF.getEscenario(id)
+        : SEF.ESCENARIOS.find(e => e.nombre.toLowerCase() === ref.toLowerCase());
+    if (!esc) throw new Error(`Escenario no encontrado: ${ref}`);
+    return esc;
+}
+
+function construirParams(SEF, args) {
+    let params = { ...SEF.PARAMS_DEFAULT };
+    let nombre = 'Personalizado';
+
+    if (args.escenario !== undefined) {
+        const esc = buscarEscenario(SEF, args.escenario);
+        params = { ...params, ...esc.params };
+        nombre = esc.nombre;
+    }
+    const entrada = args.params ? JSON.parse(fs.readFileSync(args.params, 'utf8')) : {};
+    for (const par of args.param) {
+        const [clave, texto] = par.split('=');
+        if (!(clave in SEF.PARAMS_DEFAULT) || texto === undefined) {
+            throw new Error(`--param inválido: ${par}`);
+        }
+        entrada[clave] = convertirValor(SEF, clave, texto);
+    }
+
+    const res = SEF.Configuracion.validar(entrada, params);
+    for (const aviso of res.avisos) process.stderr.write(`Aviso: ${aviso}\n`);
+    if (res.errores.length) throw new Error(`Parámetros no válidos:\n  ${res.errores.join('\n  ')}`);
+    return { params: res.params, nombre };
+}
+
+/** Lee los ficheros --perfil-<tipo> con SEF.Perfiles */
+function cargarPerfiles(SEF, args) {
+    const perfiles = {};
+    for (const tipo of SEF.Perfiles.TIPOS) {
+        const fichero = args['perfil-' + tipo];
+        if (!fichero) continue;
+        try {
+            perfiles[tipo] = SEF.Perfiles.cargar(fs.readFileSync(fichero, 'utf8'), tipo);
+        } catch (err) {
+            throw new Error(`Perfil ${tipo} (${fichero}): ${err.message}`);
+        }
+    }
+    return perfiles;
+}
+
+// ── Formatos de salida ──────────────────────────────────────────────────────
+
+function escribir(dir, fichero, contenido) {
+    const ruta = path.join(dir, fichero);
+    fs.writeFileSync(ruta, contenido);
+    process.stderr.write(`  → ${ruta}\n`);
+}
+
+function exportarSimulacion(SEF, dir, formato, meta, R) {
+    const E = SEF.Exportar;
+    if (formato !== 'csv') {
+        escribir(dir, 'resultados.json', E.json(R, meta));
+    }
+    if (formato !== 'json') {
+        escribir(dir, 'kpis.csv', E.csvKPIs(R, meta));
+        escribir(dir, 'horario.csv', E.csvHorario(R, meta));
+        escribir(dir, 'mensual.csv', E.csvMensual(R, meta));
+    }
+}
+
+function exportarTrayectoria(SEF, dir, formato, meta, tray) {
+    const claves = [...Object.keys(tray.series), ...Object.keys(tray.capacidades).map(k => 'cap_' + k)];
+    const filas = tray.anios.map((anio, i) => [
+        anio,
+        ...Object.values(tray.series).map(s => s[i]),
+        ...Object.values(tray.capacidades).map(s => s[i]),
+    ]);
+    if (formato !== 'csv') {
+        escribir(dir, 'trayectoria.json', JSON.stringify({ metadatos: meta, ...tray }, null, 2));
+    }
+    if (formato !== 'json') {
+        escribir(dir, 'trayectoria.csv', SEF.Exportar.tablaCSV(['anio', ...claves], filas, meta));
+    }
+}
+
+function exportarConjunto(SEF, dir, formato, meta, conjunto) {
+    const filas = Object.entries(conjunto.kpis).map(([k, r]) => [k, r.p10, r.p50, r.p90, r.media]);
+    if (formato !== 'csv') {
+        escribir(dir, 'conjunto.json', JSON.stringify({ metadatos: meta, ...conjunto }, null, 2));
+    }
+    if (formato !== 'json') {
+        escribir(dir, 'conjunto.csv',
+                 SEF.Exportar.tablaCSV(['indicador', 'p10', 'p50', 'p90', 'media'], filas, meta));
+    }
+}
+
+function exportarBarrido(SEF, dir, formato, meta, barrido) {
+    const filas = barrido.valores.map((gw, i) => [
+        gw, barrido.precioCaptura[i] ?? '', barrido.tasaCaptura[i] ?? '',
+        barrido.precioBase[i], barrido.vertidosPct[i],
+    ]);
+    if (formato !== 'csv') {
+        escribir(dir, 'barrido.json', JSON.stringify({ metadatos: meta, ...barrido }, null, 2));
+    }
+    if (formato !== 'json') {
+        escribir(dir, 'barrido.csv', SEF.Exportar.tablaCSV(
+            [barrido.tecnologia + '_GW', 'precioCaptura', 'tasaCaptura', 'precioBase', 'vertidosPct'], filas, meta));
+    }
+}
+
+function exportarEstres(SEF, dir, formato, meta, estres) {
+    const columnas = ['ensGWh', 'horasDeficit', 'precioMedio', 'precioMax', 'horasPrecioAlto', 'gasGWh',
+                      'gasSobreLimiteGWh', 'importacionGWh'];
+    const filas = estres.eventos.map(e => {
+        const alm = Object.values(e.estres.almacenamiento);
+        return [
+            e.clave, e.dia, e.dias,
+            ...columnas.map(k => e.base[k]),
+            ...columnas.map(k => e.estres[k]),
+            alm.length ? Math.min(...alm.map(a => a.minimoPct)) : '',
+        ];
+    });
+    if (formato !== 'csv') {
+        escribir(dir, 'estres.json', JSON.stringify({ metadatos: meta, ...estres }, null, 2));
+    }
+    if (formato !== 'json') {
+        escribir(dir, 'estres.csv', SEF.Exportar.tablaCSV([
+            'evento', 'dia', 'dias',
+            ...columnas.map(k => 'base_' + k), ...columnas.map(k => 'estres_' + k),
+            'almacenamientoMinimoPct',
+        ], filas, meta));
+    }
+}
+
+// ── Programa principal ──────────────────────────────────────────────────────
+
+function main(argv) {
+    const args = leerArgumentos(argv);
+    if (args.ayuda) {
+        process.stdout.write(AYUDA);
+        return;
+    }
+
+    const SEF = cargarMotor();
+
+    if (args.listar) {
+        for (const e of SEF.ESCENARIOS) {
+            process.stdout.write(`${e.id}\t${e.nombre}\t(${e.params.anioObjetivo})\n`);
+        }
+        return;
+    }
+
+    const { params, nombre } = construirParams(SEF, args);
+    const perfiles = cargarPerfiles(SEF, args);
+    const opciones = args.modo === 'conjunto' ? { semillaInicial: params.semilla, n: args.semillas, perfiles }
+                   : args.modo === 'barrido' ? { tecnologia: args.tecnologia || 'solar', perfiles }
+                   : args.modo === 'estres' ? { eventos: args.evento ? args.evento.split(',') : undefined, perfiles }
+                   : { perfiles };
+
+    const t0 = Date.now();
+    const resultado = SEF.Tareas.ejecutar(args.modo, params, opciones);
+    process.stderr.write(`${nombre} · modo ${args.modo} · ${Date.now() - t0} ms\n`);
+
+    const meta = SEF.Exportar.metadatos(params, {
+        escenario: nombre, modo: args.modo, perfiles: Object.keys(perfiles),
+    });
+
+    if (!args.salida) {
+        const resumen = args.modo === 'simular' ? { metadatos: meta, kpis: SEF.Exportar.kpis(resultado) }
+                      : args.modo === 'conjunto' ? { metadatos: meta, kpis: resultado.kpis }
+                      : args.modo === 'barrido' || args.modo === 'estres' ? { metadatos: meta, ...resultado }
+                      : { metadatos: meta, anios: resultado.anios, series: resultado.series };
+        process.stdout.write(JSON.stringify(resumen, null, 2) + '\n');
+        return;
+    }
+
+    fs.mkdirSync(args.salida, { recursive: true });
+
+    if (args.modo === 'simular') exportarSimulacion(SEF, args.salida, args.formato, meta, resultado);
+    else if (args.modo === 'trayectoria') exportarTrayectoria(SEF, args.salida, args.formato, meta, resultado);
+    else if (args.modo === 'barrido') exportarBarrido(SEF, args.salida, args.formato, meta, resultado);
+    else if (args.modo === 'estres') exportarEstres(SEF, args.salida, args.formato, meta, resultado);
+    else exportarConjunto(SEF, args.salida, args.formato, meta, resultado);
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (err) {
+        process.stderr.write(`Error: ${err.message}\n`);
+        process.exit(1);
+    }
+}
+
+// Para las pruebas (test/)
+module.exports = { cargarMotor, leerArgumentos, construirParams };
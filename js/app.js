@@ -13,7 +13,7 @@
 'use strict';
 
 (function () {
-    const { createApp, ref, reactive, computed, onMounted, nextTick } = Vue;
+    const { createApp, ref, shallowRef, reactive, computed, watch, onMounted, onUnmounted, nextTick } = Vue;
 
     createApp({
         setup() {
@@ -32,7 +32,19 @@
                 demandaFlexTWh: 0, demandaReducidaTWh: 0,
                 horasImportacion: 0, horasExportacion: 0, horasFlex: 0,
                 demandaAjustadaTWh: 0, nuclearEfectivaGW: 0,
-                mensual: null,
+                costeSistemaM: 0, costeSistemaMWh: 0, inversionNecesariaM: 0,
+                mensual: null, economia: null, ingresos: null, horasMarginal: null,
+                arranquesCCGT: 0, costeArranquesM: 0, flotaCCGT: null, embalse: null,
+                lole: 0, eensGWh: 0, margenFirmePct: 0, suficiencia: null,
+                horasInercia: 0, costeInerciaM: 0, emisionesInerciaMt: 0, inercia: null,
+                sobreproduccionTWh: 0, horasSobreproduccion: 0,
+                zonas: null, produccionH2Kt: 0, factorCargaElectrolizador: 0, lcoh: null, hidrogeno: null,
+                demandaVETWh: 0, puntaCargaVEGW: 0, v2gTWh: 0, vehiculos: null,
+                demandaBombasCalorTWh: 0, aumentoPuntaBombasGW: 0, climatizacion: null,
+                autoconsumoTWh: 0, excedentesAutoconsumoTWh: 0, coberturaRenovableTotal: 0, autoconsumo: null,
+                recorteInversorTWh: 0, rampaResidualGW: 0, parqueSolar: null,
+                eolicaMarinaTWh: 0, suavizadoEolicoPct: null, parqueEolico: null,
+                calendario: null,
             });
 
             const escenarioActual = ref(0);
@@ -43,14 +55,53 @@
             const vistaAnual     = ref(false);
             const copiado        = ref(false);
             const simulando      = ref(false);
+            const progreso       = ref(0);
+            const hayTrayectoria = ref(false);
+            const hayConjunto    = ref(false);
+            const numSemillas    = ref(20);
+            const vistaBanda     = ref('precioMedio');
+            const perfilesCargados = reactive({ demanda: null, solar: null, eolica: null });
+            const errorPerfil    = ref('');
+            const errorSimulacion = ref('');
+            const mostrarImportar = ref(false);
+            const textoImportar  = ref('');
+            const mensajesImportar = reactive({ errores: [], avisos: [] });
+            const enlaceCopiado  = ref(false);
+            const fijadas        = shallowRef([]);   // instantáneas de SEF.Comparacion.fijar
+            const indiceRefComparacion = ref(0);
+            const vistaComparacion = ref('precioMedio');
+            const hayBarrido     = ref(false);
+            const tecnologiaBarrido = ref('solar');
+            const hayEstres      = ref(false);
 
             // Datos internos (no reactivos para rendimiento)
             let mixSimulado     = null;
             let preciosSimulados = null;
+            let trayectoriaSimulada = null;
+            let conjuntoSimulado    = null;
+            let barridoSimulado     = null;
+            let estresSimulado      = null;
+            let calendarioSimulado  = null;
+            let resultadoSimulado   = null;   // { R, params, escenario } de la última simulación
+            const perfiles = {};               // { demanda, solar, eolica } Float64Array importados
+
+            // Ejecución en Web Worker (con respaldo en el hilo principal)
+            const cliente = new SEF.ClienteSimulacion();
+            let ejecucionActual = 0;
+            let firmaSimulada   = '';
+            let temporizador    = null;
+            let hashEscrito     = '';
+
+            const TABS_LATERALES  = ['escenarios', 'config', 'pniec'];
+            const TABS_PRINCIPALES = ['dashboard', 'analisis', 'suficiencia', 'trayectoria', 'conjunto', 'comparar'];
 
             // ── Datos de referencia ──────────────────────────────────────
             const datos2025 = SEF.DATOS_2025;
             const escenarios = SEF.ESCENARIOS;
+            const horizonte  = SEF.HORIZONTE;
+            const maxFijadas = SEF.Comparacion.MAX_FIJADAS;
+            const coloresComparacion = SEF.Charts.COLORES_COMPARACION;
+            const nombresTipoCCGT = { moderno: 'Moderno', estandar: 'Estándar', antiguo: 'Antiguo' };
 
             // ── Computed ─────────────────────────────────────────────────
 
@@ -64,86 +115,342 @@
                 return esc ? esc.descripcion : '';
             });
 
-            const pniecStatus = computed(() => {
-                const P = SEF.PNIEC_2030;
-                const almTotal = params.bateriasPotencia + params.bombeo;
-                return [
-                    {
-                        indicador: '% Renovables en generación',
-                        objetivo: P.renovablesGeneracion + '%',
-                        actual: resultados.coberturaRenovable.toFixed(0) + '%',
-                        status: resultados.coberturaRenovable >= P.renovablesGeneracion ? 'cumple' :
-                                resultados.coberturaRenovable >= 65 ? 'parcial' : 'no-cumple'
-                    },
-                    {
-                        indicador: 'Emisiones CO₂ del sector eléctrico',
-                        objetivo: '< ' + P.emisionesMax + ' Mt',
-                        actual: resultados.emisionesAnuales.toFixed(1) + ' Mt',
-                        status: resultados.emisionesAnuales <= P.emisionesMax ? 'cumple' :
-                                resultados.emisionesAnuales <= 45 ? 'parcial' : 'no-cumple'
-                    },
-                    {
-                        indicador: 'Capacidad Solar FV instalada',
-                        objetivo: P.solarGW + ' GW',
-                        actual: params.solar.toFixed(0) + ' GW',
-                        status: params.solar >= P.solarGW ? 'cumple' :
-                                params.solar >= 60 ? 'parcial' : 'no-cumple'
-                    },
-                    {
-                        indicador: 'Capacidad Eólica instalada',
-                        objetivo: P.eolicaGW + ' GW',
-                        actual: params.eolica.toFixed(0) + ' GW',
-                        status: params.eolica >= P.eolicaGW ? 'cumple' :
-                                params.eolica >= 50 ? 'parcial' : 'no-cumple'
-                    },
-                    {
-                        indicador: 'Almacenamiento total',
-                        objetivo: P.almacenamientoGW + ' GW',
-                        actual: almTotal.toFixed(1) + ' GW',
-                        status: almTotal >= P.almacenamientoGW ? 'cumple' :
-                                almTotal >= 15 ? 'parcial' : 'no-cumple'
-                    }
-                ];
-            });
+            const pniecStatus = computed(() => SEF.Comparacion.evaluarPNIEC(params, resultados));
 
             // ── Métodos ──────────────────────────────────────────────────
 
-            function simular() {
+            /**
+             * Lanza una tarea en el cliente de simulación. Si otra tarea la
+             * sustituye antes de terminar, devuelve null y no toca la interfaz;
+             * si falla, devuelve null y muestra el error.
+             */
+            async function lanzar(modo, opciones = {}) {
+                const token = ++ejecucionActual;
                 simulando.value = true;
+                progreso.value = 0;
+                errorSimulacion.value = '';
+                try {
+                    return await cliente.ejecutar(modo, params, { ...opciones, perfiles }, f => {
+                        if (token === ejecucionActual) progreso.value = f;
+                    });
+                } catch (err) {
+                    if (!err.cancelada && token === ejecucionActual) errorSimulacion.value = err.message;
+                    return null;
+                } finally {
+                    if (token === ejecucionActual) simulando.value = false;
+                }
+            }
 
-                // Usar requestAnimationFrame para que el overlay se pinte
-                requestAnimationFrame(() => {
-                    setTimeout(() => {
-                        try {
-                            const sim = new SEF.SimuladorElectrico(params);
-                            const res = sim.simular();
-
-                            // Copiar resultados escalares
-                            const keys = [
-                                'precioMedio', 'precioMedioPonderado', 'precioP10',
-                                'precioMediana', 'precioP90', 'precioMin', 'precioMax',
-                                'emisionesAnuales', 'coberturaRenovable', 'dependenciaGas',
-                                'consumoGasTWh', 'vertidosTWh', 'vertidosPct',
-                                'horasGas', 'horasVertido', 'horasDeficit', 'maxDeficit',
-                                'horasPrecioNegativo', 'horasPrecioAlto',
-                                'importacionesTWh', 'exportacionesTWh',
-                                'demandaFlexTWh', 'demandaReducidaTWh',
-                                'horasImportacion', 'horasExportacion', 'horasFlex',
-                                'demandaAjustadaTWh', 'nuclearEfectivaGW',
-                            ];
-                            keys.forEach(k => { resultados[k] = res[k]; });
-                            resultados.mensual = res.mensual;
-
-                            mixSimulado = res.mix;
-                            preciosSimulados = res.precios;
-
-                            // Renderizar gráficos
-                            renderizarGraficos();
-                        } finally {
-                            simulando.value = false;
-                        }
-                    }, 30);
+            async function simular() {
+                clearTimeout(temporizador);
+                firmaSimulada = JSON.stringify(params);
+                const paramsRun = { ...params };
+                const escenarioRun = nombreEscenario.value;
+
+                const res = await lanzar('simular');
+                if (!res) return;
+                resultadoSimulado = { R: res, params: paramsRun, escenario: escenarioRun };
+
+                // Copiar resultados escalares
+                const keys = [
+                    'precioMedio', 'precioMedioPonderado', 'precioP10',
+                    'precioMediana', 'precioP90', 'precioMin', 'precioMax',
+                    'emisionesAnuales', 'coberturaRenovable', 'dependenciaGas',
+                    'consumoGasTWh', 'vertidosTWh', 'vertidosPct',
+                    'horasGas', 'horasVertido', 'horasDeficit', 'maxDeficit',
+                    'horasPrecioNegativo', 'horasPrecioAlto',
+                    'importacionesTWh', 'exportacionesTWh',
+                    'demandaFlexTWh', 'demandaReducidaTWh',
+                    'horasImportacion', 'horasExportacion', 'horasFlex',
+                    'demandaAjustadaTWh', 'nuclearEfectivaGW',
+                    'costeSistemaM', 'costeSistemaMWh', 'inversionNecesariaM',
+                    'arranquesCCGT', 'costeArranquesM',
+                    'lole', 'eensGWh', 'margenFirmePct',
+                    'horasInercia', 'costeInerciaM', 'emisionesInerciaMt',
+                    'sobreproduccionTWh', 'horasSobreproduccion',
+                    'produccionH2Kt', 'factorCargaElectrolizador', 'lcoh',
+                    'demandaVETWh', 'puntaCargaVEGW', 'v2gTWh',
+                    'demandaBombasCalorTWh', 'aumentoPuntaBombasGW',
+                    'autoconsumoTWh', 'excedentesAutoconsumoTWh', 'coberturaRenovableTotal',
+                    'recorteInversorTWh', 'rampaResidualGW',
+                    'eolicaMarinaTWh', 'suavizadoEolicoPct',
+                ];
+                keys.forEach(k => { resultados[k] = res[k]; });
+                resultados.mensual = res.mensual;
+                resultados.economia = res.economia;
+                resultados.ingresos = res.ingresos;
+                resultados.horasMarginal = res.modeloPrecio === 'ofertas' ? res.horasMarginal : null;
+                resultados.flotaCCGT = res.flotaCCGT || null;
+                resultados.embalse = res.embalse || null;
+                resultados.suficiencia = res.suficiencia;
+                resultados.inercia = res.inercia;
+                resultados.zonas = res.zonas || null;
+                resultados.hidrogeno = res.hidrogeno || null;
+                resultados.vehiculos = res.vehiculos || null;
+                resultados.climatizacion = res.climatizacion || null;
+                resultados.autoconsumo = res.autoconsumo || null;
+                resultados.parqueSolar = res.parqueSolar || null;
+                resultados.parqueEolico = res.parqueEolico || null;
+                resultados.calendario = res.calendario;
+
+                mixSimulado = res.mix;
+                preciosSimulados = res.precios;
+                calendarioSimulado = SEF.Calendario.crear(res.calendario.anio, res.calendario.modelo);
+
+                // Renderizar gráficos
+                renderizarGraficos();
+            }
+
+            async function simularTrayectoria() {
+                const tray = await lanzar('trayectoria');
+                if (!tray) return;
+                trayectoriaSimulada = tray;
+                hayTrayectoria.value = true;
+                renderizarGraficos();
+            }
+
+            /** Filas de la tabla anual de la trayectoria */
+            function filasTrayectoria() {
+                if (!hayTrayectoria.value || !trayectoriaSimulada) return [];
+                const S = trayectoriaSimulada.series;
+                return trayectoriaSimulada.anios.map((anio, i) => ({
+                    anio,
+                    precio:     S.precioMedioPonderado[i],
+                    emisiones:  S.emisionesAnuales[i],
+                    renovable:  S.coberturaRenovable[i],
+                    deficit:    S.horasDeficit[i],
+                    vertidos:   S.vertidosTWh[i],
+                    demanda:    S.demandaAjustadaTWh[i],
+                }));
+            }
+
+            async function simularConjunto() {
+                const conjunto = await lanzar('conjunto', {
+                    semillaInicial: params.semilla,
+                    n: Math.max(2, Math.min(200, Math.round(numSemillas.value) || 2)),
                 });
+                if (!conjunto) return;
+                conjuntoSimulado = conjunto;
+                hayConjunto.value = true;
+                renderizarGraficos();
+            }
+
+            /** Filas de la tabla de percentiles del conjunto */
+            function filasConjunto() {
+                if (!hayConjunto.value || !conjuntoSimulado) return [];
+                const nombres = {
+                    precioMedioPonderado: 'Precio pond. (€/MWh)',
+                    emisionesAnuales:     'Emisiones (Mt CO₂)',
+                    horasDeficit:         'Horas déficit',
+                    vertidosTWh:          'Vertidos (TWh)',
+                    coberturaRenovable:   '% Renovable',
+                    consumoGasTWh:        'Gas (TWh)',
+                    costeSistemaMWh:      'Coste sistema (€/MWh)',
+                    lole:                 'LOLE (h/año)',
+                    eensGWh:              'EENS (GWh/año)',
+                };
+                return SEF.MonteCarlo.KPIS_CONJUNTO.map(k => ({
+                    clave: k,
+                    nombre: nombres[k] || k,
+                    ...conjuntoSimulado.kpis[k],
+                }));
+            }
+
+            /** Percentiles P10 · P50 · P90 de un indicador del conjunto */
+            function rangoConjunto(clave, decimales = 1) {
+                const k = hayConjunto.value && conjuntoSimulado ? conjuntoSimulado.kpis[clave] : null;
+                if (!k) return '—';
+                return [k.p10, k.p50, k.p90].map(v => v.toFixed(decimales)).join(' · ');
+            }
+
+            /** Suficiencia agregada del conjunto (SEF.Suficiencia.agregar) */
+            function suficienciaConjunto() {
+                return hayConjunto.value && conjuntoSimulado ? conjuntoSimulado.suficiencia : null;
+            }
+
+            /**
+             * Importa un perfil horario real desde un fichero CSV y relanza
+             * la simulación con él.
+             * @param {string} tipo - 'demanda' | 'solar' | 'eolica'
+             * @param {Event} evento - change del input de fichero
+             */
+            async function cargarPerfil(tipo, evento) {
+                const fichero = evento.target.files[0];
+                evento.target.value = '';
+                if (!fichero) return;
+                try {
+                    const serie = SEF.Perfiles.cargar(await fichero.text(), tipo);
+                    perfiles[tipo] = serie;
+                    perfilesCargados[tipo] = { nombre: fichero.name, ...SEF.Perfiles.resumen(serie, tipo) };
+                    errorPerfil.value = '';
+                } catch (err) {
+                    errorPerfil.value = `${fichero.name}: ${err.message}`;
+                    return;
+                }
+                simular();
+            }
+
+            function quitarPerfiles() {
+                for (const tipo of SEF.Perfiles.TIPOS) {
+                    delete perfiles[tipo];
+                    perfilesCargados[tipo] = null;
+                }
+                errorPerfil.value = '';
+                simular();
+            }
+
+            // ── Comparación de ejecuciones ───────────────────────────────
+
+            /** Fija la última simulación para compararla con otras */
+            function fijarEjecucion() {
+                if (!resultadoSimulado || fijadas.value.length >= SEF.Comparacion.MAX_FIJADAS) return;
+                const { R, params: p, escenario } = resultadoSimulado;
+                const esc = escenarios.find(e => e.nombre === escenario);
+                const modificado = esc && Object.keys(esc.params).some(k => esc.params[k] !== p[k]);
+                const nombre = SEF.Comparacion.nombreUnico(
+                    modificado ? `${escenario} (mod.)` : escenario, fijadas.value);
+                fijadas.value = [...fijadas.value, SEF.Comparacion.fijar(nombre, p, R)];
+                renderizarGraficos();
+            }
+
+            function quitarFijada(i) {
+                fijadas.value = fijadas.value.filter((_, j) => j !== i);
+                if (indiceRefComparacion.value >= fijadas.value.length) indiceRefComparacion.value = 0;
+                renderizarGraficos();
+            }
+
+            function limpiarFijadas() {
+                fijadas.value = [];
+                indiceRefComparacion.value = 0;
+            }
+
+            function filasComparacion() {
+                return SEF.Comparacion.tablaDeltas(fijadas.value, indiceRefComparacion.value);
+            }
+
+            function cambiarVistaComparacion(clave) {
+                vistaComparacion.value = clave;
+                renderizarGraficos();
+            }
+
+            async function simularBarrido() {
+                const barrido = await lanzar('barrido', { tecnologia: tecnologiaBarrido.value });
+                if (!barrido) return;
+                barridoSimulado = barrido;
+                hayBarrido.value = true;
+                renderizarGraficos();
+            }
+
+            /** Filas de la tabla de ingresos: generación y almacenamiento */
+            function filasIngresos() {
+                const I = resultados.ingresos;
+                if (!I) return { generacion: [], almacenamiento: [] };
+                const nombres = {
+                    nuclear: 'Nuclear', solar: 'Solar FV', eolica: 'Eólica',
+                    hidraulica: 'Hidráulica', gas: 'Gas CCGT', baterias: 'Baterías', bombeo: 'Bombeo',
+                };
+                return {
+                    generacion: Object.entries(I.generacion).map(([k, v]) => ({ clave: k, nombre: nombres[k], ...v })),
+                    almacenamiento: Object.entries(I.almacenamiento).map(([k, v]) => ({ clave: k, nombre: nombres[k], ...v })),
+                };
+            }
+
+            /** Duración del almacenamiento (h) para las etiquetas de los sliders */
+            function duracionAlmacenamiento(gwh, gw) {
+                return gw > 0 ? (gwh / gw).toFixed(1) + ' h' : '—';
+            }
+
+            /** Horas en que cada tecnología fija el precio (modelo de ofertas) */
+            function filasMarginal() {
+                const H = resultados.horasMarginal;
+                if (!H) return [];
+                const nombres = {
+                    nuclear: 'Nuclear', solar: 'Solar FV', eolica: 'Eólica', hidraulica: 'Hidráulica',
+                    gas: 'Gas CCGT', baterias: 'Baterías', bombeo: 'Bombeo', importacion: 'Importación',
+                    flexibilidad: 'Flexibilidad', exportacion: 'Exportación', cargaBaterias: 'Carga baterías',
+                    cargaBombeo: 'Carga bombeo', escasez: 'Escasez (VOLL)',
+                };
+                return Object.entries(H)
+                    .map(([k, horas]) => ({ clave: k, nombre: nombres[k] || k, horas, pct: horas / resultados.calendario.horas * 100 }))
+                    .sort((a, b) => b.horas - a.horas);
+            }
+
+            /** Capacidad firme por tecnología (tabla de suficiencia) */
+            function filasFirme() {
+                const S = resultados.suficiencia;
+                if (!S) return [];
+                const nombres = {
+                    nuclear: 'Nuclear', ccgt: 'Gas CCGT', hidraulica: 'Hidráulica', solar: 'Solar FV',
+                    eolica: 'Eólica', baterias: 'Baterías', bombeo: 'Bombeo',
+                    reconversionH2: 'H₂ → electricidad', interconexion: 'Interconexión',
+                    flexibilidad: 'Flexibilidad',
+                };
+                return Object.entries(S.firmeGW)
+                    .map(([k, gw]) => ({ clave: k, nombre: nombres[k] || k, gw, pct: gw / S.capacidadFirmeGW * 100 }))
+                    .sort((a, b) => b.gw - a.gw);
+            }
+
+            async function simularEstres() {
+                const estres = await lanzar('estres');
+                if (!estres) return;
+                estresSimulado = estres;
+                hayEstres.value = true;
+                renderizarGraficos();
+            }
+
+            /** Filas de la tabla de pruebas de estrés: ventana con y sin evento */
+            function filasEstres() {
+                if (!hayEstres.value || !estresSimulado) return [];
+                const nombres = { baterias: 'Baterías', bombeo: 'Bombeo', embalse: 'Embalse', hidrogeno: 'H₂' };
+                const cal = SEF.Calendario.deParams(params);
+                return estresSimulado.eventos.map(e => ({
+                    clave:       e.clave,
+                    nombre:      e.nombre,
+                    descripcion: e.descripcion,
+                    mes:         SEF.MESES[cal.mesDia[e.dia]],
+                    dias:        e.dias,
+                    base:        e.base,
+                    estres:      e.estres,
+                    almacenamiento: Object.entries(e.estres.almacenamiento).map(([k, a]) => ({
+                        clave: k, nombre: nombres[k] || k, ...a,
+                    })),
+                }));
+            }
+
+            /** Fecha (o mes) y hora oficial legibles de una hora del año */
+            function momentoHora(h) {
+                const cal = calendarioSimulado || SEF.Calendario.deParams(params);
+                const hora = `${String(cal.horaLocal[h]).padStart(2, '0')}:00`;
+                if (cal.modelo === 'simple') return `${SEF.MESES[cal.mesHora[h]]}, ${hora}`;
+                return `${SEF.Calendario.etiquetaDia(cal, cal.diaLocal[h])}, ${hora}`;
+            }
+
+            /** Filas de la tabla de costes por tecnología */
+            function filasCostes() {
+                const E = resultados.economia;
+                if (!E) return [];
+                const nombres = {
+                    nuclear: ['Nuclear', 'nuclear'], solar: ['Solar FV', 'solarFV'],
+                    eolica: ['Eólica', 'eolica'], eolicaMarina: ['Eólica marina', 'eolicaMarina'],
+                    hidraulica: ['Hidráulica', 'hidro'],
+                    ccgt: ['Gas CCGT', 'ccgt'], baterias: ['Baterías', 'baterias'],
+                    bombeo: ['Bombeo', 'bombeo'],
+                };
+                // La eólica marina sólo si hay potencia instalada
+                const techs = SEF.Economia.TECNOLOGIAS.filter(t => t !== 'eolicaMarina' || E.porTecnologia[t].total > 0);
+                return techs.map(t => ({
+                    clave: t,
+                    nombre: nombres[t][0],
+                    totalM: E.porTecnologia[t].total,
+                    energiaTWh: E.porTecnologia[t].energiaTWh,
+                    lcoe: E.porTecnologia[t].lcoe,
+                    lcoeRef: SEF.COSTES_REF[nombres[t][1]],
+                }));
+            }
+
+            function cambiarVistaBanda(clave) {
+                vistaBanda.value = clave;
+                renderizarGraficos();
             }
 
             function renderizarGraficos() {
@@ -156,6 +463,7 @@
                         SEF.Charts.plotMix('plot-mix', mixSimulado, {
                             semana: semanaVista.value,
                             vistaAnual: vistaAnual.value,
+                            calendario: calendarioSimulado,
                         });
                     }
 
@@ -165,6 +473,7 @@
                         SEF.Charts.plotPrecios('plot-precios', preciosSimulados, resultados, {
                             vista: vistaPrecios.value,
                             semana: semanaVista.value,
+                            calendario: calendarioSimulado,
                         });
                     }
 
@@ -186,6 +495,63 @@
                         SEF.Charts.plotPreciosMensuales('plot-precios-mensuales', resultados.mensual);
                     }
 
+                    // Costes del sistema
+                    if (document.getElementById('plot-costes') && resultados.economia) {
+                        SEF.Charts.plotCostes('plot-costes', resultados.economia);
+                    }
+
+                    // Embalse hidráulico
+                    if (document.getElementById('plot-embalse') && resultados.embalse) {
+                        SEF.Charts.plotEmbalse('plot-embalse', resultados.embalse);
+                    }
+
+                    // Vehículo eléctrico: perfil medio de recarga y V2G
+                    if (document.getElementById('plot-vehiculos') && resultados.vehiculos) {
+                        SEF.Charts.plotVehiculos('plot-vehiculos', resultados.vehiculos);
+                    }
+
+                    // Bombas de calor: consumo mensual de calefacción y refrigeración
+                    if (document.getElementById('plot-climatizacion') && resultados.climatizacion) {
+                        SEF.Charts.plotClimatizacion('plot-climatizacion', resultados.climatizacion);
+                    }
+
+                    // Autoconsumo: demanda bruta y neta medias (curva de pato)
+                    if (document.getElementById('plot-autoconsumo') && resultados.autoconsumo) {
+                        SEF.Charts.plotAutoconsumo('plot-autoconsumo', resultados.autoconsumo);
+                    }
+
+                    // Parque solar por regiones: perfil medio de la FV de suelo
+                    if (document.getElementById('plot-parque-solar') && resultados.parqueSolar) {
+                        SEF.Charts.plotParqueSolar('plot-parque-solar', resultados.parqueSolar);
+                    }
+
+                    // Eólica por regiones: factor de capacidad mensual de cada región
+                    if (document.getElementById('plot-parque-eolico') && resultados.parqueEolico) {
+                        SEF.Charts.plotParqueEolico('plot-parque-eolico', resultados.parqueEolico);
+                    }
+
+                    // Suficiencia: LOLP por hora y por mes
+                    if (resultados.suficiencia) {
+                        const agregado = conjuntoSimulado ? conjuntoSimulado.suficiencia : null;
+                        if (document.getElementById('plot-lolp-hora')) {
+                            SEF.Charts.plotLOLP('plot-lolp-hora', resultados.suficiencia, { eje: 'hora', agregado });
+                        }
+                        if (document.getElementById('plot-lolp-mes')) {
+                            SEF.Charts.plotLOLP('plot-lolp-mes', resultados.suficiencia, { eje: 'mes', agregado });
+                        }
+                    }
+
+                    // Pruebas de estrés: ENS y precio máximo por evento
+                    if (estresSimulado && document.getElementById('plot-estres')) {
+                        SEF.Charts.plotEstres('plot-estres', estresSimulado);
+                    }
+
+                    // Canibalización
+                    if (barridoSimulado && document.getElementById('plot-canibalizacion')) {
+                        const clave = SEF.Ingresos.PARAM_BARRIDO[barridoSimulado.tecnologia];
+                        SEF.Charts.plotCanibalizacion('plot-canibalizacion', barridoSimulado, params[clave]);
+                    }
+
                     // Curva de duración
                     const durDiv = document.getElementById('plot-duracion');
                     if (durDiv) {
@@ -193,6 +559,40 @@
                             vista: 'duracion',
                         });
                     }
+
+                    // Conjunto Monte Carlo
+                    if (conjuntoSimulado) {
+                        if (document.getElementById('plot-conjunto-kpis')) {
+                            SEF.Charts.plotConjuntoKPIs('plot-conjunto-kpis', conjuntoSimulado);
+                        }
+                        if (document.getElementById('plot-conjunto-banda')) {
+                            SEF.Charts.plotBandaMensual('plot-conjunto-banda', conjuntoSimulado, vistaBanda.value);
+                        }
+                    }
+
+                    // Comparación de ejecuciones fijadas
+                    if (fijadas.value.length) {
+                        if (document.getElementById('plot-comparacion-mix')) {
+                            SEF.Charts.plotComparacionMix('plot-comparacion-mix', fijadas.value);
+                        }
+                        if (document.getElementById('plot-comparacion-mensual')) {
+                            SEF.Charts.plotComparacionMensual('plot-comparacion-mensual', fijadas.value,
+                                                              vistaComparacion.value);
+                        }
+                        if (document.getElementById('plot-comparacion-duracion')) {
+                            SEF.Charts.plotComparacionDuracion('plot-comparacion-duracion', fijadas.value);
+                        }
+                    }
+
+                    // Trayectoria plurianual
+                    if (trayectoriaSimulada) {
+                        if (document.getElementById('plot-trayectoria')) {
+                            SEF.Charts.plotTrayectoria('plot-trayectoria', trayectoriaSimulada);
+                        }
+                        if (document.getElementById('plot-trayectoria-cap')) {
+                            SEF.Charts.plotTrayectoriaCapacidades('plot-trayectoria-cap', trayectoriaSimulada);
+                        }
+                    }
                 });
             }
 
@@ -202,6 +602,14 @@
                 if (esc) {
                     Object.assign(params, esc.params);
                 }
+                trayectoriaSimulada = null;
+                hayTrayectoria.value = false;
+                conjuntoSimulado = null;
+                hayConjunto.value = false;
+                barridoSimulado = null;
+                hayBarrido.value = false;
+                estresSimulado = null;
+                hayEstres.value = false;
                 simular();
             }
 
@@ -213,6 +621,77 @@
                 params.semilla = Math.floor(1 + Math.random() * 9999);
             }
 
+            // ── Estado en la URL ─────────────────────────────────────────
+
+            /** Escribe params, escenario, pestañas y semana en el hash */
+            function actualizarHash() {
+                hashEscrito = SEF.Configuracion.codificarHash(params, {
+                    escenario:    escenarioActual.value,
+                    tabActual:    tabActual.value,
+                    tabPrincipal: tabPrincipal.value,
+                    semanaVista:  semanaVista.value,
+                });
+                if (location.hash !== '#' + hashEscrito) {
+                    history.replaceState(null, '', '#' + hashEscrito);
+                }
+            }
+
+            /**
+             * Restaura el estado desde el hash de la URL. Los parámetros que
+             * falten toman el valor del escenario indicado (o los actuales).
+             * @returns {boolean} true si el hash contenía estado
+             */
+            function restaurarHash() {
+                const { estado } = SEF.Configuracion.decodificarHash(location.hash);
+                const esc = estado.escenario !== undefined ? SEF.getEscenario(estado.escenario) : null;
+                const base = esc ? { ...SEF.PARAMS_DEFAULT, ...esc.params } : { ...params };
+                const res = SEF.Configuracion.decodificarHash(location.hash, base);
+                if (res.vacio) return false;
+                // Mismo aviso que al importar una configuración pegada
+                mensajesImportar.errores = res.errores.map(m => `Enlace: ${m}`);
+                mensajesImportar.avisos = res.avisos.map(m => `Enlace: ${m}`);
+
+                const e = res.estado;
+                if (esc) escenarioActual.value = esc.id;
+                if (TABS_LATERALES.includes(e.tabActual)) tabActual.value = e.tabActual;
+                if (TABS_PRINCIPALES.includes(e.tabPrincipal)) tabPrincipal.value = e.tabPrincipal;
+                if (Number.isInteger(e.semanaVista) && e.semanaVista >= 0 && e.semanaVista <= 51) {
+                    semanaVista.value = e.semanaVista;
+                }
+                Object.assign(params, res.params);
+                return true;
+            }
+
+            function onHashChange() {
+                if (location.hash === '#' + hashEscrito) return;   // escrito por actualizarHash
+                if (restaurarHash()) simular();
+            }
+
+            function copiarEnlace() {
+                actualizarHash();
+                if (navigator.clipboard && navigator.clipboard.writeText) {
+                    navigator.clipboard.writeText(location.href);
+                }
+                enlaceCopiado.value = true;
+                setTimeout(() => { enlaceCopiado.value = false; }, 2000);
+            }
+
+            /**
+             * Aplica el JSON pegado en el cuadro de importación (formato de
+             * copiarConfig). Si hay errores no se modifica nada.
+             */
+            function importarConfig() {
+                const res = SEF.Configuracion.importar(textoImportar.value, { ...params });
+                mensajesImportar.errores = res.errores;
+                mensajesImportar.avisos = res.avisos;
+                if (res.errores.length) return;
+
+                Object.assign(params, res.params);
+                textoImportar.value = '';
+                mostrarImportar.value = false;
+                simular();
+            }
+
             function copiarConfig() {
                 const payload = JSON.stringify(params, null, 2);
                 if (navigator.clipboard && navigator.clipboard.writeText) {
@@ -222,6 +701,23 @@
                 setTimeout(() => { copiado.value = false; }, 2000);
             }
 
+            /**
+             * Descarga los resultados de la última simulación.
+             * @param {string} tipo - 'horario' | 'mensual' | 'kpis' | 'json'
+             */
+            function exportarResultados(tipo) {
+                if (!resultadoSimulado) return;
+                const E = SEF.Exportar;
+                const { R, params: p, escenario } = resultadoSimulado;
+                const meta = E.metadatos(p, { escenario, modo: 'simular', perfiles: R.perfilesReales });
+                const base = E.nombreBase(escenario, p);
+
+                if (tipo === 'horario') E.descargar(`${base}-horario.csv`, E.csvHorario(R, meta));
+                if (tipo === 'mensual') E.descargar(`${base}-mensual.csv`, E.csvMensual(R, meta));
+                if (tipo === 'kpis')    E.descargar(`${base}-kpis.csv`, E.csvKPIs(R, meta));
+                if (tipo === 'json')    E.descargar(`${base}.json`, E.json(R, meta), 'application/json');
+            }
+
             function toggleVistaAnual() {
                 vistaAnual.value = !vistaAnual.value;
                 renderizarGraficos();
@@ -259,25 +755,81 @@
                 return 'success';
             }
 
+            // ── Recalculo automático ─────────────────────────────────────
+            // Con el worker disponible, cada cambio de parámetros cancela la
+            // ejecución obsoleta y relanza la simulación tras una breve pausa.
+            // Los resultados derivados (trayectoria, conjunto, barrido y estrés) dejan
+            // de corresponder a los parámetros.
+            watch(params, () => {
+                if (trayectoriaSimulada) {
+                    trayectoriaSimulada = null;
+                    hayTrayectoria.value = false;
+                }
+                if (conjuntoSimulado) {
+                    conjuntoSimulado = null;
+                    hayConjunto.value = false;
+                }
+                if (barridoSimulado) {
+                    barridoSimulado = null;
+                    hayBarrido.value = false;
+                }
+                if (estresSimulado) {
+                    estresSimulado = null;
+                    hayEstres.value = false;
+                }
+                if (!cliente.enSegundoPlano) return;
+                if (JSON.stringify(params) === firmaSimulada) return;
+                cliente.cancelar();
+                clearTimeout(temporizador);
+                temporizador = setTimeout(simular, 350);
+            }, { deep: true });
+
+            watch([params, escenarioActual, tabActual, tabPrincipal, semanaVista],
+                  actualizarHash, { deep: true });
+
             // ── Lifecycle ────────────────────────────────────────────────
             onMounted(() => {
+                restaurarHash();
+                actualizarHash();
+                window.addEventListener('hashchange', onHashChange);
                 simular();
             });
 
+            onUnmounted(() => {
+                window.removeEventListener('hashchange', onHashChange);
+                clearTimeout(temporizador);
+                cliente.destruir();
+            });
+
             // ── Exponer al template ──────────────────────────────────────
             return {
                 // Estado
-                params, resultados, datos2025, escenarios,
+                params, resultados, datos2025, escenarios, horizonte,
+                maxFijadas, coloresComparacion, nombresTipoCCGT,
                 escenarioActual, tabActual, tabPrincipal,
                 semanaVista, vistaPrecios, vistaAnual,
-                copiado, simulando,
+                copiado, simulando, progreso, hayTrayectoria,
+                hayConjunto, numSemillas, vistaBanda,
+                perfilesCargados, errorPerfil, errorSimulacion,
+                mostrarImportar, textoImportar, mensajesImportar, enlaceCopiado,
+                fijadas, indiceRefComparacion, vistaComparacion,
+                hayBarrido, tecnologiaBarrido, hayEstres,
 
                 // Computed
                 nombreEscenario, descripcionEscenario, pniecStatus,
 
                 // Métodos
-                simular, cargarEscenario, resetear,
-                randomizarSemilla, copiarConfig,
+                simular, simularTrayectoria, filasTrayectoria,
+                simularConjunto, filasConjunto, cambiarVistaBanda,
+                rangoConjunto, suficienciaConjunto,
+                cargarPerfil, quitarPerfiles,
+                filasCostes, simularBarrido, filasIngresos, filasMarginal, duracionAlmacenamiento,
+                filasFirme, momentoHora, simularEstres, filasEstres,
+                fijarEjecucion, quitarFijada, limpiarFijadas, filasComparacion,
+                cambiarVistaComparacion,
+                cargarEscenario, resetear,
+                randomizarSemilla, copiarConfig, copiarEnlace, importarConfig,
+                exportarResultados,
                 toggleVistaAnual, cambiarVistaPrecios,
                 actualizarGraficos, cambiarTabPrincipal,
 
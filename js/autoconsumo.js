@@ -0,0 +1,156 @@
+/**
+ * ============================================================================
+ *  AUTOCONSUMO SOLAR TRAS EL CONTADOR
+ * ============================================================================
+ *  FV de cubierta (parámetro autoconsumoGW) que la red no ve como generación
+ *  sino como menor demanda:
+ *    - Perfil propio: misma irradiancia y nubosidad que la FV de suelo, con
+ *      un rendimiento menor y, con orientación este-oeste, más plano
+ *    - Consumo del prosumidor: proporcional a la potencia instalada y con la
+ *      forma de la curva de demanda; la FV lo cubre primero
+ *    - Baterías domésticas opcionales (bateriasAutoconsumoGWh): guardan el
+ *      sobrante de mediodía y lo devuelven cuando falta FV
+ *    - El resto (excedentes) se inyecta y también reduce la demanda neta
+ *
+ *  La demanda horaria del despacho es la neta. El resumen mide el "pato":
+ *  demanda bruta y neta medias por hora y mínimo de la neta (la rampa del
+ *  residual está en SEF.Suficiencia).
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+    const A = SEF.AUTOCONSUMO;
+
+    /**
+     * Factor de capacidad de la FV de cubierta a partir del de la FV de suelo.
+     * @param {number} fcSolar - Factor de capacidad de la FV de suelo [0..1]
+     * @param {string} orientacion - 'sur' | 'esteOeste'
+     * @returns {number}
+     */
+    function factorCubierta(fcSolar, orientacion) {
+        if (fcSolar <= 0) return 0;
+        if (orientacion === 'esteOeste') {
+            return A.RENDIMIENTO.esteOeste * Math.pow(fcSolar, A.EXPONENTE_ESTE_OESTE);
+        }
+        return A.RENDIMIENTO.sur * fcSolar;
+    }
+
+    /**
+     * Parque de autoconsumo con sus baterías domésticas.
+     */
+    class Autoconsumo {
+        /**
+         * @param {Object} params - Parámetros del escenario (autoconsumoGW,
+         *        orientacionAutoconsumo, bateriasAutoconsumoGWh, socInicialPct)
+         * @param {number} [estadoInicial] - GWh en las baterías heredados del año anterior
+         */
+        constructor(params, estadoInicial) {
+            this.params = params;
+            this.potencia = params.autoconsumoGW;
+            this.capacidad = params.bateriasAutoconsumoGWh;
+            this.potenciaBateria = this.capacidad / A.HORAS_BATERIA;
+            this.estado = Math.min(this.capacidad, estadoInicial ?? this.capacidad * params.socInicialPct / 100);
+
+            this.netoHorario = new Float64Array(SEF.Calendario.deParams(params).horas);
+            this.generacionGWh = 0;
+            this.directoGWh = 0;
+            this.bateriaGWh = 0;
+            this.excedentesGWh = 0;
+            this.recorteGWh = 0;
+        }
+
+        /**
+         * Producción prevista de la hora sin baterías (GW), para la previsión
+         * del residual.
+         * @param {number} fcSolar
+         * @returns {number}
+         */
+        prevision(fcSolar) {
+            return this.potencia * factorCubierta(fcSolar, this.params.orientacionAutoconsumo);
+        }
+
+        /**
+         * Balance de la hora tras el contador.
+         * @param {number} h - Hora del año
+         * @param {number} fcSolar - Factor de capacidad de la FV de suelo
+         * @param {number} perfilDemanda - Demanda normalizada de la hora
+         * @param {number} demandaBrutaGW - Demanda antes del autoconsumo (tope de la reducción)
+         * @returns {number} GW en que se reduce la demanda vista por la red
+         */
+        balance(h, fcSolar, perfilDemanda, demandaBrutaGW) {
+            const generacion = this.prevision(fcSolar);
+            const consumo = this.potencia * A.CONSUMO_POR_KW * perfilDemanda;
+            const directo = Math.min(generacion, consumo);
+
+            // Baterías: sobrante de FV a la carga, falta de FV a la descarga
+            const carga = Math.min(generacion - directo, this.potenciaBateria,
+                (this.capacidad - this.estado) / A.EFICIENCIA_BATERIA);
+            this.estado += carga * A.EFICIENCIA_BATERIA;
+            const descarga = Math.min(consumo - directo, this.potenciaBateria, this.estado);
+            this.estado -= descarga;
+
+            let neto = generacion - carga + descarga;
+            let excedente = generacion - directo - carga;
+            // Sin demanda que cubrir, el excedente no cabe en la red
+            const recorte = Math.max(0, neto - demandaBrutaGW);
+            neto -= recorte;
+            excedente -= recorte;
+
+            this.netoHorario[h] = neto;
+            this.generacionGWh += generacion - recorte;
+            this.directoGWh += directo;
+            this.bateriaGWh += descarga;
+            this.excedentesGWh += excedente;
+            this.recorteGWh += recorte;
+            return neto;
+        }
+
+        /**
+         * Resumen anual y forma de la curva de pato.
+         * @param {ArrayLike<number>} demandaNeta - Demanda horaria vista por la red (GW)
+         * @returns {Object} { potenciaGW, orientacion, bateriasGWh, generacionTWh,
+         *                     autoconsumidaTWh, bateriaTWh, excedentesTWh, recorteTWh,
+         *                     reduccionDemandaTWh, autoconsumoPct, demandaBrutaMediaHora[24],
+         *                     demandaNetaMediaHora[24], minDemandaNetaGW }
+         */
+        resumen(demandaNeta) {
+            const n = demandaNeta.length;
+            const dias = n / 24;
+            const bruta = new Array(24).fill(0);
+            const neta = new Array(24).fill(0);
+            let minDemandaNetaGW = Infinity, reduccionGWh = 0;
+            for (let h = 0; h < n; h++) {
+                bruta[h % 24] += (demandaNeta[h] + this.netoHorario[h]) / dias;
+                neta[h % 24] += demandaNeta[h] / dias;
+                reduccionGWh += this.netoHorario[h];
+                minDemandaNetaGW = Math.min(minDemandaNetaGW, demandaNeta[h]);
+            }
+            const autoconsumidaGWh = this.directoGWh + this.bateriaGWh;
+            return {
+                potenciaGW:       this.potencia,
+                orientacion:      this.params.orientacionAutoconsumo,
+                bateriasGWh:      this.capacidad,
+                generacionTWh:    this.generacionGWh / 1000,
+                autoconsumidaTWh: autoconsumidaGWh / 1000,
+                bateriaTWh:       this.bateriaGWh / 1000,
+                excedentesTWh:    this.excedentesGWh / 1000,
+                recorteTWh:       this.recorteGWh / 1000,
+                reduccionDemandaTWh: reduccionGWh / 1000,
+                // Cuota de la producción consumida en el edificio (directa o vía batería)
+                autoconsumoPct:   this.generacionGWh > 0 ? autoconsumidaGWh / this.generacionGWh * 100 : 0,
+                demandaBrutaMediaHora: bruta,
+                demandaNetaMediaHora:  neta,
+                minDemandaNetaGW,
+            };
+        }
+    }
+
+    Autoconsumo.factorCubierta = factorCubierta;
+
+    // Exportar al namespace global
+    SEF.Autoconsumo = Autoconsumo;
+})();
@@ -0,0 +1,259 @@
+/**
+ * ============================================================================
+ *  CALENDARIO DEL AÑO SIMULADO
+ * ============================================================================
+ *  Eje temporal horario del año anioObjetivo (modeloCalendario = 'real'):
+ *    - Años bisiestos de 8784 horas y meses con sus días reales
+ *    - Día de la semana real del 1 de enero en adelante
+ *    - Festivos nacionales (fijos y Viernes Santo) con demanda de domingo
+ *    - Horario de verano (CEST): del último domingo de marzo al último de
+ *      octubre, a las 01:00 UTC
+ *
+ *  El índice horario h cuenta horas desde el 1 de enero a las 00:00 en hora
+ *  de invierno (CET, UTC+1) sin saltos: las series físicas (sol, viento)
+ *  van en ese reloj. Los usos (curva de demanda, climatización, recarga de
+ *  vehículos) siguen la hora oficial local, una hora adelantada en verano.
+ *
+ *  Con modeloCalendario = 'simple' reproduce el eje anterior: 8760 horas,
+ *  meses de 30,5 días, 1 de enero en lunes, sin festivos ni cambio de hora.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+    const DIAS_MES = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+    /** Festivos nacionales de fecha fija: [mes (0 = enero), día, nombre] */
+    const FESTIVOS_FIJOS = [
+        [0, 1, 'Año Nuevo'],
+        [0, 6, 'Epifanía del Señor'],
+        [4, 1, 'Fiesta del Trabajo'],
+        [7, 15, 'Asunción de la Virgen'],
+        [9, 12, 'Fiesta Nacional de España'],
+        [10, 1, 'Todos los Santos'],
+        [11, 6, 'Día de la Constitución'],
+        [11, 8, 'Inmaculada Concepción'],
+        [11, 25, 'Natividad del Señor'],
+    ];
+
+    /** Hora (CET) del cambio de hora: 01:00 UTC */
+    const HORA_CAMBIO = 2;
+
+    const cache = new Map();
+
+    function bisiesto(anio) {
+        return (anio % 4 === 0 && anio % 100 !== 0) || anio % 400 === 0;
+    }
+
+    /** Día del año (0 = 1 de enero) de una fecha */
+    function diaDelAnio(anio, mes, dia) {
+        let d = dia - 1;
+        for (let m = 0; m < mes; m++) d += DIAS_MES[m] + (m === 1 && bisiesto(anio) ? 1 : 0);
+        return d;
+    }
+
+    /**
+     * Domingo de Pascua (algoritmo anónimo gregoriano).
+     * @param {number} anio
+     * @returns {number} Día del año
+     */
+    function pascua(anio) {
+        const a = anio % 19, b = Math.floor(anio / 100), c = anio % 100;
+        const d = Math.floor(b / 4), e = b % 4;
+        const f = Math.floor((b + 8) / 25), g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4), k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const mes = Math.floor((h + l - 7 * m + 114) / 31);
+        const dia = ((h + l - 7 * m + 114) % 31) + 1;
+        return diaDelAnio(anio, mes - 1, dia);
+    }
+
+    /**
+     * Festivos nacionales comunes a todas las comunidades.
+     * @param {number} anio
+     * @returns {Array<Object>} { dia (del año), nombre } ordenados
+     */
+    function festivosNacionales(anio) {
+        const festivos = FESTIVOS_FIJOS.map(([mes, dia, nombre]) => ({ dia: diaDelAnio(anio, mes, dia), nombre }));
+        festivos.push({ dia: pascua(anio) - 2, nombre: 'Viernes Santo' });
+        return festivos.sort((a, b) => a.dia - b.dia);
+    }
+
+    /** Día de la semana del 1 de enero (0 = lunes) */
+    function primerDiaSemana(anio) {
+        return (new Date(Date.UTC(anio, 0, 1)).getUTCDay() + 6) % 7;
+    }
+
+    /** Último domingo de un mes (día del año) */
+    function ultimoDomingo(anio, mes, diaSemana0) {
+        const ultimo = diaDelAnio(anio, mes, DIAS_MES[mes] + (mes === 1 && bisiesto(anio) ? 1 : 0));
+        return ultimo - ((diaSemana0 + ultimo) % 7 + 1) % 7;
+    }
+
+    /**
+     * Construye el calendario (sin caché).
+     * @param {number} anio
+     * @param {string} modelo - 'real' | 'simple'
+     * @returns {Object}
+     */
+    function construir(anio, modelo) {
+        const real = modelo !== 'simple';
+        const dias = real && bisiesto(anio) ? 366 : 365;
+        const horas = dias * 24;
+
+        const mesDia = new Uint8Array(dias);
+        const inicioMes = new Array(13);
+        if (real) {
+            let d = 0;
+            for (let m = 0; m < 12; m++) {
+                inicioMes[m] = d;
+                const n = DIAS_MES[m] + (m === 1 && dias === 366 ? 1 : 0);
+                mesDia.fill(m, d, d + n);
+                d += n;
+            }
+        } else {
+            for (let d = 0; d < dias; d++) mesDia[d] = Math.floor(d / 30.5) % 12;
+            for (let m = 0; m < 12; m++) inicioMes[m] = Math.ceil(m * 30.5);
+        }
+        inicioMes[12] = dias;
+
+        const semana0 = real ? primerDiaSemana(anio) : 0;
+        const diaSemana = Uint8Array.from({ length: dias }, (_, d) => (semana0 + d) % 7);
+        const festivos = real ? festivosNacionales(anio) : [];
+        const festivo = new Uint8Array(dias);
+        for (const f of festivos) festivo[f.dia] = 1;
+        const laborable = Uint8Array.from({ length: dias }, (_, d) => diaSemana[d] < 5 && !festivo[d] ? 1 : 0);
+
+        // Horario de verano en horas CET [cambioVerano, cambioInvierno)
+        const cambioVerano = real ? ultimoDomingo(anio, 2, semana0) * 24 + HORA_CAMBIO : null;
+        const cambioInvierno = real ? ultimoDomingo(anio, 9, semana0) * 24 + HORA_CAMBIO : null;
+
+        const mesHora = new Uint8Array(horas);
+        const horaLocal = new Uint8Array(horas);
+        const diaLocal = new Uint16Array(horas);
+        const desfase = new Uint8Array(horas);
+        for (let h = 0; h < horas; h++) {
+            const verano = real && h >= cambioVerano && h < cambioInvierno ? 1 : 0;
+            mesHora[h] = mesDia[Math.floor(h / 24)];
+            desfase[h] = verano;
+            horaLocal[h] = (h + verano) % 24;
+            diaLocal[h] = Math.min(dias - 1, Math.floor((h + verano) / 24));
+        }
+
+        return {
+            modelo: real ? 'real' : 'simple',
+            anio, bisiesto: dias === 366, dias, horas,
+            mesDia, inicioMes, diaSemana, festivo, laborable, festivos,
+            mesHora, horaLocal, diaLocal, desfase,
+            cambioVerano, cambioInvierno,
+        };
+    }
+
+    /**
+     * Calendario de un año (en caché: lo comparten todos los módulos).
+     * @param {number} anio
+     * @param {string} [modelo] - 'real' (defecto) | 'simple'
+     * @returns {Object} { modelo, anio, bisiesto, dias, horas,
+     *   mesDia[dias], inicioMes[13] (día), diaSemana[dias] (0 = lunes),
+     *   festivo[dias], laborable[dias], festivos[{ dia, nombre }],
+     *   mesHora[horas], horaLocal[horas], diaLocal[horas], desfase[horas] (1 = CEST),
+     *   cambioVerano, cambioInvierno (h CET o null) }
+     */
+    function crear(anio, modelo = 'real') {
+        const clave = `${modelo === 'simple' ? 'simple' : 'real'}:${Math.round(anio)}`;
+        if (!cache.has(clave)) cache.set(clave, construir(Math.round(anio), modelo));
+        return cache.get(clave);
+    }
+
+    /**
+     * Calendario de unos parámetros (anioObjetivo, modeloCalendario).
+     * @param {Object} params
+     * @returns {Object}
+     */
+    function deParams(params) {
+        return crear(params.anioObjetivo, params.modeloCalendario);
+    }
+
+    /**
+     * Resumen serializable para los resultados.
+     * @param {Object} cal
+     * @returns {Object} { modelo, anio, bisiesto, horas, festivos, cambioVerano, cambioInvierno }
+     */
+    function resumen(cal) {
+        return {
+            modelo: cal.modelo, anio: cal.anio, bisiesto: cal.bisiesto, horas: cal.horas,
+            festivos: cal.festivos, cambioVerano: cal.cambioVerano, cambioInvierno: cal.cambioInvierno,
+        };
+    }
+
+    /**
+     * Fecha legible de un día del año: 'Lun 15 ene'.
+     * @param {Object} cal
+     * @param {number} d - Día del año
+     * @returns {string}
+     */
+    function etiquetaDia(cal, d) {
+        const mes = cal.mesDia[d];
+        const nombre = SEF.DIAS_SEMANA[cal.diaSemana[d]];
+        if (cal.modelo === 'simple') return `${nombre} d${d + 1}`;
+        return `${nombre} ${d - cal.inicioMes[mes] + 1} ${SEF.MESES[mes].toLowerCase()}`;
+    }
+
+    /**
+     * Fecha y hora local de una hora del año en ISO 8601 con su desfase
+     * ('2030-07-15T14:00+02:00'); null con el calendario simple.
+     * @param {Object} cal
+     * @param {number} h
+     * @returns {string|null}
+     */
+    function fechaISO(cal, h) {
+        if (cal.modelo === 'simple') return null;
+        const d = cal.diaLocal[h];
+        const mes = cal.mesDia[d];
+        const dos = n => String(n).padStart(2, '0');
+        return `${cal.anio}-${dos(mes + 1)}-${dos(d - cal.inicioMes[mes] + 1)}T${dos(cal.horaLocal[h])}:00` +
+            `+0${1 + cal.desfase[h]}:00`;
+    }
+
+    /**
+     * Ajusta una serie horaria a la longitud del año: quita el 29 de
+     * febrero de una serie bisiesta o lo añade repitiendo el 28.
+     * @param {ArrayLike<number>} serie - 8760 u 8784 valores
+     * @param {number} horas - Horas del año simulado
+     * @returns {ArrayLike<number>}
+     */
+    function ajustarSerie(serie, horas) {
+        if (serie.length === horas) return serie;
+        const feb29 = 59 * 24;
+        if (serie.length === horas + 24) {
+            const out = new Float64Array(horas);
+            out.set(serie.subarray ? serie.subarray(0, feb29) : serie.slice(0, feb29));
+            out.set(serie.subarray ? serie.subarray(feb29 + 24) : serie.slice(feb29 + 24), feb29);
+            return out;
+        }
+        if (serie.length + 24 === horas) {
+            const out = new Float64Array(horas);
+            for (let h = 0; h < horas; h++) out[h] = serie[h < feb29 ? h : h - 24];
+            return out;
+        }
+        throw new Error(`Se esperaban ${horas} valores horarios y hay ${serie.length}`);
+    }
+
+    // Exportar al namespace global
+    SEF.Calendario = {
+        bisiesto,
+        pascua,
+        festivosNacionales,
+        crear,
+        deParams,
+        resumen,
+        etiquetaDia,
+        fechaISO,
+        ajustarSerie,
+    };
+})();
@@ -8,6 +8,8 @@
  *    - Comparación con 2025 (barras agrupadas)
  *    - Desglose mensual (barras apiladas)
  *    - Curva de duración de precios (monotónica)
+ *    - Trayectoria plurianual 2026-2035 (indicadores y capacidades)
+ *    - Conjuntos Monte Carlo (dispersión de KPIs y bandas P10-P90)
  *
  *  Autor: David Antizar
  * ============================================================================
@@ -45,20 +47,35 @@
     /**
      * Renderiza el gráfico principal de mix de generación.
      * @param {string} divId  - ID del contenedor DOM
-     * @param {Array}  mix    - Array de 8760 objetos de generación
-     * @param {Object} opts   - { semana, vistaAnual }
+     * @param {Array}  mix    - Array de objetos de generación (uno por hora)
+     * @param {Object} opts   - { semana, vistaAnual, calendario (SEF.Calendario) }
      */
     function plotMix(divId, mix, opts = {}) {
         if (!mix || !mix.length) return;
 
         if (opts.vistaAnual) {
-            _plotMixAnual(divId, mix);
+            _plotMixAnual(divId, mix, opts.calendario);
         } else {
-            _plotMixSemanal(divId, mix, opts.semana || 25);
+            _plotMixSemanal(divId, mix, opts.semana || 25, opts.calendario);
         }
     }
 
-    function _plotMixSemanal(divId, mix, semana) {
+    /**
+     * Etiquetas de los 7 días de una semana: fecha real y festivos con el
+     * calendario, o solo el día de la semana.
+     * @param {Object} [cal] - SEF.Calendario
+     * @param {number} inicio - Primera hora de la semana
+     * @returns {Array<string>}
+     */
+    function _diasSemana(cal, inicio) {
+        if (!cal || cal.modelo === 'simple') return SEF.DIAS_SEMANA;
+        return Array.from({ length: 7 }, (_, i) => {
+            const d = Math.min(cal.dias - 1, Math.floor(inicio / 24) + i);
+            return SEF.Calendario.etiquetaDia(cal, d) + (cal.festivo[d] ? ' ★' : '');
+        });
+    }
+
+    function _plotMixSemanal(divId, mix, semana, cal) {
         const inicio = 168 * semana;
         const data   = mix.slice(inicio, inicio + 168);
         const x      = data.map((_, i) => i);
@@ -74,6 +91,17 @@
             _stackTrace(x, data.map(g => -(g.cargaBaterias + g.cargaBombeo)),
                         'Almacen. (carga)', C.bombeo, 'two'),
         ];
+        // Hidrógeno verde: solo si hay electrólisis o reconversión en la semana
+        if (data.some(g => g.reconversionH2 > 0)) {
+            traces.splice(7, 0, _stackTrace(x, data.map(g => g.reconversionH2), 'H₂ → elec.', C.hidrogeno));
+        }
+        if (data.some(g => g.electrolizador > 0)) {
+            traces.push(_stackTrace(x, data.map(g => -g.electrolizador), 'Electrólisis', C.hidrogeno, 'two'));
+        }
+        // V2G junto a la descarga del almacenamiento
+        if (data.some(g => g.v2g > 0)) {
+            traces.splice(5, 0, _stackTrace(x, data.map(g => g.v2g), 'V2G', C.baterias));
+        }
 
         const tickvals = [12, 36, 60, 84, 108, 132, 156];
         const nombresSemana = {
@@ -85,7 +113,7 @@
         const lyt = layout({
             xaxis: {
                 title: `Semana ${semana} — ${nombresSemana[semana] || ''}`,
-                tickvals, ticktext: SEF.DIAS_SEMANA
+                tickvals, ticktext: _diasSemana(cal, inicio)
             },
             yaxis: { title: 'GW', zeroline: true, zerolinecolor: 'rgba(148,163,184,0.25)' },
         });
@@ -93,10 +121,10 @@
         Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
     }
 
-    function _plotMixAnual(divId, mix) {
+    function _plotMixAnual(divId, mix, cal) {
         // Promedios diarios
         const dias = [];
-        for (let d = 0; d < 365; d++) {
+        for (let d = 0; d < mix.length / 24; d++) {
             const bloque = mix.slice(d * 24, d * 24 + 24);
             const avg = key => bloque.reduce((s, g) => s + g[key], 0) / 24;
             dias.push({
@@ -118,7 +146,10 @@
             _stackTrace(x, dias.map(d => d.gas),          'Gas CCGT',    C.gas),
         ];
 
-        const tickvals = [15, 46, 74, 105, 135, 166, 196, 227, 258, 288, 319, 349];
+        // Mitad de cada mes
+        const tickvals = cal
+            ? SEF.MESES.map((_, m) => Math.floor((cal.inicioMes[m] + cal.inicioMes[m + 1]) / 2))
+            : [15, 46, 74, 105, 135, 166, 196, 227, 258, 288, 319, 349];
         const lyt = layout({
             xaxis: { title: 'Día del año (media diaria)', tickvals, ticktext: SEF.MESES },
             yaxis: { title: 'GW (media diaria)' },
@@ -146,16 +177,16 @@
     /**
      * Renderiza el gráfico de precios.
      * @param {string} divId
-     * @param {Array<number>} precios - 8760 precios horarios
+     * @param {Array<number>} precios - Precios horarios del año
      * @param {Object} resultados - para percentiles y medias
-     * @param {Object} opts - { vista: 'semana'|'anual'|'duracion', semana }
+     * @param {Object} opts - { vista: 'semana'|'anual'|'duracion', semana, calendario }
      */
     function plotPrecios(divId, precios, resultados, opts = {}) {
         if (!precios || !precios.length) return;
         const vista = opts.vista || 'semana';
 
         if (vista === 'semana') {
-            _plotPreciosSemana(divId, precios, opts.semana || 25);
+            _plotPreciosSemana(divId, precios, opts.semana || 25, opts.calendario);
         } else if (vista === 'anual') {
             _plotPreciosHistograma(divId, precios, resultados);
         } else {
@@ -163,7 +194,7 @@
         }
     }
 
-    function _plotPreciosSemana(divId, precios, semana) {
+    function _plotPreciosSemana(divId, precios, semana, cal) {
         const inicio = 168 * semana;
         const data   = precios.slice(inicio, inicio + 168);
         const x      = data.map((_, i) => i);
@@ -190,7 +221,7 @@
             xaxis: {
                 title: 'Horas de la semana',
                 tickvals: [12, 36, 60, 84, 108, 132, 156],
-                ticktext: SEF.DIAS_SEMANA,
+                ticktext: _diasSemana(cal, inicio),
             },
             yaxis: {
                 title: '€/MWh',
@@ -259,7 +290,7 @@
                 hovertemplate: 'Hora %{x}: %{y:.1f} €/MWh<extra></extra>',
             },
             {
-                x, y: Array(8760).fill(SEF.DATOS_2025.precioMedio),
+                x, y: Array(sorted.length).fill(SEF.DATOS_2025.precioMedio),
                 name: 'Media 2025',
                 line: { color: '#fbbf24', width: 1.5, dash: 'dash' },
             }
@@ -270,7 +301,7 @@
             xaxis: { title: 'Horas del año (ordenadas por precio desc.)' },
             yaxis: { title: '€/MWh' },
             annotations: [
-                { x: 4380, y: R.precioMediana, text: `P50: ${R.precioMediana.toFixed(0)}€`,
+                { x: sorted.length / 2, y: R.precioMediana, text: `P50: ${R.precioMediana.toFixed(0)}€`,
                   showarrow: true, arrowhead: 2, arrowcolor: '#3b82f6',
                   font: { size: 10, color: '#3b82f6' }, bgcolor: 'rgba(15,23,42,0.85)' },
             ],
@@ -305,9 +336,11 @@
         const cats = ['Nuclear', 'Solar', 'Eólica', 'Hidro', 'Gas'];
         const v2025 = [D.nuclearTWh, D.solarTWh, D.eolicaTWh, D.hidroTWh, D.gasTWh];
 
+        // Energía simulada hora a hora; estimación por FC si no está disponible
+        const G = resultados.generacionTWh;
         const fc = SEF.FC_HISTORICOS;
         const nucGW = resultados.nuclearEfectivaGW ?? params.nuclear;
-        const vSim = [
+        const vSim = G ? [G.nuclear, G.solar, G.eolica, G.hidraulica, G.gas] : [
             nucGW * fc.nuclear * 8760 / 1000,
             params.solar * fc.solar * 8760 / 1000,
             params.eolica * fc.eolica * 8760 / 1000,
@@ -418,6 +451,700 @@
         Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
     }
 
+    // =====================================================================
+    //  6. TRAYECTORIA PLURIANUAL
+    // =====================================================================
+
+    /**
+     * Renderiza las series anuales de la trayectoria en una rejilla 2×2:
+     * precio, emisiones, % renovable y horas de déficit.
+     * @param {string} divId
+     * @param {Object} tray - Resultado de SEF.Trayectoria.simularTrayectoria
+     */
+    function plotTrayectoria(divId, tray) {
+        if (!tray || !tray.anios.length) return;
+        const x = tray.anios;
+        const S = tray.series;
+        const P = SEF.PNIEC_2030;
+
+        const paneles = [
+            { y: S.precioMedioPonderado, name: 'Precio pond. (€/MWh)', color: C.precio.line, ref: SEF.DATOS_2025.precioMedio },
+            { y: S.emisionesAnuales,     name: 'Emisiones (Mt CO₂)',  color: C.gas.line,    ref: P.emisionesMax },
+            { y: S.coberturaRenovable,   name: '% Renovable',          color: C.eolica.line, ref: P.renovablesGeneracion },
+            { y: S.horasDeficit,         name: 'Horas déficit',        color: C.deficit.line },
+        ];
+
+        const traces = [];
+        const shapes = [];
+        paneles.forEach((pan, i) => {
+            const eje = i === 0 ? '' : String(i + 1);
+            traces.push({
+                x, y: pan.y, name: pan.name,
+                type: 'scatter', mode: 'lines+markers',
+                xaxis: 'x' + eje, yaxis: 'y' + eje,
+                line: { color: pan.color, width: 2 },
+                marker: { size: 5, color: pan.color },
+                hovertemplate: `%{x}: %{y:.1f}<extra>${pan.name}</extra>`,
+            });
+            if (pan.ref !== undefined) {
+                shapes.push({
+                    type: 'line', xref: 'x' + eje + ' domain', x0: 0, x1: 1,
+                    yref: 'y' + eje, y0: pan.ref, y1: pan.ref,
+                    line: { color: C.ref2025.line, width: 1, dash: 'dot' },
+                });
+            }
+        });
+
+        const lyt = layout({
+            margin: { t: 10, r: 10, b: 30, l: 45 },
+            grid: { rows: 2, columns: 2, pattern: 'independent', xgap: 0.12, ygap: 0.22 },
+            hovermode: 'closest',
+            legend: { orientation: 'h', y: -0.12, font: { size: 9 } },
+            shapes,
+        });
+        for (let i = 2; i <= 4; i++) {
+            lyt['xaxis' + i] = { ...LB.xaxis, dtick: 1 };
+            lyt['yaxis' + i] = { ...LB.yaxis };
+        }
+        lyt.xaxis.dtick = 1;
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
+    /**
+     * Renderiza la evolución de capacidades instaladas por año.
+     * @param {string} divId
+     * @param {Object} tray - Resultado de SEF.Trayectoria.simularTrayectoria
+     */
+    function plotTrayectoriaCapacidades(divId, tray) {
+        if (!tray || !tray.anios.length) return;
+        const x = tray.anios;
+        const K = tray.capacidades;
+        const techs = [
+            { y: tray.series.nuclearEfectivaGW, name: 'Nuclear',   color: C.nuclear },
+            { y: K.solar,                       name: 'Solar FV',  color: C.solar },
+            { y: K.eolica,                      name: 'Eólica',    color: C.eolica },
+            { y: K.hidraulica,                  name: 'Hidráulica', color: C.hidro },
+            { y: K.bateriasPotencia.map((b, i) => b + K.bombeo[i]), name: 'Almacen.', color: C.baterias },
+            { y: K.ccgt,                        name: 'Gas CCGT',  color: C.gas },
+        ];
+
+        const traces = techs.map(t => ({
+            x, y: t.y, name: t.name, type: 'bar',
+            marker: { color: t.color.fill, line: { color: t.color.line, width: 0.5 } },
+            hovertemplate: `${t.name}: %{y:.1f} GW<extra></extra>`,
+        }));
+
+        const lyt = layout({
+            margin: { t: 10, r: 10, b: 35, l: 50 },
+            barmode: 'stack', bargap: 0.25,
+            xaxis: { dtick: 1 },
+            yaxis: { title: 'GW instalados' },
+            legend: { orientation: 'h', y: -0.22, font: { size: 8 } },
+        });
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
+    // =====================================================================
+    //  7. CONJUNTOS MONTE CARLO
+    // =====================================================================
+
+    const KPIS_CONJUNTO_INFO = {
+        precioMedioPonderado: { name: 'Precio pond.', unidad: '€/MWh',  color: C.precio },
+        emisionesAnuales:     { name: 'Emisiones',    unidad: 'Mt CO₂', color: C.gas },
+        horasDeficit:         { name: 'Horas déficit', unidad: 'h',     color: C.deficit },
+        vertidosTWh:          { name: 'Vertidos',     unidad: 'TWh',    color: C.vertido },
+        coberturaRenovable:   { name: '% Renovable',  unidad: '%',      color: C.eolica },
+    };
+
+    /** Helper: cambia la opacidad de un color rgba() */
+    function _conAlfa(rgba, alfa) {
+        return rgba.replace(/[\d.]+\)$/, `${alfa})`);
+    }
+
+    /**
+     * Renderiza la dispersión de cada KPI entre semillas (una caja por KPI)
+     * con la mediana y la banda P10-P90.
+     * @param {string} divId
+     * @param {Object} conjunto - Resultado de SEF.MonteCarlo.simularConjunto
+     */
+    function plotConjuntoKPIs(divId, conjunto) {
+        if (!conjunto) return;
+        const claves = Object.keys(KPIS_CONJUNTO_INFO);
+
+        const traces = claves.map((k, i) => {
+            const info = KPIS_CONJUNTO_INFO[k];
+            const eje  = i === 0 ? '' : String(i + 1);
+            return {
+                type: 'box', y: conjunto.kpis[k].valores,
+                name: `${info.name} (${info.unidad})`,
+                xaxis: 'x' + eje, yaxis: 'y' + eje,
+                boxpoints: 'all', jitter: 0.4, pointpos: 0,
+                marker: { size: 3, color: info.color.line },
+                line: { color: info.color.line, width: 1 },
+                fillcolor: _conAlfa(info.color.fill, 0.25),
+                hovertemplate: `%{y:.1f} ${info.unidad}<extra>${info.name}</extra>`,
+            };
+        });
+
+        const lyt = layout({
+            margin: { t: 10, r: 10, b: 30, l: 40 },
+            grid: { rows: 1, columns: claves.length, pattern: 'independent', xgap: 0.25 },
+            hovermode: 'closest',
+            showlegend: false,
+        });
+        for (let i = 2; i <= claves.length; i++) {
+            lyt['xaxis' + i] = { ...LB.xaxis };
+            lyt['yaxis' + i] = { ...LB.yaxis };
+        }
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
+    /**
+     * Renderiza un gráfico de abanico mensual: banda P10-P90 y mediana.
+     * @param {string} divId
+     * @param {Object} conjunto - Resultado de SEF.MonteCarlo.simularConjunto
+     * @param {string} clave    - 'precioMedio' | 'gas' | 'eolica' | 'vertido'
+     */
+    function plotBandaMensual(divId, conjunto, clave = 'precioMedio') {
+        if (!conjunto || !conjunto.mensual[clave]) return;
+        const x = SEF.MESES;
+        const B = conjunto.mensual[clave];
+        const esPrecio = clave === 'precioMedio';
+        const unidad = esPrecio ? '€/MWh' : 'TWh';
+        const color = esPrecio ? C.precio : clave === 'gas' ? C.gas :
+                      clave === 'eolica' ? C.eolica : C.vertido;
+
+        const traces = [
+            {
+                x, y: B.p90, name: 'P90', type: 'scatter', mode: 'lines',
+                line: { width: 0, color: color.line },
+                hovertemplate: `P90: %{y:.1f} ${unidad}<extra></extra>`,
+            },
+            {
+                x, y: B.p10, name: 'P10-P90', type: 'scatter', mode: 'lines',
+                fill: 'tonexty', fillcolor: _conAlfa(color.fill, 0.25),
+                line: { width: 0, color: color.line },
+                hovertemplate: `P10: %{y:.1f} ${unidad}<extra></extra>`,
+            },
+            {
+                x, y: B.p50, name: 'P50', type: 'scatter', mode: 'lines+markers',
+                line: { color: color.line, width: 2 },
+                marker: { size: 4, color: color.line },
+                hovertemplate: `P50: %{y:.1f} ${unidad}<extra></extra>`,
+            },
+        ];
+
+        if (esPrecio) {
+            traces.push({
+                x, y: Array(12).fill(SEF.DATOS_2025.precioMedio),
+                type: 'scatter', mode: 'lines', name: 'Media 2025',
+                line: { color: C.ref2025.line, width: 1.5, dash: 'dash' },
+            });
+        }
+
+        const lyt = layout({
+            margin: { t: 10, r: 10, b: 35, l: 50 },
+            yaxis: { title: unidad },
+            legend: { orientation: 'h', y: -0.22, font: { size: 8 } },
+        });
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
+    // =====================================================================
+    //  8. COMPARACIÓN DE EJECUCIONES
+    // =====================================================================
+
+    /** Colores de cada ejecución fijada (en orden) */
+    const COLORES_COMPARACION = ['#00f5d4', '#fbbf24', '#a855f7', '#ef4444', '#3b82f6', '#22c55e'];
+
+    const TECHS_ANUALES = [
+        { key: 'nuclear',     name: 'Nuclear',    color: C.nuclear },
+        { key: 'solar',       name: 'Solar',      color: C.solar },
+        { key: 'eolica',      name: 'Eólica',     color: C.eolica },
+        { key: 'hidraulica',  name: 'Hidráulica', color: C.hidro },
+        { key: 'baterias',    name: 'Almacen.',   color: C.baterias },
+        { key: 'importacion', name: 'Import.',    color: C.importar },
+        { key: 'gas',         name: 'Gas CCGT',   color: C.gas },
+    ];
+
+    /**
+     * Mix anual de cada ejecución fijada en barras apiladas.
+     * @param {string} divId
+     * @param {Array<Object>} fijadas - Instantáneas de SEF.Comparacion.fijar
+     */
+    function plotComparacionMix(divId, fijadas) {
+        if (!fijadas || !fijadas.length) return;
+        const x = fijadas.map(f => f.nombre);
+
+        const traces = TECHS_ANUALES.map(t => ({
+            x, y: fijadas.map(f => f.mensual.reduce((s, m) => s + m[t.key], 0)),
+            name: t.name, type: 'bar',
+            marker: { color: t.color.fill, line: { color: t.color.line, width: 0.5 } },
+            hovertemplate: `${t.name}: %{y:.1f} TWh<extra>%{x}</extra>`,
+        }));
+
+        const lyt = layout({
+            margin: { t: 10, r: 10, b: 35, l: 50 },
+            barmode: 'stack', bargap: 0.35,
+            yaxis: { title: 'TWh' },
+            hovermode: 'closest',
+            legend: { orientation: 'h', y: -0.22, font: { size: 8 } },
+        });
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
+    /**
+     * Serie mensual de una magnitud para cada ejecución fijada.
+     * @param {string} divId
+     * @param {Array<Object>} fijadas
+     * @param {string} clave - Campo del resumen mensual ('precioMedio', 'gas', 'solar'…)
+     */
+    function plotComparacionMensual(divId, fijadas, clave = 'precioMedio') {
+        if (!fijadas || !fijadas.length) return;
+        const unidad = clave === 'precioMedio' ? '€/MWh' : 'TWh';
+
+        const traces = fijadas.map((f, i) => ({
+            x: SEF.MESES, y: f.mensual.map(m => m[clave]),
+            name: f.nombre, type: 'scatter', mode: 'lines+markers',
+            line: { color: COLORES_COMPARACION[i % COLORES_COMPARACION.length], width: 2 },
+            marker: { size: 4 },
+            hovertemplate: `%{y:.1f} ${unidad}<extra>${f.nombre}</extra>`,
+        }));
+
+        const lyt = layout({
+            margin: { t: 10, r: 10, b: 35, l: 50 },
+            yaxis: { title: unidad },
+            legend: { orientation: 'h', y: -0.22, font: { size: 8 } },
+        });
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
+    /**
+     * Curvas de duración de precios superpuestas.
+     * @param {string} divId
+     * @param {Array<Object>} fijadas
+     */
+    function plotComparacionDuracion(divId, fijadas) {
+        if (!fijadas || !fijadas.length) return;
+
+        const traces = fijadas.map((f, i) => ({
+            y: Array.from(f.curvaDuracion),
+            name: f.nombre, type: 'scatter', mode: 'lines',
+            line: { color: COLORES_COMPARACION[i % COLORES_COMPARACION.length], width: 1.5 },
+            hovertemplate: `Hora %{x}: %{y:.1f} €/MWh<extra>${f.nombre}</extra>`,
+        }));
+
+        const lyt = layout({
+            margin: { t: 10, r: 10, b: 40, l: 50 },
+            xaxis: { title: 'Horas del año (ordenadas por precio desc.)' },
+            yaxis: { title: '€/MWh' },
+            hovermode: 'closest',
+            legend: { orientation: 'h', y: -0.25, font: { size: 8 } },
+        });
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
+    // =====================================================================
+    //  9. COSTES DEL SISTEMA
+    // =====================================================================
+
+    /**
+     * Coste anual por tecnología apilado por componente.
+     * @param {string} divId
+     * @param {Object} economia - Resultado de SEF.Economia.calcular
+     */
+    function plotCostes(divId, economia) {
+        if (!economia) return;
+        const nombres = {
+            nuclear: 'Nuclear', solar: 'Solar', eolica: 'Eólica', eolicaMarina: 'Eólica marina',
+            hidraulica: 'Hidro', ccgt: 'Gas CCGT', baterias: 'Baterías', bombeo: 'Bombeo',
+        };
+        const techs = SEF.Economia.TECNOLOGIAS
+            .filter(t => t !== 'eolicaMarina' || economia.porTecnologia[t].total > 0);
+        const x = techs.map(t => nombres[t]);
+        const componentes = [
+            { key: 'capex',       name: 'CAPEX anualizado', color: C.hidro },
+            { key: 'omFijo',      name: 'O&M fijo',         color: C.baterias },
+            { key: 'variable',    name: 'O&M var. / ciclado', color: C.eolica },
+            { key: 'combustible', name: 'Gas + CO₂',        color: C.gas },
+        ];
+
+        const traces = componentes.map(c => ({
+            x, y: techs.map(t => economia.porTecnologia[t][c.key]),
+            name: c.name, type: 'bar',
+            marker: { color: c.color.fill, line: { color: c.color.line, width: 0.5 } },
+            hovertemplate: `${c.name}: %{y:,.0f} M€<extra>%{x}</extra>`,
+        }));
+
+        const lyt = layout({
+            margin: { t: 10, r: 10, b: 35, l: 55 },
+            barmode: 'stack', bargap: 0.3,
+            yaxis: { title: 'M€/año' },
+            hovermode: 'closest',
+            legend: { orientation: 'h', y: -0.22, font: { size: 8 } },
+        });
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
+    // =====================================================================
+    //  10. PRECIOS CAPTURADOS Y CANIBALIZACIÓN
+    // =====================================================================
+
+    /**
+     * Curva de canibalización: precio capturado y tasa de captura frente a
+     * la potencia instalada.
+     * @param {string} divId
+     * @param {Object} barrido - Resultado de SEF.Ingresos.barrido
+     * @param {number} [actualGW] - Potencia del escenario actual (línea vertical)
+     */
+    function plotCanibalizacion(divId, barrido, actualGW = null) {
+        if (!barrido) return;
+        const x = barrido.valores;
+        const esSolar = barrido.tecnologia === 'solar';
+        const color = esSolar ? C.solar : C.eolica;
+        const nombre = esSolar ? 'Solar' : 'Eólica';
+
+        const traces = [
+            {
+                x, y: barrido.precioCaptura, name: `Precio capturado ${nombre}`,
+                type: 'scatter', mode: 'lines+markers',
+                line: { color: color.line, width: 2 }, marker: { size: 5 },
+                hovertemplate: '%{x:.0f} GW: %{y:.1f} €/MWh<extra>Capturado</extra>',
+            },
+            {
+                x, y: barrido.precioBase, name: 'Precio medio (base)',
+                type: 'scatter', mode: 'lines',
+                line: { color: C.precio.line, width: 1.5, dash: 'dash' },
+                hovertemplate: '%{x:.0f} GW: %{y:.1f} €/MWh<extra>Base</extra>',
+            },
+            {
+                x, y: barrido.tasaCaptura.map(v => v === null ? null : v * 100),
+                name: 'Tasa de captura', yaxis: 'y2',
+                type: 'scatter', mode: 'lines',
+                line: { color: color.label, width: 1, dash: 'dot' },
+                hovertemplate: '%{x:.0f} GW: %{y:.0f}%<extra>Tasa</extra>',
+            },
+        ];
+
+        const lyt = layout({
+            margin: { t: 10, r: 45, b: 40, l: 50 },
+            xaxis: { title: `Potencia ${nombre.toLowerCase()} (GW)` },
+            yaxis: { title: '€/MWh' },
+            yaxis2: { title: '% del precio base', overlaying: 'y', side: 'right',
+                      showgrid: false, rangemode: 'tozero' },
+            legend: { orientation: 'h', y: -0.28, font: { size: 8 } },
+            shapes: actualGW === null ? [] : [_vline(actualGW, C.ref2025.line, 'dot')],
+        });
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
+    // =====================================================================
+    //  11. EMBALSE HIDRÁULICO
+    // =====================================================================
+
+    /**
+     * Nivel del embalse a fin de cada mes frente a la curva guía.
+     * @param {string} divId
+     * @param {Object} embalse - R.embalse (modeloHidro = 'embalse')
+     */
+    function plotEmbalse(divId, embalse) {
+        if (!embalse) return;
+        const x = SEF.MESES;
+
+        const traces = [
+            {
+                x, y: embalse.nivelMensualPct, name: 'Nivel fin de mes',
+                type: 'scatter', mode: 'lines+markers', fill: 'tozeroy',
+                line: { color: C.hidro.line, width: 2 }, fillcolor: C.hidro.fill, marker: { size: 5 },
+                hovertemplate: '%{x}: %{y:.0f}%<extra>Nivel</extra>',
+            },
+            {
+                x, y: SEF.HIDRO_EMBALSE.nivelObjetivo.map(v => v * 100), name: 'Curva guía',
+                type: 'scatter', mode: 'lines',
+                line: { color: C.ref2025.line, width: 1.5, dash: 'dash' },
+                hovertemplate: '%{x}: %{y:.0f}%<extra>Curva guía</extra>',
+            },
+        ];
+
+        const lyt = layout({
+            margin: { t: 10, r: 10, b: 35, l: 45 },
+            yaxis: { title: '% capacidad', range: [0, 105] },
+            hovermode: 'x unified',
+            legend: { orientation: 'h', y: -0.2, font: { size: 8 } },
+        });
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
+    // =====================================================================
+    //  12. SUFICIENCIA (LOLP)
+    // =====================================================================
+
+    /**
+     * Probabilidad de corte (LOLP) por hora del día o por mes. Si hay un
+     * conjunto de semillas, superpone su media.
+     * @param {string} divId
+     * @param {Object} suficiencia - R.suficiencia
+     * @param {Object} [opts] - { eje: 'hora' | 'mes', agregado: SEF.Suficiencia.agregar() }
+     */
+    function plotLOLP(divId, suficiencia, opts = {}) {
+        if (!suficiencia) return;
+        const porMes = opts.eje === 'mes';
+        const clave  = porMes ? 'lolpMes' : 'lolpHora';
+        const x      = porMes ? SEF.MESES : Array.from({ length: 24 }, (_, i) => i);
+        const pct    = arr => arr.map(v => v * 100);
+
+        const traces = [{
+            x, y: pct(suficiencia[clave]), name: 'Semilla simulada',
+            type: 'bar', marker: { color: C.deficit.line },
+            hovertemplate: '%{x}: %{y:.2f}%<extra>LOLP</extra>',
+        }];
+        if (opts.agregado) {
+            traces.push({
+                x, y: pct(opts.agregado[clave]), name: `Media ${opts.agregado.semillas} semillas`,
+                type: 'scatter', mode: 'lines+markers',
+                line: { color: C.ref2025.line, width: 2 }, marker: { size: 4 },
+                hovertemplate: '%{x}: %{y:.2f}%<extra>Media conjunto</extra>',
+            });
+        }
+
+        const lyt = layout({
+            margin: { t: 10, r: 10, b: 35, l: 45 },
+            xaxis: porMes ? {} : { title: 'Hora del día', dtick: 3 },
+            yaxis: { title: 'LOLP (%)', rangemode: 'tozero' },
+            hovermode: 'x unified',
+            legend: { orientation: 'h', y: -0.2, font: { size: 8 } },
+        });
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
+    // =====================================================================
+    //  13. VEHÍCULO ELÉCTRICO
+    // =====================================================================
+
+    /**
+     * Perfil medio diario de la recarga y del V2G del parque eléctrico.
+     * @param {string} divId
+     * @param {Object} vehiculos - R.vehiculos (vehiculosElectricos > 0)
+     */
+    function plotVehiculos(divId, vehiculos) {
+        if (!vehiculos) return;
+        const x = Array.from({ length: 24 }, (_, i) => i);
+
+        const traces = [{
+            x, y: vehiculos.cargaMediaHora, name: 'Recarga',
+            type: 'bar', marker: { color: C.importar.fill },
+            hovertemplate: '%{x} h: %{y:.1f} GW<extra>Recarga</extra>',
+        }];
+        if (vehiculos.v2gTWh > 0) {
+            traces.push({
+                x, y: vehiculos.v2gMediaHora.map(v => -v), name: 'V2G (a la red)',
+                type: 'bar', marker: { color: C.baterias.fill },
+                hovertemplate: '%{x} h: %{y:.2f} GW<extra>V2G</extra>',
+            });
+        }
+
+        const lyt = layout({
+            margin: { t: 10, r: 10, b: 35, l: 45 },
+            barmode: 'relative',
+            xaxis: { title: 'Hora del día', dtick: 3 },
+            yaxis: { title: 'GW medios', zeroline: true, zerolinecolor: 'rgba(148,163,184,0.25)' },
+            hovermode: 'x unified',
+            legend: { orientation: 'h', y: -0.2, font: { size: 8 } },
+        });
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
+    // =====================================================================
+    //  14. BOMBAS DE CALOR
+    // =====================================================================
+
+    /**
+     * Consumo mensual de las bombas de calor por uso.
+     * @param {string} divId
+     * @param {Object} climatizacion - R.climatizacion (bombasCalorM > 0)
+     */
+    function plotClimatizacion(divId, climatizacion) {
+        if (!climatizacion) return;
+        const x = SEF.MESES;
+
+        const traces = [{
+            x, y: climatizacion.calefaccionMensualTWh, name: 'Calefacción',
+            type: 'bar', marker: { color: C.nuclear.fill },
+            hovertemplate: '%{x}: %{y:.2f} TWh<extra>Calefacción</extra>',
+        }, {
+            x, y: climatizacion.refrigeracionMensualTWh, name: 'Refrigeración',
+            type: 'bar', marker: { color: C.hidro.fill },
+            hovertemplate: '%{x}: %{y:.2f} TWh<extra>Refrigeración</extra>',
+        }];
+
+        const lyt = layout({
+            margin: { t: 10, r: 10, b: 35, l: 45 },
+            barmode: 'stack',
+            yaxis: { title: 'TWh' },
+            hovermode: 'x unified',
+            legend: { orientation: 'h', y: -0.2, font: { size: 8 } },
+        });
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
+    // =====================================================================
+    //  15. AUTOCONSUMO
+    // =====================================================================
+
+    /**
+     * Curva de pato: demanda media por hora antes y después del autoconsumo.
+     * @param {string} divId
+     * @param {Object} autoconsumo - R.autoconsumo (autoconsumoGW > 0)
+     */
+    function plotAutoconsumo(divId, autoconsumo) {
+        if (!autoconsumo) return;
+        const x = Array.from({ length: 24 }, (_, i) => i);
+
+        const traces = [{
+            x, y: autoconsumo.demandaBrutaMediaHora, name: 'Demanda bruta',
+            type: 'scatter', mode: 'lines',
+            line: { color: C.demanda.line, width: 1.5, dash: 'dot' },
+            hovertemplate: '%{x} h: %{y:.1f} GW<extra>Bruta</extra>',
+        }, {
+            x, y: autoconsumo.demandaNetaMediaHora, name: 'Demanda neta (red)',
+            type: 'scatter', mode: 'lines', fill: 'tonexty',
+            line: { color: C.solar.line, width: 2 }, fillcolor: _conAlfa(C.solar.fill, 0.25),
+            hovertemplate: '%{x} h: %{y:.1f} GW<extra>Neta</extra>',
+        }];
+
+        const lyt = layout({
+            margin: { t: 10, r: 10, b: 35, l: 45 },
+            xaxis: { title: 'Hora del día', dtick: 3 },
+            yaxis: { title: 'GW medios' },
+            hovermode: 'x unified',
+            legend: { orientation: 'h', y: -0.2, font: { size: 8 } },
+        });
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
+    // =====================================================================
+    //  16. PARQUE SOLAR POR REGIONES
+    // =====================================================================
+
+    /**
+     * Factor de capacidad medio por hora del parque FV de suelo.
+     * @param {string} divId
+     * @param {Object} parqueSolar - R.parqueSolar (modeloSolar = 'regiones')
+     */
+    function plotParqueSolar(divId, parqueSolar) {
+        if (!parqueSolar) return;
+        const x = Array.from({ length: 24 }, (_, i) => i);
+
+        const traces = [{
+            x, y: parqueSolar.perfilMedioHora.map(v => v * 100), name: 'Factor de capacidad',
+            type: 'scatter', mode: 'lines', fill: 'tozeroy',
+            line: { color: C.solar.line, width: 2 }, fillcolor: _conAlfa(C.solar.fill, 0.25),
+            hovertemplate: '%{x} h: %{y:.1f}%<extra></extra>',
+        }];
+
+        const lyt = layout({
+            margin: { t: 10, r: 10, b: 35, l: 45 },
+            xaxis: { title: 'Hora del día', dtick: 3 },
+            yaxis: { title: '% de la potencia AC', rangemode: 'tozero' },
+            hovermode: 'x unified',
+            showlegend: false,
+        });
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
+    // =====================================================================
+    //  17. EÓLICA POR REGIONES
+    // =====================================================================
+
+    /**
+     * Factor de capacidad mensual de cada región eólica (la marina punteada).
+     * @param {string} divId
+     * @param {Object} parqueEolico - R.parqueEolico (modeloEolico = 'regiones')
+     */
+    function plotParqueEolico(divId, parqueEolico) {
+        if (!parqueEolico) return;
+        const x = SEF.MESES;
+
+        const traces = parqueEolico.regiones
+            .filter(r => !r.marina || r.potenciaGW > 0)
+            .map((r, i) => ({
+                x, y: r.factorMensual.map(v => v * 100), name: r.nombre,
+                type: 'scatter', mode: 'lines+markers',
+                line: { color: COLORES_COMPARACION[i % COLORES_COMPARACION.length], width: 1.5,
+                        dash: r.marina ? 'dot' : 'solid' },
+                marker: { size: 4 },
+                hovertemplate: `${r.nombre}: %{y:.1f}%<extra></extra>`,
+            }));
+
+        const lyt = layout({
+            margin: { t: 10, r: 10, b: 35, l: 45 },
+            yaxis: { title: 'Factor de capacidad (%)', rangemode: 'tozero' },
+            hovermode: 'x unified',
+            legend: { orientation: 'h', y: -0.22, font: { size: 8 } },
+        });
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
+    // =====================================================================
+    //  18. PRUEBAS DE ESTRÉS
+    // =====================================================================
+
+    /**
+     * Energía no suministrada de cada evento frente a su ventana sin evento,
+     * con el precio máximo alcanzado.
+     * @param {string} divId
+     * @param {Object} estres - Resultado de SEF.Estres.simularBateria
+     */
+    function plotEstres(divId, estres) {
+        if (!estres) return;
+        const x = estres.eventos.map(e => e.nombre);
+
+        const traces = [
+            {
+                x, y: estres.eventos.map(e => e.base.ensGWh), name: 'ENS sin evento',
+                type: 'bar', marker: { color: C.ref2025.line },
+                hovertemplate: '%{x}: %{y:.1f} GWh<extra>Sin evento</extra>',
+            },
+            {
+                x, y: estres.eventos.map(e => e.estres.ensGWh), name: 'ENS con evento',
+                type: 'bar', marker: { color: C.deficit.line },
+                hovertemplate: '%{x}: %{y:.1f} GWh<extra>Con evento</extra>',
+            },
+            {
+                x, y: estres.eventos.map(e => e.estres.precioMax), name: 'Precio máximo',
+                yaxis: 'y2', type: 'scatter', mode: 'markers',
+                marker: { color: C.precio.line, size: 9, symbol: 'diamond' },
+                hovertemplate: '%{x}: %{y:.0f} €/MWh<extra>Precio máx.</extra>',
+            },
+        ];
+
+        const lyt = layout({
+            margin: { t: 10, r: 45, b: 55, l: 50 },
+            barmode: 'group',
+            yaxis: { title: 'ENS en la ventana (GWh)', rangemode: 'tozero' },
+            yaxis2: { title: '€/MWh', overlaying: 'y', side: 'right', showgrid: false, rangemode: 'tozero' },
+            legend: { orientation: 'h', y: -0.3, font: { size: 8 } },
+        });
+
+        Plotly.newPlot(divId, traces, lyt, PLOTLY_CONFIG);
+    }
+
     // =====================================================================
     //  EXPORTAR AL NAMESPACE GLOBAL
     // =====================================================================
@@ -428,6 +1155,24 @@
         plotBarras,
         plotMensual,
         plotPreciosMensuales,
+        plotTrayectoria,
+        plotTrayectoriaCapacidades,
+        plotConjuntoKPIs,
+        plotBandaMensual,
+        plotComparacionMix,
+        plotComparacionMensual,
+        plotComparacionDuracion,
+        plotCostes,
+        plotCanibalizacion,
+        plotEmbalse,
+        plotLOLP,
+        plotVehiculos,
+        plotClimatizacion,
+        plotAutoconsumo,
+        plotParqueSolar,
+        plotParqueEolico,
+        plotEstres,
+        COLORES_COMPARACION,
     };
 
 })();
@@ -0,0 +1,157 @@
+/**
+ * ============================================================================
+ *  CLIENTE DE SIMULACIÓN (HILO PRINCIPAL)
+ * ============================================================================
+ *  Envía tareas al Web Worker de simulación y las expone como promesas con
+ *  informe de progreso. Solo hay una tarea vigente: lanzar otra cancela la
+ *  anterior. Cancelar termina el worker (un bucle síncrono no atiende
+ *  mensajes) y la siguiente tarea lo vuelve a crear.
+ *
+ *  Si el navegador no puede crear el worker (por ejemplo, al abrir
+ *  index.html desde file://), las tareas se ejecutan en el hilo principal
+ *  con SEF.Tareas, con idénticos resultados.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+
+    function errorCancelada() {
+        const err = new Error('Simulación cancelada');
+        err.cancelada = true;
+        return err;
+    }
+
+    class ClienteSimulacion {
+        /**
+         * @param {string} [urlWorker] - Ruta del script del worker
+         */
+        constructor(urlWorker = 'js/sim-worker.js') {
+            this.urlWorker  = urlWorker;
+            this.worker     = null;
+            this.disponible = typeof Worker !== 'undefined';
+            this.siguienteId = 1;
+            this.actual     = null;   // { id, modo, params, opciones, onProgreso, resolve, reject }
+        }
+
+        /** true si las tareas se ejecutan fuera del hilo principal */
+        get enSegundoPlano() {
+            return this.disponible;
+        }
+
+        /**
+         * Lanza una tarea, cancelando la que estuviera en curso.
+         *
+         * @param {string} modo - 'simular' | 'trayectoria' | 'conjunto' | 'barrido' | 'estres'
+         * @param {Object} params - Parámetros del escenario (se copian)
+         * @param {Object} [opciones] - Opciones del modo
+         * @param {Function} [onProgreso] - Recibe la fracción completada [0..1]
+         * @returns {Promise<Object>} Resultado; se rechaza con err.cancelada si se cancela
+         */
+        ejecutar(modo, params, opciones = {}, onProgreso = null) {
+            this.cancelar();
+
+            return new Promise((resolve, reject) => {
+                const tarea = {
+                    id: this.siguienteId++, modo,
+                    params: { ...params }, opciones: { ...opciones },
+                    onProgreso, resolve, reject,
+                };
+                this.actual = tarea;
+
+                if (this.disponible && this._asegurarWorker()) {
+                    this.worker.postMessage({
+                        tipo: 'iniciar', id: tarea.id, modo,
+                        params: tarea.params, opciones: tarea.opciones,
+                    });
+                } else {
+                    this._ejecutarLocal(tarea);
+                }
+            });
+        }
+
+        /**
+         * Cancela la tarea en curso (si la hay) y rechaza su promesa.
+         */
+        cancelar() {
+            const tarea = this.actual;
+            if (!tarea) return;
+            this.actual = null;
+
+            // Terminar el worker: la tarea obsoleta no sigue ocupándolo
+            if (this.worker) {
+                this.worker.terminate();
+                this.worker = null;
+            }
+            tarea.reject(errorCancelada());
+        }
+
+        /** Libera el worker */
+        destruir() {
+            this.cancelar();
+            if (this.worker) this.worker.terminate();
+            this.worker = null;
+        }
+
+        // ── Internos ─────────────────────────────────────────────────────
+
+        _asegurarWorker() {
+            if (this.worker) return true;
+            try {
+                this.worker = new Worker(this.urlWorker);
+            } catch (err) {
+                this.disponible = false;
+                return false;
+            }
+            this.worker.onmessage = evento => this._onMensaje(evento.data);
+            this.worker.onerror   = evento => this._onFallo(evento);
+            return true;
+        }
+
+        _onMensaje(msg) {
+            const tarea = this.actual;
+            if (!tarea || msg.id !== tarea.id) return;   // tarea obsoleta
+
+            if (msg.tipo === 'progreso') {
+                if (tarea.onProgreso) tarea.onProgreso(msg.fraccion);
+            } else if (msg.tipo === 'resultado') {
+                this.actual = null;
+                tarea.resolve(SEF.Tareas.desempaquetar(msg.modo, msg.resultado));
+            } else if (msg.tipo === 'error') {
+                this.actual = null;
+                tarea.reject(new Error(msg.mensaje));
+            }
+        }
+
+        /** El worker no pudo cargarse: se pasa a ejecución local */
+        _onFallo(evento) {
+            if (evento && evento.preventDefault) evento.preventDefault();
+            this.disponible = false;
+            if (this.worker) this.worker.terminate();
+            this.worker = null;
+            if (this.actual) this._ejecutarLocal(this.actual);
+        }
+
+        _ejecutarLocal(tarea) {
+            // Dejar que el navegador pinte el indicador antes del bucle
+            setTimeout(() => {
+                if (this.actual !== tarea) return;
+                try {
+                    const resultado = SEF.Tareas.ejecutar(tarea.modo, tarea.params,
+                                                          tarea.opciones, tarea.onProgreso);
+                    this.actual = null;
+                    tarea.resolve(resultado);
+                } catch (err) {
+                    this.actual = null;
+                    tarea.reject(err);
+                }
+            }, 30);
+        }
+    }
+
+    // Exportar al namespace global
+    SEF.ClienteSimulacion = ClienteSimulacion;
+})();
@@ -0,0 +1,147 @@
+/**
+ * ============================================================================
+ *  CLIMATIZACIÓN: BOMBAS DE CALOR Y AIRE ACONDICIONADO
+ * ============================================================================
+ *  Electrificación de la climatización de edificios (parámetro bombasCalorM,
+ *  millones de equipos) con la temperatura horaria del modelo de demanda:
+ *    - Calefacción: demanda térmica proporcional a los grados-hora por
+ *      debajo de TEMP_BASE_CALEFACCION, con un COP que cae con el frío
+ *    - Refrigeración: una parte de los equipos (reversibles) atiende los
+ *      grados-hora por encima de TEMP_BASE_REFRIGERACION, con un EER que
+ *      cae con el calor
+ *    - Uso horario: consigna reducida de madrugada y máximos al levantarse
+ *      y al volver a casa
+ *
+ *  La curva en U de generarSerieDemanda representa el parque actual; estos
+ *  equipos son el crecimiento adicional y su carga se suma a la demanda.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+    const C = SEF.CLIMATIZACION;
+
+    /** Temperatura de referencia del COP nominal (°C, ensayo EN 14511) */
+    const TEMP_NOMINAL_COP = 7;
+
+    /** Temperatura de referencia del EER (°C) */
+    const TEMP_NOMINAL_EER = 27;
+
+    /**
+     * COP de calefacción a una temperatura exterior.
+     * @param {number} copNominal - COP a 7 °C
+     * @param {number} temp - °C
+     * @returns {number}
+     */
+    function copCalefaccion(copNominal, temp) {
+        const cop = copNominal * (1 + 0.025 * (temp - TEMP_NOMINAL_COP));
+        return Math.max(1.3, Math.min(copNominal * 1.4, cop));
+    }
+
+    /**
+     * EER de refrigeración a una temperatura exterior (algo mayor que el
+     * COP nominal y decreciente con el calor).
+     * @param {number} copNominal - COP a 7 °C
+     * @param {number} temp - °C
+     * @returns {number}
+     */
+    function eerRefrigeracion(copNominal, temp) {
+        const eer = (copNominal + 0.8) * (1 - 0.02 * (temp - TEMP_NOMINAL_EER));
+        return Math.max(1.5, Math.min(6, eer));
+    }
+
+    /**
+     * Carga eléctrica horaria de las bombas de calor.
+     *
+     * @param {Object} params - Usa bombasCalorM, copBombaCalor y el calendario
+     *        (el uso sigue la hora oficial)
+     * @param {ArrayLike<number>} temperatura - °C horarios
+     * @returns {Object} { cargaGW: Float64Array, calefaccionGW: Float64Array,
+     *                     refrigeracionGW: Float64Array, termicoCalorGWh, termicoFrioGWh }
+     */
+    function calcular(params, temperatura) {
+        const n = temperatura.length;
+        const cal = SEF.Calendario.deParams(params);
+        const millones = params.bombasCalorM;
+        const cargaGW = new Float64Array(n);
+        const calefaccionGW = new Float64Array(n);
+        const refrigeracionGW = new Float64Array(n);
+        let termicoCalorGWh = 0, termicoFrioGWh = 0;
+
+        for (let h = 0; h < n; h++) {
+            const temp = temperatura[h];
+            const uso = C.USO_HORARIO[cal.horaLocal[h]];
+            // Millones de equipos × kW térmicos = GW térmicos
+            const calor = millones * uso * C.KW_POR_GRADO_CALOR *
+                Math.max(0, C.TEMP_BASE_CALEFACCION - temp);
+            const frio = millones * C.FRACCION_REFRIGERACION * uso * C.KW_POR_GRADO_FRIO *
+                Math.max(0, temp - C.TEMP_BASE_REFRIGERACION);
+            calefaccionGW[h] = calor > 0 ? calor / copCalefaccion(params.copBombaCalor, temp) : 0;
+            refrigeracionGW[h] = frio > 0 ? frio / eerRefrigeracion(params.copBombaCalor, temp) : 0;
+            cargaGW[h] = calefaccionGW[h] + refrigeracionGW[h];
+            termicoCalorGWh += calor;
+            termicoFrioGWh += frio;
+        }
+        return { cargaGW, calefaccionGW, refrigeracionGW, termicoCalorGWh, termicoFrioGWh };
+    }
+
+    /**
+     * Resumen anual e impacto en la punta de demanda.
+     *
+     * @param {Object} params
+     * @param {Object} carga - Resultado de calcular()
+     * @param {ArrayLike<number>} demanda - Demanda horaria total (GW), con la carga
+     * @param {ArrayLike<number>} temperatura - °C horarios
+     * @returns {Object} { bombasM, demandaTWh, calefaccionTWh, refrigeracionTWh,
+     *                     copEstacional, eerEstacional, puntaGW, cargaEnPuntaGW,
+     *                     aumentoPuntaGW, tempPunta, calefaccionMensualTWh[12],
+     *                     refrigeracionMensualTWh[12] }
+     */
+    function resumen(params, carga, demanda, temperatura) {
+        const n = demanda.length;
+        const cal = SEF.Calendario.deParams(params);
+        const calefaccionMensualTWh = new Array(12).fill(0);
+        const refrigeracionMensualTWh = new Array(12).fill(0);
+        let calefaccionGWh = 0, refrigeracionGWh = 0, puntaGW = 0;
+        let puntaTotal = 0, horaPunta = 0, puntaSin = 0;
+        for (let h = 0; h < n; h++) {
+            const mes = cal.mesHora[h];
+            calefaccionGWh += carga.calefaccionGW[h];
+            refrigeracionGWh += carga.refrigeracionGW[h];
+            calefaccionMensualTWh[mes] += carga.calefaccionGW[h] / 1000;
+            refrigeracionMensualTWh[mes] += carga.refrigeracionGW[h] / 1000;
+            puntaGW = Math.max(puntaGW, carga.cargaGW[h]);
+            puntaSin = Math.max(puntaSin, demanda[h] - carga.cargaGW[h]);
+            if (demanda[h] > puntaTotal) {
+                puntaTotal = demanda[h];
+                horaPunta = h;
+            }
+        }
+        return {
+            bombasM:          params.bombasCalorM,
+            demandaTWh:       (calefaccionGWh + refrigeracionGWh) / 1000,
+            calefaccionTWh:   calefaccionGWh / 1000,
+            refrigeracionTWh: refrigeracionGWh / 1000,
+            copEstacional:    calefaccionGWh > 0 ? carga.termicoCalorGWh / calefaccionGWh : null,
+            eerEstacional:    refrigeracionGWh > 0 ? carga.termicoFrioGWh / refrigeracionGWh : null,
+            puntaGW,
+            // Carga coincidente con la punta del sistema y lo que la eleva
+            cargaEnPuntaGW:   carga.cargaGW[horaPunta] || 0,
+            aumentoPuntaGW:   puntaTotal - puntaSin,
+            tempPunta:        temperatura[horaPunta],
+            calefaccionMensualTWh,
+            refrigeracionMensualTWh,
+        };
+    }
+
+    // Exportar al namespace global
+    SEF.Climatizacion = {
+        copCalefaccion,
+        eerRefrigeracion,
+        calcular,
+        resumen,
+    };
+})();
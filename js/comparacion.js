@@ -0,0 +1,174 @@
+/**
+ * ============================================================================
+ *  COMPARACIÓN DE EJECUCIONES
+ * ============================================================================
+ *  Permite fijar varias simulaciones (p. ej. "PNIEC Base 2030" frente a
+ *  "Sin Nuclear" y una configuración propia) y compararlas:
+ *    - KPIs con diferencias absolutas y relativas frente a una referencia
+ *    - Resumen mensual y curva de duración de precios de cada ejecución
+ *    - Estado de cumplimiento PNIEC (evaluarPNIEC, compartido con el panel
+ *      lateral)
+ *
+ *  Solo se conserva lo necesario para comparar: el mix horario completo no
+ *  se guarda.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+
+    /** Número máximo de ejecuciones fijadas */
+    const MAX_FIJADAS = 6;
+
+    /**
+     * KPIs de la tabla comparativa. mejorSiMenor: true si un valor menor
+     * es mejor, false si es peor, null si es neutro.
+     */
+    const INDICADORES = [
+        { clave: 'precioMedioPonderado', nombre: 'Precio pond.',     unidad: '€/MWh', decimales: 1, mejorSiMenor: true },
+        { clave: 'precioMedio',          nombre: 'Precio medio',     unidad: '€/MWh', decimales: 1, mejorSiMenor: true },
+        { clave: 'emisionesAnuales',     nombre: 'Emisiones CO₂',    unidad: 'Mt',    decimales: 1, mejorSiMenor: true },
+        { clave: 'coberturaRenovable',   nombre: '% Renovable',      unidad: '%',     decimales: 1, mejorSiMenor: false },
+        { clave: 'coberturaRenovableTotal', nombre: '% Renov. + autoc.', unidad: '%',  decimales: 1, mejorSiMenor: false },
+        { clave: 'consumoGasTWh',        nombre: 'Gas',              unidad: 'TWh',   decimales: 1, mejorSiMenor: true },
+        { clave: 'vertidosTWh',          nombre: 'Vertidos',         unidad: 'TWh',   decimales: 1, mejorSiMenor: true },
+        { clave: 'produccionH2Kt',       nombre: 'H₂ verde',         unidad: 'kt',    decimales: 0, mejorSiMenor: false },
+        { clave: 'costeSistemaMWh',      nombre: 'Coste sistema',    unidad: '€/MWh', decimales: 1, mejorSiMenor: true },
+        { clave: 'inversionNecesariaM',  nombre: 'Inversión',        unidad: 'M€',    decimales: 0, mejorSiMenor: true },
+        { clave: 'precioCapturaSolar',   nombre: 'Captura solar',    unidad: '€/MWh', decimales: 1, mejorSiMenor: null },
+        { clave: 'precioCapturaEolica',  nombre: 'Captura eólica',   unidad: '€/MWh', decimales: 1, mejorSiMenor: null },
+        { clave: 'horasDeficit',         nombre: 'Horas déficit',    unidad: 'h',     decimales: 0, mejorSiMenor: true },
+        { clave: 'lole',                 nombre: 'LOLE',             unidad: 'h',     decimales: 0, mejorSiMenor: true },
+        { clave: 'eensGWh',              nombre: 'EENS',             unidad: 'GWh',   decimales: 0, mejorSiMenor: true },
+        { clave: 'horasPrecioNegativo',  nombre: 'Horas precio < 0', unidad: 'h',     decimales: 0, mejorSiMenor: null },
+        { clave: 'importacionesTWh',     nombre: 'Importaciones',    unidad: 'TWh',   decimales: 1, mejorSiMenor: null },
+        { clave: 'demandaAjustadaTWh',   nombre: 'Demanda',          unidad: 'TWh',   decimales: 0, mejorSiMenor: null },
+    ];
+
+    // ── Cumplimiento PNIEC ───────────────────────────────────────────────
+
+    /**
+     * Evalúa los objetivos PNIEC 2030 de una ejecución.
+     * @param {Object} params - Parámetros simulados
+     * @param {Object} R - Resultados (coberturaRenovableTotal, emisionesAnuales)
+     * @returns {Array<Object>} { indicador, objetivo, actual, status }
+     */
+    function evaluarPNIEC(params, R) {
+        const P = SEF.PNIEC_2030;
+        const almTotal = params.bateriasPotencia + params.bombeo;
+        // El objetivo PNIEC incluye el autoconsumo (generación y potencia FV)
+        const renovable = R.coberturaRenovableTotal ?? R.coberturaRenovable;
+        const solarTotal = params.solar + (params.autoconsumoGW || 0);
+        // y la eólica marina
+        const eolicaTotal = params.eolica + (params.eolicaMarina || 0);
+        return [
+            {
+                indicador: '% Renovables en generación',
+                objetivo: P.renovablesGeneracion + '%',
+                actual: renovable.toFixed(0) + '%',
+                status: renovable >= P.renovablesGeneracion ? 'cumple' :
+                        renovable >= 65 ? 'parcial' : 'no-cumple'
+            },
+            {
+                indicador: 'Emisiones CO₂ del sector eléctrico',
+                objetivo: '< ' + P.emisionesMax + ' Mt',
+                actual: R.emisionesAnuales.toFixed(1) + ' Mt',
+                status: R.emisionesAnuales <= P.emisionesMax ? 'cumple' :
+                        R.emisionesAnuales <= 45 ? 'parcial' : 'no-cumple'
+            },
+            {
+                indicador: 'Capacidad Solar FV instalada',
+                objetivo: P.solarGW + ' GW',
+                actual: solarTotal.toFixed(0) + ' GW',
+                status: solarTotal >= P.solarGW ? 'cumple' :
+                        solarTotal >= 60 ? 'parcial' : 'no-cumple'
+            },
+            {
+                indicador: 'Capacidad Eólica instalada',
+                objetivo: P.eolicaGW + ' GW',
+                actual: eolicaTotal.toFixed(0) + ' GW',
+                status: eolicaTotal >= P.eolicaGW ? 'cumple' :
+                        eolicaTotal >= 50 ? 'parcial' : 'no-cumple'
+            },
+            {
+                indicador: 'Almacenamiento total',
+                objetivo: P.almacenamientoGW + ' GW',
+                actual: almTotal.toFixed(1) + ' GW',
+                status: almTotal >= P.almacenamientoGW ? 'cumple' :
+                        almTotal >= 15 ? 'parcial' : 'no-cumple'
+            }
+        ];
+    }
+
+    // ── Ejecuciones fijadas ──────────────────────────────────────────────
+
+    /**
+     * Crea la instantánea de una ejecución para la comparación.
+     * @param {string} nombre - Etiqueta visible
+     * @param {Object} params - Parámetros simulados
+     * @param {Object} R - Resultados de simular()
+     * @returns {Object} { nombre, params, kpis, mensual, curvaDuracion, pniec }
+     */
+    function fijar(nombre, params, R) {
+        const curvaDuracion = Float64Array.from(R.precios).sort().reverse();
+        return {
+            nombre,
+            params: { ...params },
+            kpis: Object.fromEntries(INDICADORES.map(i => [i.clave, R[i.clave]])),
+            mensual: R.mensual.map(m => ({ ...m })),
+            curvaDuracion,
+            pniec: evaluarPNIEC(params, R),
+        };
+    }
+
+    /**
+     * Devuelve un nombre que no coincide con ninguno de los ya fijados
+     * ("Sin Nuclear", "Sin Nuclear #2"…).
+     * @param {string} nombre
+     * @param {Array<Object>} fijadas
+     * @returns {string}
+     */
+    function nombreUnico(nombre, fijadas) {
+        const usados = new Set(fijadas.map(f => f.nombre));
+        if (!usados.has(nombre)) return nombre;
+        let n = 2;
+        while (usados.has(`${nombre} #${n}`)) n++;
+        return `${nombre} #${n}`;
+    }
+
+    /**
+     * Filas de la tabla comparativa con diferencias frente a la referencia.
+     * @param {Array<Object>} fijadas - Instantáneas de fijar()
+     * @param {number} [indiceRef] - Ejecución de referencia
+     * @returns {Array<Object>} { clave, nombre, unidad, decimales, celdas[{ valor, delta, deltaPct, clase }] }
+     */
+    function tablaDeltas(fijadas, indiceRef = 0) {
+        const ref = fijadas[indiceRef];
+        return INDICADORES.map(ind => ({
+            ...ind,
+            celdas: fijadas.map((f, i) => {
+                const valor = f.kpis[ind.clave];
+                if (!ref || i === indiceRef) return { valor, delta: null, deltaPct: null, clase: '' };
+                const base = ref.kpis[ind.clave];
+                const delta = valor - base;
+                const deltaPct = base !== 0 ? delta / Math.abs(base) * 100 : null;
+                const clase = ind.mejorSiMenor === null || Math.abs(delta) < 1e-9 ? '' :
+                              (delta < 0) === ind.mejorSiMenor ? 'positive' : 'negative';
+                return { valor, delta, deltaPct, clase };
+            }),
+        }));
+    }
+
+    // Exportar al namespace global
+    SEF.Comparacion = {
+        MAX_FIJADAS,
+        INDICADORES,
+        evaluarPNIEC,
+        fijar,
+        nombreUnico,
+        tablaDeltas,
+    };
+})();
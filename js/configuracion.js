@@ -0,0 +1,158 @@
+/**
+ * ============================================================================
+ *  CONFIGURACIÓN: VALIDACIÓN, IMPORTACIÓN Y URL
+ * ============================================================================
+ *  Valida conjuntos de parámetros contra SEF.PARAMS_DEFAULT (claves y tipos),
+ *  SEF.RANGOS_PARAMS (límites de los sliders) y SEF.OPCIONES_PARAMS (valores
+ *  de los parámetros de texto), y codifica el estado de la interfaz en el
+ *  hash de la URL para compartir escenarios:
+ *
+ *    #esc=3&tab=escenarios&vista=dashboard&semana=25&nuclear=7&solar=76…
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+
+    /** Claves del hash que no son parámetros del simulador */
+    const CLAVES_ESTADO = {
+        escenario:    'esc',
+        tabActual:    'tab',
+        tabPrincipal: 'vista',
+        semanaVista:  'semana',
+    };
+
+    /** Descripción del tipo esperado en los mensajes de error */
+    const TIPOS = { number: 'un número', boolean: 'true/false', string: 'un texto' };
+
+    /**
+     * Valida un objeto de parámetros.
+     *  - Claves desconocidas → aviso (se ignoran)
+     *  - Tipo incorrecto o fuera de rango → error (se descartan)
+     *  - Claves ausentes → se conservan las de la base
+     *
+     * @param {Object} entrada - Parámetros (p. ej. el JSON de copiarConfig)
+     * @param {Object} [base] - Valores para las claves ausentes
+     * @returns {Object} { params, errores, avisos }
+     */
+    function validar(entrada, base = SEF.PARAMS_DEFAULT) {
+        const errores = [];
+        const avisos = [];
+        const params = { ...base };
+
+        if (!entrada || typeof entrada !== 'object' || Array.isArray(entrada)) {
+            return { params, errores: ['La configuración debe ser un objeto JSON'], avisos };
+        }
+
+        for (const [clave, valor] of Object.entries(entrada)) {
+            if (!(clave in SEF.PARAMS_DEFAULT)) {
+                avisos.push(`Parámetro desconocido ignorado: ${clave}`);
+                continue;
+            }
+            const tipo = typeof SEF.PARAMS_DEFAULT[clave];
+            if (typeof valor !== tipo || (tipo === 'number' && !Number.isFinite(valor))) {
+                errores.push(`${clave}: se esperaba ${TIPOS[tipo]}`);
+                continue;
+            }
+            const opciones = SEF.OPCIONES_PARAMS[clave];
+            if (opciones && !opciones.includes(valor)) {
+                errores.push(`${clave}: "${valor}" no es válido (${opciones.join(', ')})`);
+                continue;
+            }
+            const rango = SEF.RANGOS_PARAMS[clave];
+            if (rango && (valor < rango[0] || valor > rango[1])) {
+                errores.push(`${clave}: ${valor} fuera de rango [${rango[0]}, ${rango[1]}]`);
+                continue;
+            }
+            params[clave] = valor;
+        }
+
+        return { params, errores, avisos };
+    }
+
+    /**
+     * Interpreta el texto JSON de una configuración importada (el que
+     * produce copiarConfig). Avisa también de los parámetros ausentes.
+     * @param {string} texto
+     * @param {Object} [base]
+     * @returns {Object} { params, errores, avisos }
+     */
+    function importar(texto, base) {
+        let json;
+        try {
+            json = JSON.parse(texto);
+        } catch (err) {
+            const params = { ...(base || SEF.PARAMS_DEFAULT) };
+            return { params, errores: ['JSON no válido: ' + err.message], avisos: [] };
+        }
+        const res = validar(json, base);
+        if (!res.errores.length && json && typeof json === 'object') {
+            const ausentes = Object.keys(SEF.PARAMS_DEFAULT).filter(k => !(k in json));
+            if (ausentes.length) res.avisos.push(`Parámetros no indicados (se mantienen): ${ausentes.join(', ')}`);
+        }
+        return res;
+    }
+
+    // ── Hash de la URL ───────────────────────────────────────────────────
+
+    /**
+     * Codifica el estado completo en un hash de URL (sin '#').
+     * @param {Object} params
+     * @param {Object} [estado] - { escenario, tabActual, tabPrincipal, semanaVista }
+     * @returns {string}
+     */
+    function codificarHash(params, estado = {}) {
+        const q = new URLSearchParams();
+        for (const [campo, clave] of Object.entries(CLAVES_ESTADO)) {
+            if (estado[campo] !== undefined && estado[campo] !== null) q.set(clave, estado[campo]);
+        }
+        for (const clave of Object.keys(SEF.PARAMS_DEFAULT)) {
+            const v = params[clave];
+            if (v === undefined) continue;
+            q.set(clave, typeof v === 'boolean' ? (v ? '1' : '0') : String(v));
+        }
+        return q.toString();
+    }
+
+    /**
+     * Decodifica un hash de URL. Los parámetros inválidos se descartan y se
+     * informan en errores; el resto se aplica sobre la base.
+     *
+     * @param {string} hash - Con o sin '#'
+     * @param {Object} [base]
+     * @returns {Object} { params, estado, errores, avisos, vacio }
+     */
+    function decodificarHash(hash, base) {
+        const q = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        const estado = {};
+        const entrada = {};
+
+        for (const [campo, clave] of Object.entries(CLAVES_ESTADO)) {
+            if (q.has(clave)) estado[campo] = q.get(clave);
+            q.delete(clave);
+        }
+        if (estado.escenario !== undefined) estado.escenario = Number(estado.escenario);
+        if (estado.semanaVista !== undefined) estado.semanaVista = Number(estado.semanaVista);
+
+        for (const [clave, texto] of q) {
+            const defecto = SEF.PARAMS_DEFAULT[clave];
+            entrada[clave] = typeof defecto === 'boolean'
+                ? (texto === '1' || texto === 'true' ? true : texto === '0' || texto === 'false' ? false : texto)
+                : (typeof defecto === 'number' && texto.trim() !== '' ? Number(texto) : texto);
+        }
+
+        const vacio = !Object.keys(entrada).length && !Object.keys(estado).length;
+        return { ...validar(entrada, base), estado, vacio };
+    }
+
+    // Exportar al namespace global
+    SEF.Configuracion = {
+        validar,
+        importar,
+        codificarHash,
+        decodificarHash,
+    };
+})();
@@ -19,8 +19,12 @@
 
 'use strict';
 
-const SEF = window.SEF || {};
-window.SEF = SEF;
+// globalThis: válido en ventana, Web Worker y Node.js
+const SEF = globalThis.SEF || {};
+globalThis.SEF = SEF;
+
+// Versión del modelo (se incluye en los metadatos de exportación)
+SEF.VERSION = '2.0';
 
 // ── Datos reales de España 2025 ─────────────────────────────────────────────
 SEF.DATOS_2025 = Object.freeze({
@@ -57,13 +61,21 @@ SEF.MODEL = Object.freeze({
     HORAS_ANIO:         8760,
     LATITUD_ESPANA:     40.4,       // grados N (Madrid, representativa)
     FACTOR_CO2_GAS:     0.202,      // tCO₂ por MWh térmico de gas natural
-    EFICIENCIA_BAT:     0.90,       // round-trip baterías Li-ion
-    EFICIENCIA_BOMBEO:  0.75,       // round-trip bombeo hidráulico
     FC_NUCLEAR:         0.90,       // factor de capacidad nuclear
     AUTODESCARGA_BAT:   0.001,      // % por hora
     RAMPA_CCGT:         0.15,       // GW/hora rampa máxima por unidad
     MIN_ESTABLE_CCGT:   0.40,       // % de potencia mínima estable
     INERCIA_MIN_GW:     3.0,        // GW mínimos síncronos para estabilidad
+    TASA_DESCUENTO:     0.05,       // WACC real para anualizar inversiones
+    CAUDAL_ECOLOGICO:   0.05,       // fracción de la potencia hidráulica siempre turbinada
+    EMBALSE_GWH_POR_GW: 700,        // GWh de reserva por GW hidráulico instalado
+    VENTANA_EMBALSE:    168,        // horas de planificación del desembalse
+});
+
+// ── Horizonte temporal de planificación ────────────────────────────────────
+SEF.HORIZONTE = Object.freeze({
+    ANIO_INICIO: 2026,
+    ANIO_FIN:    2035,
 });
 
 // ── Temperaturas medias mensuales (Madrid, °C) ─────────────────────────────
@@ -71,6 +83,195 @@ SEF.TEMP_MENSUAL = Object.freeze([
     6.3, 7.9, 11.2, 13.7, 17.6, 23.4, 27.0, 26.4, 21.8, 15.8, 10.1, 6.9
 ]);
 
+// ── Embalses hidroeléctricos (modeloHidro = 'embalse') ──────────────────────
+//   aportacionMensual: fracción de las aportaciones anuales de cada mes
+//   nivelObjetivo:     curva guía de llenado (fracción de la capacidad)
+SEF.HIDRO_EMBALSE = Object.freeze({
+    aportacionMensual: Object.freeze([0.12, 0.12, 0.13, 0.12, 0.10, 0.07, 0.04, 0.03, 0.03, 0.05, 0.08, 0.11]),
+    nivelObjetivo:     Object.freeze([0.55, 0.60, 0.66, 0.72, 0.74, 0.70, 0.62, 0.52, 0.44, 0.40, 0.44, 0.50]),
+});
+
+// ── Zonas vecinas (modeloInterconexion = 'zonas') ──────────────────────────
+//   ntcImportacion / ntcExportacion: capacidad comercial hacia / desde España (GW)
+//   precioBase:   €/MWh medio con el gas de referencia (PARAMS_DEFAULT.precioGas)
+//   sensibilidadGas: fracción del precio que escala con el precio del gas
+//   estacional:   amplitud relativa invierno/verano; punta: €/MWh en la punta de tarde
+//   valleSolar:   €/MWh que baja el precio a mediodía con sol pleno
+//   viento:       €/MWh que baja el precio por cada 0,1 de factor eólico ibérico sobre la media
+//   volatilidad:  σ del ruido horario (€/MWh); pendiente: €/MWh por GW intercambiado
+SEF.ZONAS_VECINAS = Object.freeze({
+    portugal:  Object.freeze({ nombre: 'Portugal',  ntcImportacion: 3.5, ntcExportacion: 4.2,
+        precioBase: 72, sensibilidadGas: 0.6, estacional: 0.12, punta: 16, valleSolar: 30,
+        viento: 8, volatilidad: 6,  pendiente: 6 }),
+    francia:   Object.freeze({ nombre: 'Francia',   ntcImportacion: 3.0, ntcExportacion: 2.8,
+        precioBase: 72, sensibilidadGas: 0.4, estacional: 0.30, punta: 22, valleSolar: 14,
+        viento: 2, volatilidad: 14, pendiente: 2 }),
+    marruecos: Object.freeze({ nombre: 'Marruecos', ntcImportacion: 0.6, ntcExportacion: 0.9,
+        precioBase: 95, sensibilidadGas: 0.5, estacional: 0.05, punta: 20, valleSolar: 8,
+        viento: 0, volatilidad: 5,  pendiente: 15 }),
+});
+
+// ── Parque solar por regiones (modeloSolar = 'regiones') ───────────────────
+//   cuota:      fracción de la potencia FV instalada (reparto actual aproximado)
+//   latitud / longitud: grados (la longitud desplaza el mediodía solar)
+//   deltaTemp:  °C sobre la temperatura mensual de referencia (SEF.TEMP_MENSUAL)
+SEF.REGIONES_SOLARES = Object.freeze({
+    andalucia:        Object.freeze({ nombre: 'Andalucía',          cuota: 0.27, latitud: 37.4, longitud: -5.0, deltaTemp:  2.0 }),
+    extremadura:      Object.freeze({ nombre: 'Extremadura',        cuota: 0.20, latitud: 38.9, longitud: -6.3, deltaTemp:  1.0 }),
+    castillaLaMancha: Object.freeze({ nombre: 'Castilla-La Mancha', cuota: 0.20, latitud: 39.4, longitud: -3.0, deltaTemp:  0.0 }),
+    castillaYLeon:    Object.freeze({ nombre: 'Castilla y León',    cuota: 0.10, latitud: 41.6, longitud: -4.7, deltaTemp: -3.0 }),
+    aragon:           Object.freeze({ nombre: 'Aragón',             cuota: 0.10, latitud: 41.6, longitud: -0.9, deltaTemp: -1.0 }),
+    murcia:           Object.freeze({ nombre: 'Murcia',             cuota: 0.07, latitud: 38.0, longitud: -1.1, deltaTemp:  2.5 }),
+    valencia:         Object.freeze({ nombre: 'C. Valenciana',      cuota: 0.06, latitud: 39.5, longitud: -0.4, deltaTemp:  2.0 }),
+});
+
+// ── Geometría y pérdidas de la FV por regiones ─────────────────────────────
+//   LONGITUD_REFERENCIA: meridiano con mediodía solar a las 12 h del modelo
+//   INCLINACION_FIJA:   grados de la estructura fija orientada al sur
+//   FRACCION_DIFUSA:    difusa de cielo claro sobre la directa normal
+//   ESCALA:             1 / irradiancia nominal (1000 W/m² en unidades de
+//                       calcularSolar): potencia DC por unidad instalada
+//   RENDIMIENTO_DC:     suciedad, dispersión, cableado y disponibilidad
+//   COEF_TEMPERATURA:   pérdida de potencia por °C de célula sobre 25 °C
+//   CALENTAMIENTO:      °C de célula sobre el ambiente a irradiancia nominal
+SEF.SOLAR_REGIONES = Object.freeze({
+    LONGITUD_REFERENCIA: -3.7,
+    INCLINACION_FIJA:    30,
+    FRACCION_DIFUSA:     0.12,
+    ESCALA:              1.7,
+    RENDIMIENTO_DC:      0.85,
+    COEF_TEMPERATURA:    0.0035,
+    CALENTAMIENTO:       25,
+});
+
+// ── Eólica por regiones (modeloEolico = 'regiones') ────────────────────────
+//   cuota:      fracción de la eólica terrestre (la marina tiene potencia
+//               propia: eolicaMarina)
+//   base:       factor de capacidad medio de la región
+//   estacional: amplitud de la onda anual sobre la base
+//   mesMaximo:  mes (0 = enero) de más viento
+SEF.REGIONES_EOLICAS = Object.freeze({
+    galicia:       Object.freeze({ nombre: 'Galicia',         cuota: 0.22, base: 0.29, estacional: 0.13, mesMaximo: 0.5 }),
+    aragon:        Object.freeze({ nombre: 'Aragón',          cuota: 0.26, base: 0.30, estacional: 0.06, mesMaximo: 2.0 }),
+    castillaYLeon: Object.freeze({ nombre: 'Castilla y León', cuota: 0.34, base: 0.27, estacional: 0.11, mesMaximo: 1.0 }),
+    andalucia:     Object.freeze({ nombre: 'Andalucía',       cuota: 0.18, base: 0.26, estacional: 0.04, mesMaximo: 7.0 }),
+    marina:        Object.freeze({ nombre: 'Marina',          cuota: 0,    base: 0.40, estacional: 0.12, mesMaximo: 0.5, marina: true }),
+});
+
+// ── Dinámica de la eólica por regiones ─────────────────────────────────────
+//   PERSISTENCIA:        autocorrelación horaria del estado (como generarSerieViento)
+//   RUIDO:               desviación de la innovación horaria
+//   DISPERSION_SINOPTICA: desviación del multiplicador de cada bloque sinóptico
+//   DIURNO_TERRESTRE/MARINA: amplitud del ciclo diario (convección en tierra)
+//   MAX_TERRESTRE/MARINA: factor de capacidad máximo horario
+//   RELACION_MARINA:     marina / serie nacional con modeloEolico = 'simple'
+//   CALMA:               factor de capacidad por debajo del cual la hora es de calma
+SEF.EOLICA_REGIONES = Object.freeze({
+    PERSISTENCIA:         0.94,
+    RUIDO:                0.06,
+    DISPERSION_SINOPTICA: 0.40,
+    DIURNO_TERRESTRE:     0.08,
+    DIURNO_MARINA:        0.03,
+    MAX_TERRESTRE:        0.92,
+    MAX_MARINA:           0.95,
+    RELACION_MARINA:      1.40,
+    CALMA:                0.05,
+});
+
+// ── Hidrógeno verde (electrolizadorGW > 0) ─────────────────────────────────
+//   PCI_MWH_T:              MWh de H₂ por tonelada (poder calorífico inferior)
+//   EFICIENCIA_RECONVERSION: rendimiento eléctrico de la turbina/pila de H₂
+//   LLENADO_INICIAL:        fracción del almacén de H₂ al empezar el año
+SEF.HIDROGENO = Object.freeze({
+    PCI_MWH_T:               33.3,
+    EFICIENCIA_RECONVERSION:  0.50,
+    LLENADO_INICIAL:          0.5,
+});
+
+// ── Vehículo eléctrico (vehiculosElectricos > 0) ───────────────────────────
+//   CONSUMO_KWH_ANIO:  kWh por vehículo y año (~15.000 km a 15 kWh/100 km)
+//   POTENCIA_CARGA_KW: potencia media del punto de recarga
+//   CONECTADOS:        fracción del parque enchufada en cada hora del día
+//   V2G: potencia, energía diaria cedida por vehículo, rendimiento del ciclo
+//        y horas en que se ofrece (de HORA_INICIO a HORA_FIN, ambas incluidas)
+SEF.VEHICULOS = Object.freeze({
+    CONSUMO_KWH_ANIO:  2300,
+    POTENCIA_CARGA_KW:  7.4,
+    CONECTADOS: Object.freeze([
+        0.80, 0.80, 0.80, 0.80, 0.80, 0.75, 0.60, 0.35, 0.25, 0.30, 0.35, 0.35,
+        0.35, 0.35, 0.35, 0.35, 0.30, 0.35, 0.50, 0.65, 0.75, 0.80, 0.80, 0.80,
+    ]),
+    V2G: Object.freeze({ POTENCIA_KW: 7.0, ENERGIA_KWH: 10, EFICIENCIA: 0.85, HORA_INICIO: 17, HORA_FIN: 23 }),
+});
+
+// ── Bombas de calor (bombasCalorM > 0) ─────────────────────────────────────
+//   TEMP_BASE_*:       °C por debajo/encima de los que hay demanda térmica
+//   KW_POR_GRADO_*:    kW térmicos por equipo y grado-hora de diferencia
+//   FRACCION_REFRIGERACION: equipos que también refrigeran en verano
+//   USO_HORARIO:       factor de uso a lo largo del día (media ≈ 1)
+SEF.CLIMATIZACION = Object.freeze({
+    TEMP_BASE_CALEFACCION:   15,
+    TEMP_BASE_REFRIGERACION: 24,
+    KW_POR_GRADO_CALOR:      0.20,
+    KW_POR_GRADO_FRIO:       0.25,
+    FRACCION_REFRIGERACION:  0.6,
+    USO_HORARIO: Object.freeze([
+        0.55, 0.50, 0.50, 0.50, 0.55, 0.70, 1.10, 1.40, 1.35, 1.15, 1.00, 0.95,
+        1.00, 1.05, 1.05, 1.05, 1.10, 1.20, 1.35, 1.40, 1.35, 1.20, 0.95, 0.70,
+    ]),
+});
+
+// ── Autoconsumo solar tras el contador (autoconsumoGW > 0) ──────────────────
+//   RENDIMIENTO:        factor sobre la FV de suelo por orientación (inclinación
+//                       no óptima, sombras y suciedad de cubierta); el este-oeste
+//                       produce ≈ 88% de la energía de la orientación sur
+//   EXPONENTE_ESTE_OESTE: aplana el perfil (< 1: más hombros, menos pico)
+//   CONSUMO_POR_KW:     consumo medio del prosumidor por kW instalado (kW)
+//   HORAS_BATERIA:      duración de las baterías domésticas (h)
+SEF.AUTOCONSUMO = Object.freeze({
+    RENDIMIENTO: Object.freeze({ sur: 0.90, esteOeste: 0.55 }),
+    EXPONENTE_ESTE_OESTE: 0.7,
+    CONSUMO_POR_KW:       0.16,
+    HORAS_BATERIA:        2,
+    EFICIENCIA_BATERIA:   0.90,
+});
+
+// ── Pruebas de estrés (SEF.Estres) ──────────────────────────────────────────
+// Episodios que se inyectan en las series horarias durante una ventana:
+//   dia, dias:     inicio (día del año, 0 = 1 de enero) y duración
+//   viento:        multiplicador del factor eólico (terrestre y marino)
+//   nubes:         multiplicador de la irradiancia (nubosidad)
+//   deltaTemp:     °C sumados a la temperatura del modelo de demanda
+//   gas:           fracción del parque CCGT con suministro de gas
+//   interconexion: fracción de la capacidad de intercambio disponible
+SEF.EVENTOS_ESTRES = Object.freeze({
+    dunkelflaute: Object.freeze({
+        nombre: 'Dunkelflaute invernal', dia: 14, dias: 7,
+        viento: 0.25, nubes: 0.45, deltaTemp: -3,
+        descripcion: 'Anticiclón de invierno: una semana de calma y cielos cubiertos',
+    }),
+    olaCalor: Object.freeze({
+        nombre: 'Ola de calor', dia: 195, dias: 10,
+        viento: 0.6, deltaTemp: 7,
+        descripcion: 'Diez días de julio a +7 °C con poco viento: punta de refrigeración',
+    }),
+    olaFrio: Object.freeze({
+        nombre: 'Ola de frío', dia: 34, dias: 7,
+        viento: 0.7, nubes: 0.8, deltaTemp: -8,
+        descripcion: 'Irrupción de aire polar en febrero: punta de calefacción',
+    }),
+    corteGas: Object.freeze({
+        nombre: 'Corte de suministro de gas', dia: 14, dias: 14,
+        gas: 0.4, viento: 0.6, deltaTemp: -2,
+        descripcion: 'Dos semanas de invierno frío y poco viento con el 60% del parque CCGT sin gas',
+    }),
+    caidaInterconexion: Object.freeze({
+        nombre: 'Caída de interconexiones', dia: 19, dias: 5,
+        interconexion: 0, viento: 0.5,
+        descripcion: 'Fallo de las líneas con Francia, Portugal y Marruecos en cinco días de poco viento',
+    }),
+});
+
 // ── Factores de capacidad históricos (España) ───────────────────────────────
 SEF.FC_HISTORICOS = Object.freeze({
     nuclear: 0.90,
@@ -84,12 +285,33 @@ SEF.COSTES_REF = Object.freeze({
     nuclear:     35,
     solarFV:     28,
     eolica:      32,
+    eolicaMarina: 95,
     hidro:       40,
     ccgt:        85,     // variable, depende de gas y CO₂
     baterias:    55,     // LCOS (€/MWh almacenado y descargado)
     bombeo:      45,
 });
 
+// ── Costes de inversión y operación por tecnología (€2025) ──────────────────
+//   capex:        €/kW de potencia (nuclear e hidráulica: extensión de vida)
+//   capexEnergia: €/kWh de capacidad de almacenamiento
+//   vida:         años de amortización
+//   omFijo:       €/kW·año
+//   omVariable:   €/MWh generado (nuclear: incluye combustible)
+SEF.COSTES_TECNOLOGIA = Object.freeze({
+    nuclear:    { capex: 1000, vida: 20, omFijo: 130, omVariable:  8 },
+    solar:      { capex:  550, vida: 30, omFijo:  11, omVariable:  0 },
+    eolica:     { capex: 1050, vida: 25, omFijo:  28, omVariable:  2 },
+    eolicaMarina: { capex: 3200, vida: 25, omFijo:  80, omVariable:  3 },  // flotante
+    hidraulica: { capex: 1000, vida: 50, omFijo:  15, omVariable:  2 },
+    ccgt:       { capex:  750, vida: 30, omFijo:  20 },     // variable: params.omCCGT
+    baterias:   { capex:  150, capexEnergia: 180, vida: 15, omFijo:  8 },  // ciclado: params.cicladoBaterias
+    bombeo:     { capex: 1200, capexEnergia:  20, vida: 60, omFijo: 15 },  // ciclado: params.cicladoBombeo
+    electrolizador: { capex: 1100, vida: 20, omFijo: 33 },
+    almacenH2:  { capex:    0, capexEnergia: 0.5, vida: 40, omFijo:  0 },   // caverna salina
+    reconversionH2: { capex:  900, vida: 30, omFijo: 15, omVariable: 5 },   // turbina de H₂
+});
+
 // ── Colores del sistema para gráficos ───────────────────────────────────────
 SEF.COLORES = Object.freeze({
     nuclear:   { fill: 'rgba(239, 68, 68, 0.85)',  line: '#ef4444', label: '#fca5a5' },
@@ -104,6 +326,7 @@ SEF.COLORES = Object.freeze({
     demanda:   { fill: 'rgba(255,255,255,0.0)',      line: '#f8fafc', label: '#f8fafc' },
     importar:  { fill: 'rgba(6, 182, 212, 0.70)',    line: '#06b6d4', label: '#67e8f9' },
     exportar:  { fill: 'rgba(20, 184, 166, 0.50)',   line: '#14b8a6', label: '#5eead4' },
+    hidrogeno: { fill: 'rgba(16, 185, 129, 0.60)',   line: '#10b981', label: '#6ee7b7' },
     precio:    { fill: 'rgba(0, 245, 212, 0.20)',    line: '#00f5d4', label: '#00f5d4' },
     ref2025:   { line: '#fbbf24', label: '#fbbf24' },
 });
@@ -155,6 +378,118 @@ SEF.PARAMS_DEFAULT = Object.freeze({
     precioImport:      90,
     precioExport:       5,
     precioEscasez:    350,
+    modeloPrecio:    'heuristico',
+    modeloCCGT:      'agregado',
+    modoAlmacenamiento: 'voraz',
+    horizonteAlmacenamiento: 24,
+    eficienciaBaterias: 0.90,
+    eficienciaBombeo:   0.75,
+    cicladoBaterias:   12,
+    cicladoBombeo:      1,
+    socInicialPct:     50,
+    modeloHidro:      'capacidad',
+    hidroAnualTWh:     32,
+    embalseInicialPct: 50,
+    restriccionInercia: false,
+    modeloInterconexion: 'agregado',
+    refuerzoPortugalGW:  0,
+    refuerzoFranciaGW:   0,
+    refuerzoMarruecosGW: 0,
+    electrolizadorGW:    0,
+    eficienciaElectrolizador: 0.65,
+    cargaMinimaElectrolizador: 10,
+    umbralElectrolizador: 30,
+    almacenH2GWh:      500,
+    reconversionH2GW:    0,
+    vehiculosElectricos: 0,
+    modoCargaVE:       'libre',
+    v2gPct:              0,
+    bombasCalorM:        0,
+    copBombaCalor:       3.2,
+    autoconsumoGW:       0,
+    orientacionAutoconsumo: 'sur',
+    bateriasAutoconsumoGWh: 0,
+    modeloSolar:       'simple',
+    seguidoresPct:      60,
+    ratioDCAC:           1.25,
+    modeloEolico:      'simple',
+    correlacionEolica:   0.5,
+    eolicaMarina:        0,
+    modeloCalendario:  'real',
+});
+
+// ── Rangos válidos de los parámetros (mismos límites que los sliders) ──────
+SEF.RANGOS_PARAMS = Object.freeze({
+    nuclear:            [0, 10],
+    solar:              [0, 150],
+    eolica:             [0, 100],
+    hidraulica:         [0, 25],
+    ccgt:               [0, 40],
+    bateriasPotencia:   [0, 50],
+    bateriasCapacidad:  [0, 200],
+    bombeo:             [0, 15],
+    bombeoCapacidad:    [0, 100],
+    precioGas:          [15, 120],
+    precioCO2:          [30, 150],
+    rendimientoCCGT:    [0.45, 0.62],
+    omCCGT:             [1, 8],
+    cargosSistema:      [5, 25],
+    perdidasRed:        [0, 0.08],
+    semilla:            [1, 9999],
+    demandaAnual:       [240, 300],
+    hidraulicidad:      [0.5, 1.5],
+    anioObjetivo:       [2026, 2035],
+    crecimientoDemanda: [-1, 2.5],
+    electrificacionTWh: [0, 8],
+    eficienciaDemanda:  [0, 8],
+    cierreNuclear:      [2028, 2035],
+    flexibilidadGW:     [0, 15],
+    flexibilidadPct:    [0, 20],
+    interconexion:      [0, 10],
+    precioImport:       [40, 180],
+    precioExport:       [0, 40],
+    precioEscasez:      [200, 600],
+    horizonteAlmacenamiento: [6, 72],
+    eficienciaBaterias: [0.70, 0.98],
+    eficienciaBombeo:   [0.60, 0.85],
+    cicladoBaterias:    [0, 40],
+    cicladoBombeo:      [0, 10],
+    socInicialPct:      [0, 100],
+    hidroAnualTWh:      [10, 50],
+    embalseInicialPct:  [0, 100],
+    refuerzoPortugalGW:  [0, 4],
+    refuerzoFranciaGW:   [0, 6],
+    refuerzoMarruecosGW: [0, 2],
+    electrolizadorGW:    [0, 30],
+    eficienciaElectrolizador: [0.55, 0.80],
+    cargaMinimaElectrolizador: [0, 50],
+    umbralElectrolizador: [0, 100],
+    almacenH2GWh:       [0, 5000],
+    reconversionH2GW:   [0, 10],
+    vehiculosElectricos: [0, 20],
+    v2gPct:             [0, 50],
+    bombasCalorM:       [0, 15],
+    copBombaCalor:      [2, 5],
+    autoconsumoGW:      [0, 40],
+    bateriasAutoconsumoGWh: [0, 40],
+    seguidoresPct:      [0, 100],
+    ratioDCAC:          [1, 1.6],
+    correlacionEolica:  [0, 1],
+    eolicaMarina:       [0, 10],
+});
+
+// ── Valores válidos de los parámetros de texto ──────────────────────────────
+SEF.OPCIONES_PARAMS = Object.freeze({
+    modeloPrecio: ['heuristico', 'ofertas'],
+    modeloCCGT:   ['agregado', 'unidades'],
+    modoAlmacenamiento: ['voraz', 'previsor'],
+    modeloHidro:  ['capacidad', 'embalse'],
+    modeloInterconexion: ['agregado', 'zonas'],
+    modoCargaVE:  ['libre', 'inteligente'],
+    orientacionAutoconsumo: ['sur', 'esteOeste'],
+    modeloSolar:  ['simple', 'regiones'],
+    modeloEolico: ['simple', 'regiones'],
+    modeloCalendario: ['real', 'simple'],
 });
 
 // ── Nombres de meses en español ─────────────────────────────────────────────
@@ -0,0 +1,166 @@
+/**
+ * ============================================================================
+ *  MÓDULO ECONÓMICO: COSTE DEL SISTEMA, LCOE E INVERSIÓN
+ * ============================================================================
+ *  Traduce el parque instalado y el despacho simulado a costes anuales:
+ *    - CAPEX anualizado (factor de recuperación de capital con
+ *      MODEL.TASA_DESCUENTO) y O&M fijo por tecnología
+ *    - O&M variable (y arranques CCGT), combustible gas y derechos de CO₂
+ *    - Ciclado del almacenamiento (degradación por MWh descargado)
+ *    - Factura de importaciones neta de ingresos por exportación
+ *
+ *  Los vertidos se valoran aparte (energía pagada y no aprovechada, ya
+ *  incluida en el CAPEX renovable): no se suman al total para no contarla
+ *  dos veces.
+ *
+ *  Unidades: GW × €/kW = M€; TWh × €/MWh = M€; Mt × €/t = M€.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+    const M = SEF.MODEL;
+    const CT = SEF.COSTES_TECNOLOGIA;
+
+    /** Tecnologías con coste propio (claves de SEF.COSTES_TECNOLOGIA) */
+    const TECNOLOGIAS = ['nuclear', 'solar', 'eolica', 'eolicaMarina', 'hidraulica', 'ccgt', 'baterias', 'bombeo'];
+
+    /** Parámetro de coste de ciclado (€/MWh descargado) de cada almacenamiento */
+    const CICLADO = { baterias: 'cicladoBaterias', bombeo: 'cicladoBombeo' };
+
+    /**
+     * Factor de recuperación de capital.
+     * @param {number} tasa - Tasa de descuento real
+     * @param {number} vida - Años
+     * @returns {number}
+     */
+    function factorAnualidad(tasa, vida) {
+        if (tasa === 0) return 1 / vida;
+        const f = Math.pow(1 + tasa, vida);
+        return tasa * f / (f - 1);
+    }
+
+    /** Potencia (GW) y capacidad (GWh) de cada tecnología según los parámetros */
+    function parque(params, R) {
+        return {
+            nuclear:    { gw: R.nuclearEfectivaGW ?? params.nuclear },
+            solar:      { gw: params.solar },
+            eolica:     { gw: params.eolica },
+            eolicaMarina: { gw: params.eolicaMarina },
+            hidraulica: { gw: params.hidraulica },
+            ccgt:       { gw: params.ccgt },
+            baterias:   { gw: params.bateriasPotencia, gwh: params.bateriasCapacidad },
+            bombeo:     { gw: params.bombeo, gwh: params.bombeoCapacidad },
+        };
+    }
+
+    /** Inversión inicial (M€) de una potencia y capacidad dadas */
+    function inversion(tec, gw, gwh = 0) {
+        return gw * CT[tec].capex + gwh * (CT[tec].capexEnergia || 0);
+    }
+
+    /**
+     * Calcula los costes anuales del sistema para una simulación.
+     *
+     * @param {Object} params - Parámetros simulados
+     * @param {Object} R - Resultados de simular() (sin necesidad del mix)
+     * @returns {Object} {
+     *   porTecnologia: { tec: { capex, omFijo, variable, combustible, total, energiaTWh, lcoe } },
+     *   componentes: { capex, omFijo, omVariable, combustible, co2, ciclado, importaciones },
+     *   totalM, costeMWh, vertidosM, inversionNecesariaM, inversionPorTecnologia
+     * }
+     */
+    function calcular(params, R) {
+        const P = parque(params, R);
+        const G = R.generacionTWh || {};
+        // La eólica del mix incluye la marina, que tiene costes propios
+        const marinaTWh = R.eolicaMarinaTWh || 0;
+        const energia = {
+            nuclear: G.nuclear || 0, solar: G.solar || 0, eolica: (G.eolica || 0) - marinaTWh,
+            eolicaMarina: marinaTWh,
+            hidraulica: G.hidraulica || 0, ccgt: R.consumoGasTWh,
+            baterias: R.descargaBateriasTWh || 0, bombeo: R.descargaBombeoTWh || 0,
+        };
+
+        // ── Costes por tecnología ────────────────────────────────────────
+        const porTecnologia = {};
+        for (const tec of TECNOLOGIAS) {
+            const c = CT[tec];
+            const capex = inversion(tec, P[tec].gw, P[tec].gwh) * factorAnualidad(M.TASA_DESCUENTO, c.vida);
+            const omFijo = P[tec].gw * c.omFijo;
+            const variable = tec === 'ccgt'
+                ? energia.ccgt * params.omCCGT + (R.costeArranquesM || 0)
+                : energia[tec] * (tec in CICLADO ? params[CICLADO[tec]] : c.omVariable ?? 0);
+            const total = capex + omFijo + variable;
+            porTecnologia[tec] = {
+                capex, omFijo, variable, combustible: 0, total,
+                energiaTWh: energia[tec],
+                lcoe: energia[tec] > 0 ? total / energia[tec] : null,
+            };
+        }
+
+        // ── Combustible, CO₂ e intercambios ──────────────────────────────
+        // Con grupos CCGT el combustible térmico viene del despacho (carga parcial)
+        const combustibleTWh = R.combustibleGasTWh ?? R.consumoGasTWh / Math.max(0.45, params.rendimientoCCGT);
+        const combustible = combustibleTWh * params.precioGas;
+        const co2 = R.emisionesAnuales * params.precioCO2;
+        // Por zonas (SEF.Interconexion), cada flujo al precio del vecino
+        const importaciones = R.intercambiosM ??
+            (R.importacionesTWh * params.precioImport - R.exportacionesTWh * params.precioExport);
+
+        porTecnologia.ccgt.combustible = combustible + co2;
+        porTecnologia.ccgt.total += combustible + co2;
+        porTecnologia.ccgt.lcoe = energia.ccgt > 0 ? porTecnologia.ccgt.total / energia.ccgt : null;
+
+        const suma = campo => TECNOLOGIAS.reduce((s, t) => s + porTecnologia[t][campo], 0);
+        const componentes = {
+            capex:       suma('capex'),
+            omFijo:      suma('omFijo'),
+            omVariable:  TECNOLOGIAS.filter(t => !(t in CICLADO)).reduce((s, t) => s + porTecnologia[t].variable, 0),
+            combustible,
+            co2,
+            ciclado:     porTecnologia.baterias.variable + porTecnologia.bombeo.variable,
+            importaciones,
+        };
+        const totalM = Object.values(componentes).reduce((a, b) => a + b, 0);
+
+        const demandaServidaTWh = R.demandaAjustadaTWh - (R.energiaNoSuministradaTWh || 0);
+
+        // Vertidos valorados al LCOE medio de solar y eólica
+        const renTWh = energia.solar + energia.eolica + energia.eolicaMarina;
+        const lcoeRenovable = renTWh > 0
+            ? (porTecnologia.solar.total + porTecnologia.eolica.total + porTecnologia.eolicaMarina.total) / renTWh
+            : 0;
+
+        // ── Inversión necesaria frente al parque actual (PARAMS_DEFAULT) ─
+        // Nuclear e hidráulica no crecen: su CAPEX es extensión de vida
+        const B = parque(SEF.PARAMS_DEFAULT, {});
+        const inversionPorTecnologia = {};
+        for (const tec of ['solar', 'eolica', 'eolicaMarina', 'ccgt', 'baterias', 'bombeo']) {
+            inversionPorTecnologia[tec] = inversion(tec,
+                Math.max(0, P[tec].gw - B[tec].gw),
+                Math.max(0, (P[tec].gwh || 0) - (B[tec].gwh || 0)));
+        }
+        const inversionNecesariaM = Object.values(inversionPorTecnologia).reduce((a, b) => a + b, 0);
+
+        return {
+            porTecnologia,
+            componentes,
+            totalM,
+            costeMWh: demandaServidaTWh > 0 ? totalM / demandaServidaTWh : 0,
+            vertidosM: R.vertidosTWh * lcoeRenovable,
+            inversionNecesariaM,
+            inversionPorTecnologia,
+        };
+    }
+
+    // Exportar al namespace global
+    SEF.Economia = {
+        TECNOLOGIAS,
+        factorAnualidad,
+        calcular,
+    };
+})();
@@ -0,0 +1,255 @@
+/**
+ * ============================================================================
+ *  PRUEBAS DE ESTRÉS: EPISODIOS METEOROLÓGICOS Y FALLOS DE SUMINISTRO
+ * ============================================================================
+ *  Inyecta en las series horarias un episodio de SEF.EVENTOS_ESTRES (o uno
+ *  definido a mano) durante una ventana de días:
+ *    - Dunkelflaute: viento y sol muy por debajo de lo normal en invierno
+ *    - Olas de calor y de frío: la temperatura del modelo de demanda se
+ *      desplaza (demanda sensible a temperatura y bombas de calor)
+ *    - Corte de gas: solo una fracción del parque CCGT puede producir
+ *    - Caída de interconexiones: capacidad de intercambio reducida
+ *
+ *  El simulador registra la ventana (RegistroVentana) y el resultado se
+ *  compara con la misma ventana de la simulación sin evento: energía no
+ *  suministrada, picos de precio y vaciado del almacenamiento. Fuera de la
+ *  ventana las series no cambian (mismas semillas).
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+    const M = SEF.MODEL;
+
+    /** Modificadores sin efecto: la ventana reproduce la simulación base */
+    const NEUTRO = Object.freeze({ viento: 1, nubes: 1, deltaTemp: 0, gas: 1, interconexion: 1 });
+
+    /** Llenado por debajo del cual el almacenamiento se da por agotado (%) */
+    const UMBRAL_AGOTADO = 5;
+
+    /**
+     * Evento normalizado con su ventana horaria.
+     * @param {string|Object} ref - Clave de SEF.EVENTOS_ESTRES o evento propio
+     *        ({ dia, dias, viento, nubes, deltaTemp, gas, interconexion })
+     * @param {number} [horas] - Horas del año simulado (calendario)
+     * @returns {Object} Evento con todos los modificadores, clave, inicio y fin (h)
+     */
+    function evento(ref, horas = M.HORAS_ANIO) {
+        const def = typeof ref === 'string' ? SEF.EVENTOS_ESTRES[ref] : ref;
+        if (!def) throw new Error(`Evento de estrés desconocido: ${ref}`);
+        const inicio = Math.max(0, Math.min(horas - 24, Math.round(def.dia) * 24));
+        const fin = Math.min(horas, inicio + Math.max(1, Math.round(def.dias)) * 24);
+        return {
+            ...NEUTRO, nombre: 'Evento personalizado', descripcion: '', ...def,
+            clave: typeof ref === 'string' ? ref : def.clave || 'personalizado',
+            inicio, fin,
+        };
+    }
+
+    /**
+     * Modificadores de una hora: los del evento dentro de su ventana.
+     * @param {Object|null} ev - Evento normalizado
+     * @param {number} h - Hora del año
+     * @returns {Object}
+     */
+    function modificadores(ev, h) {
+        return ev && h >= ev.inicio && h < ev.fin ? ev : NEUTRO;
+    }
+
+    /**
+     * Copia de una serie con la ventana del evento multiplicada por uno de
+     * sus modificadores.
+     * @param {ArrayLike<number>} serie
+     * @param {Object} ev - Evento normalizado
+     * @param {string} clave - 'viento' | 'nubes'
+     * @returns {Float64Array}
+     */
+    function escalar(serie, ev, clave) {
+        const copia = Float64Array.from(serie);
+        for (let h = ev.inicio; h < ev.fin; h++) copia[h] *= ev[clave];
+        return copia;
+    }
+
+    /**
+     * Indicadores de una ventana horaria recogidos durante la simulación.
+     */
+    class RegistroVentana {
+        /**
+         * @param {Object} ventana - { inicio, fin } en horas del año
+         * @param {Object} capacidades - GWh por almacenamiento (baterias,
+         *        bombeo, embalse, hidrogeno); los de capacidad 0 se omiten
+         * @param {Object} niveles - GWh almacenados al empezar el año
+         */
+        constructor(ventana, capacidades, niveles) {
+            this.inicio = ventana.inicio;
+            this.fin = ventana.fin;
+            this.capacidades = Object.fromEntries(Object.entries(capacidades).filter(([, c]) => c > 0));
+            this.inicial = niveles;
+            this.minimo = { ...niveles };
+            this.final = niveles;
+            this.horasAgotado = Object.fromEntries(Object.keys(this.capacidades).map(k => [k, 0]));
+            this.demandaGWh = 0;
+            this.ensGWh = 0;
+            this.horasDeficit = 0;
+            this.maxDeficitGW = 0;
+            this.precioSuma = 0;
+            this.precioMax = -Infinity;
+            this.horasPrecioAlto = 0;
+            this.gasGWh = 0;
+            this.gasSobreLimiteGWh = 0;
+            this.importacionGWh = 0;
+            this.renovableGWh = 0;
+        }
+
+        /**
+         * Registra una hora ya despachada.
+         * @param {number} h - Hora del año
+         * @param {Object} gen - Despacho de la hora
+         * @param {number} demandaGW
+         * @param {number} ensGW - Energía no suministrada
+         * @param {number} precio - €/MWh
+         * @param {Object} niveles - GWh almacenados al acabar la hora
+         * @param {number} [gasSobreLimiteGW] - Gas de grupos que no pueden
+         *        parar por encima del suministro disponible
+         */
+        registrar(h, gen, demandaGW, ensGW, precio, niveles, gasSobreLimiteGW = 0) {
+            if (h < this.inicio) {
+                // Estado al abrir la ventana: el de la hora anterior
+                this.inicial = niveles;
+                this.minimo = { ...niveles };
+                return;
+            }
+            if (h >= this.fin) return;
+
+            this.demandaGWh += demandaGW;
+            this.ensGWh += ensGW;
+            if (ensGW > 0.3) this.horasDeficit++;
+            this.maxDeficitGW = Math.max(this.maxDeficitGW, ensGW);
+            this.precioSuma += precio;
+            this.precioMax = Math.max(this.precioMax, precio);
+            if (precio > 150) this.horasPrecioAlto++;
+            this.gasGWh += gen.gas;
+            this.gasSobreLimiteGWh += gasSobreLimiteGW;
+            this.importacionGWh += gen.importacion;
+            this.renovableGWh += gen.solar + gen.eolica;
+            for (const k of Object.keys(this.capacidades)) {
+                this.minimo[k] = Math.min(this.minimo[k], niveles[k]);
+                if (niveles[k] / this.capacidades[k] * 100 < UMBRAL_AGOTADO) this.horasAgotado[k]++;
+            }
+            this.final = niveles;
+        }
+
+        /**
+         * Resumen de la ventana.
+         * @returns {Object} { inicio, fin, dias, demandaGWh, ensGWh, horasDeficit,
+         *   maxDeficitGW, precioMedio, precioMax, horasPrecioAlto, gasGWh,
+         *   gasSobreLimiteGWh, importacionGWh, renovableGWh,
+         *   almacenamiento{ [tec]: { capacidadGWh, inicialPct, minimoPct, finalPct, horasAgotado } } }
+         */
+        resumen() {
+            const horas = this.fin - this.inicio;
+            const pct = (k, nivel) => nivel[k] / this.capacidades[k] * 100;
+            return {
+                inicio:          this.inicio,
+                fin:             this.fin,
+                dias:            horas / 24,
+                demandaGWh:      this.demandaGWh,
+                ensGWh:          this.ensGWh,
+                horasDeficit:    this.horasDeficit,
+                maxDeficitGW:    this.maxDeficitGW,
+                precioMedio:     this.precioSuma / horas,
+                precioMax:       this.precioMax,
+                horasPrecioAlto: this.horasPrecioAlto,
+                gasGWh:          this.gasGWh,
+                gasSobreLimiteGWh: this.gasSobreLimiteGWh,
+                importacionGWh:  this.importacionGWh,
+                renovableGWh:    this.renovableGWh,
+                almacenamiento: Object.fromEntries(Object.entries(this.capacidades).map(([k, c]) => [k, {
+                    capacidadGWh: c,
+                    inicialPct:   pct(k, this.inicial),
+                    minimoPct:    pct(k, this.minimo),
+                    finalPct:     pct(k, this.final),
+                    horasAgotado: this.horasAgotado[k],
+                }])),
+            };
+        }
+    }
+
+    /**
+     * Compara la ventana con y sin evento.
+     * @param {Object} ev - Evento normalizado
+     * @param {Object} base - Resumen de la ventana sin evento
+     * @param {Object} estres - Resumen de la ventana con el evento
+     * @returns {Object} { clave, nombre, descripcion, dia, dias, modificadores,
+     *                     base, estres, diferencia }
+     */
+    function comparar(ev, base, estres) {
+        const CLAVES = ['ensGWh', 'horasDeficit', 'precioMedio', 'precioMax', 'horasPrecioAlto',
+                        'gasGWh', 'gasSobreLimiteGWh', 'importacionGWh', 'demandaGWh'];
+        return {
+            clave:       ev.clave,
+            nombre:      ev.nombre,
+            descripcion: ev.descripcion,
+            dia:         ev.inicio / 24,
+            dias:        (ev.fin - ev.inicio) / 24,
+            modificadores: Object.fromEntries(Object.keys(NEUTRO).map(k => [k, ev[k]])),
+            base,
+            estres,
+            diferencia: Object.fromEntries(CLAVES.map(k => [k, estres[k] - base[k]])),
+        };
+    }
+
+    /**
+     * Prueba de estrés de un evento frente a la misma ventana sin él.
+     * @param {Object} params - Parámetros del escenario
+     * @param {string|Object} ref - Clave de SEF.EVENTOS_ESTRES o evento propio
+     * @param {Object} [opts] - { perfiles }
+     * @returns {Object} Resultado de comparar()
+     */
+    function simularEvento(params, ref, opts = {}) {
+        const ev = evento(ref, SEF.Calendario.deParams(params).horas);
+        const base = new SEF.SimuladorElectrico(params, { perfiles: opts.perfiles, ventanas: [ev] }).simular();
+        const R = new SEF.SimuladorElectrico(params, { perfiles: opts.perfiles, evento: ev }).simular();
+        return comparar(ev, base.ventanas[0], R.ventanas[0]);
+    }
+
+    /**
+     * Batería de pruebas: una simulación base que registra todas las
+     * ventanas y una simulación por evento.
+     *
+     * @param {Object} params - Parámetros del escenario
+     * @param {Object} [opts] - { eventos (claves u objetos; por defecto toda
+     *        la biblioteca), perfiles, onEvento(i) (0 = simulación base) }
+     * @returns {Object} { eventos[], base{ horasDeficit, eensGWh, precioMax } }
+     */
+    function simularBateria(params, opts = {}) {
+        const horas = SEF.Calendario.deParams(params).horas;
+        const eventos = (opts.eventos || Object.keys(SEF.EVENTOS_ESTRES)).map(ref => evento(ref, horas));
+        const base = new SEF.SimuladorElectrico(params, { perfiles: opts.perfiles, ventanas: eventos }).simular();
+        if (opts.onEvento) opts.onEvento(0);
+        const resultados = eventos.map((ev, i) => {
+            const R = new SEF.SimuladorElectrico(params, { perfiles: opts.perfiles, evento: ev }).simular();
+            if (opts.onEvento) opts.onEvento(i + 1);
+            return comparar(ev, base.ventanas[i], R.ventanas[0]);
+        });
+        return {
+            eventos: resultados,
+            base: { horasDeficit: base.horasDeficit, eensGWh: base.eensGWh, precioMax: base.precioMax },
+        };
+    }
+
+    // Exportar al namespace global
+    SEF.Estres = {
+        NEUTRO,
+        UMBRAL_AGOTADO,
+        evento,
+        modificadores,
+        escalar,
+        RegistroVentana,
+        simularEvento,
+        simularBateria,
+    };
+})();
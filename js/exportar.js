@@ -0,0 +1,224 @@
+/**
+ * ============================================================================
+ *  EXPORTACIÓN DE RESULTADOS
+ * ============================================================================
+ *  Convierte los resultados de una simulación en ficheros descargables:
+ *    - Tabla horaria de despacho (8760 u 8784 filas: fecha, demanda, precio
+ *      y cada campo del objeto gen por tecnología)
+ *    - Resumen mensual (_calcularResumenMensual)
+ *    - Bloque de KPIs
+ *  en CSV (con cabecera de metadatos en líneas '#') y en JSON columnar
+ *  (una matriz por columna, al estilo Parquet).
+ *
+ *  Lo usan la interfaz web y la CLI (cli/simular.js).
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+
+    /** Indicadores escalares que forman el bloque de KPIs */
+    const CLAVES_KPI = [
+        'precioMedio', 'precioMedioPonderado', 'precioP10', 'precioMediana',
+        'precioP90', 'precioMin', 'precioMax',
+        'emisionesAnuales', 'coberturaRenovable', 'dependenciaGas',
+        'consumoGasTWh', 'vertidosTWh', 'vertidosPct',
+        'horasGas', 'horasVertido', 'horasDeficit', 'maxDeficit',
+        'horasPrecioNegativo', 'horasPrecioAlto',
+        'importacionesTWh', 'exportacionesTWh',
+        'demandaFlexTWh', 'demandaReducidaTWh',
+        'horasImportacion', 'horasExportacion', 'horasFlex',
+        'demandaAjustadaTWh', 'nuclearEfectivaGW',
+        'descargaBateriasTWh', 'descargaBombeoTWh', 'energiaNoSuministradaTWh',
+        'costeSistemaM', 'costeSistemaMWh', 'inversionNecesariaM',
+        'arranquesCCGT', 'costeArranquesM',
+        'precioCapturaSolar', 'tasaCapturaSolar', 'precioCapturaEolica', 'tasaCapturaEolica',
+        'margenArbitrajeM',
+        'lole', 'eensGWh', 'margenFirmePct',
+        'horasInercia', 'costeInerciaM', 'emisionesInerciaMt',
+        'sobreproduccionTWh', 'horasSobreproduccion', 'gasSobreLimiteTWh', 'horasGasSobreLimite',
+        'produccionH2Kt', 'factorCargaElectrolizador', 'lcoh',
+        'demandaVETWh', 'puntaCargaVEGW', 'v2gTWh',
+        'demandaBombasCalorTWh', 'aumentoPuntaBombasGW',
+        'autoconsumoTWh', 'excedentesAutoconsumoTWh', 'coberturaRenovableTotal',
+        'recorteInversorTWh', 'rampaResidualGW',
+        'eolicaMarinaTWh', 'suavizadoEolicoPct',
+    ];
+
+    // ── Metadatos ────────────────────────────────────────────────────────
+
+    /**
+     * Construye el bloque de metadatos que acompaña a toda exportación.
+     * @param {Object} params - Parámetros simulados
+     * @param {Object} [extra] - Campos adicionales (escenario, modo…)
+     * @returns {Object}
+     */
+    function metadatos(params, extra = {}) {
+        return {
+            modelo: 'Simulador Sistema Eléctrico Español',
+            version: SEF.VERSION,
+            generado: new Date().toISOString(),
+            semilla: params.semilla,
+            ...extra,
+            params: { ...params },
+        };
+    }
+
+    /** Cabecera CSV: una línea '# clave: valor' por metadato */
+    function cabeceraCSV(meta) {
+        return Object.entries(meta).map(([k, v]) =>
+            `# ${k}: ${typeof v === 'object' ? JSON.stringify(v) : v}`).join('\n') + '\n';
+    }
+
+    // ── CSV ──────────────────────────────────────────────────────────────
+
+    function celdaCSV(v) {
+        if (typeof v === 'number') return Number.isInteger(v) ? String(v) : v.toFixed(4);
+        if (typeof v === 'boolean') return v ? 'true' : 'false';
+        const s = String(v ?? '');
+        return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    }
+
+    /**
+     * Serializa una tabla a CSV.
+     * @param {Array<string>} cabecera
+     * @param {Array<Array>} filas
+     * @param {Object} [meta] - Metadatos para la cabecera '#'
+     * @returns {string}
+     */
+    function tablaCSV(cabecera, filas, meta = null) {
+        const lineas = [cabecera.join(','), ...filas.map(f => f.map(celdaCSV).join(','))];
+        return (meta ? cabeceraCSV(meta) : '') + lineas.join('\n') + '\n';
+    }
+
+    // ── Tablas de resultados ─────────────────────────────────────────────
+
+    /** Bloque de KPIs escalares */
+    function kpis(R) {
+        return Object.fromEntries(CLAVES_KPI.filter(k => k in R).map(k => [k, R[k]]));
+    }
+
+    /**
+     * Tabla horaria en formato columnar: hora, fecha local (calendario
+     * real), día y mes locales, demanda, precio y todas las claves del
+     * objeto gen.
+     * @param {Object} R - Resultados de simular()
+     * @returns {Object} { clave: Array<number|string> }
+     */
+    function columnasHorarias(R) {
+        const n = R.mix.length;
+        const gen = SEF.SimuladorElectrico.aColumnas(R.mix);
+        const cal = SEF.Calendario.crear(R.calendario.anio, R.calendario.modelo);
+        const hora = new Array(n), dia = new Array(n), mes = new Array(n);
+        for (let h = 0; h < n; h++) {
+            hora[h] = h;
+            dia[h]  = cal.diaLocal[h];
+            mes[h]  = cal.mesDia[cal.diaLocal[h]] + 1;
+        }
+        const fecha = cal.modelo === 'real' ? Array.from({ length: n }, (_, h) => SEF.Calendario.fechaISO(cal, h)) : null;
+        const columnas = {
+            hora, ...(fecha ? { fecha } : {}), dia, mes,
+            demanda: Array.from(R.demandaHoraria),
+            precio:  Array.from(R.precios),
+        };
+        for (const k of Object.keys(gen)) columnas[k] = Array.from(gen[k]);
+        return columnas;
+    }
+
+    /** Convierte columnas en { cabecera, filas } */
+    function aFilas(columnas) {
+        const cabecera = Object.keys(columnas);
+        const n = cabecera.length ? columnas[cabecera[0]].length : 0;
+        const filas = new Array(n);
+        for (let i = 0; i < n; i++) filas[i] = cabecera.map(k => columnas[k][i]);
+        return { cabecera, filas };
+    }
+
+    // ── Formatos de salida ───────────────────────────────────────────────
+
+    /** CSV de la tabla horaria de despacho */
+    function csvHorario(R, meta) {
+        const { cabecera, filas } = aFilas(columnasHorarias(R));
+        return tablaCSV(cabecera, filas, meta);
+    }
+
+    /** CSV del resumen mensual */
+    function csvMensual(R, meta) {
+        const claves = Object.keys(R.mensual[0]);
+        const filas = R.mensual.map((m, i) => [SEF.MESES[i], ...claves.map(k => m[k])]);
+        return tablaCSV(['mes', ...claves], filas, meta);
+    }
+
+    /** CSV del bloque de KPIs */
+    function csvKPIs(R, meta) {
+        return tablaCSV(['indicador', 'valor'], Object.entries(kpis(R)), meta);
+    }
+
+    /**
+     * JSON completo: metadatos, KPIs, resumen mensual y tabla horaria
+     * columnar.
+     * @param {Object} R
+     * @param {Object} meta
+     * @param {Object} [opts] - { horario: false } para omitir la tabla horaria
+     * @returns {string}
+     */
+    function json(R, meta, opts = {}) {
+        const salida = { metadatos: meta, kpis: kpis(R), calendario: R.calendario, mensual: R.mensual };
+        if (R.suficiencia) salida.suficiencia = R.suficiencia;
+        if (R.zonas) salida.zonas = R.zonas;
+        if (R.hidrogeno) salida.hidrogeno = R.hidrogeno;
+        if (R.vehiculos) salida.vehiculos = R.vehiculos;
+        if (R.climatizacion) salida.climatizacion = R.climatizacion;
+        if (R.autoconsumo) salida.autoconsumo = R.autoconsumo;
+        if (R.parqueSolar) salida.parqueSolar = R.parqueSolar;
+        if (R.parqueEolico) salida.parqueEolico = R.parqueEolico;
+        if (opts.horario !== false) salida.horario = columnasHorarias(R);
+        return JSON.stringify(salida);
+    }
+
+    // ── Descarga en el navegador ─────────────────────────────────────────
+
+    /**
+     * Descarga un texto como fichero.
+     * @param {string} nombre - Nombre del fichero
+     * @param {string} contenido
+     * @param {string} [tipo] - MIME
+     */
+    function descargar(nombre, contenido, tipo = 'text/csv;charset=utf-8') {
+        const blob = new Blob([contenido], { type: tipo });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = nombre;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /** Nombre de fichero base a partir del escenario, año y semilla */
+    function nombreBase(nombreEscenario, params) {
+        const slug = String(nombreEscenario || 'simulacion')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `sef-${slug}-${params.anioObjetivo}-s${params.semilla}`;
+    }
+
+    // Exportar al namespace global
+    SEF.Exportar = {
+        CLAVES_KPI,
+        metadatos,
+        tablaCSV,
+        kpis,
+        columnasHorarias,
+        csvHorario,
+        csvMensual,
+        csvKPIs,
+        json,
+        descargar,
+        nombreBase,
+    };
+})();
@@ -0,0 +1,237 @@
+/**
+ * ============================================================================
+ *  FLOTA CCGT: UNIDADES Y PROGRAMACIÓN DE ARRANQUES
+ * ============================================================================
+ *  Alternativa al bloque CCGT agregado (parámetro modeloCCGT = 'unidades').
+ *  La potencia params.ccgt se reparte en grupos de ~400 MW de tres tipos
+ *  (moderno, estándar, antiguo), cada uno con:
+ *    - Rendimiento propio (la media ponderada es params.rendimientoCCGT)
+ *      y pérdida de rendimiento a carga parcial
+ *    - Mínimo técnico, tiempos mínimos en marcha y parado
+ *    - Coste de arranque (€/MW)
+ *
+ *  Cada hora se decide qué grupos arrancan o paran (unit commitment por
+ *  orden de coste, respetando los tiempos mínimos) y se reparte la carga:
+ *  todos los acoplados a mínimo técnico y el resto por orden de mérito.
+ *  Cada grupo sube como mucho RAMPA_CCGT de su potencia por hora y la hora
+ *  de arranque solo da su mínimo técnico.
+ *  Los grupos que no pueden parar producen su mínimo aunque sobre energía.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+    const M = SEF.MODEL;
+
+    /** Tipos de grupo: cuota del parque, tamaño y parámetros operativos */
+    const TIPOS_UNIDAD = [
+        { tipo: 'moderno',  cuota: 0.4, potenciaGW: 0.42, deltaRendimiento:  0.03,
+          minEstable: 0.35, minArriba: 4, minAbajo: 3, costeArranque: 55 },
+        { tipo: 'estandar', cuota: 0.4, potenciaGW: 0.40, deltaRendimiento:  0.00,
+          minEstable: M.MIN_ESTABLE_CCGT, minArriba: 6, minAbajo: 4, costeArranque: 70 },
+        { tipo: 'antiguo',  cuota: 0.2, potenciaGW: 0.38, deltaRendimiento: -0.06,
+          minEstable: 0.50, minArriba: 8, minAbajo: 6, costeArranque: 90 },
+    ];
+
+    /** Pérdida relativa de rendimiento por unidad de carga no utilizada */
+    const PENALIZACION_CARGA_PARCIAL = 0.12;
+
+    /**
+     * Parque CCGT a nivel de grupo con su estado de marcha.
+     */
+    class FlotaCCGT {
+        /**
+         * @param {Object} params - Parámetros del escenario (ccgt, rendimientoCCGT,
+         *        precioGas, precioCO2, omCCGT)
+         */
+        constructor(params) {
+            this.params = params;
+            this.unidades = [];
+            for (const t of TIPOS_UNIDAD) {
+                const gwTipo = params.ccgt * t.cuota;
+                // Al menos un grupo por tipo: el parque suma siempre params.ccgt
+                const n = gwTipo > 0 ? Math.max(1, Math.round(gwTipo / t.potenciaGW)) : 0;
+                for (let i = 0; i < n; i++) {
+                    const rendimiento = params.rendimientoCCGT + t.deltaRendimiento;
+                    this.unidades.push({
+                        id: `${t.tipo}-${i + 1}`,
+                        tipo: t.tipo,
+                        potencia: gwTipo / n,
+                        minimo: gwTipo / n * t.minEstable,
+                        rendimiento,
+                        coste: SEF.Mercado.costeCCGT(params, rendimiento),
+                        costeArranque: t.costeArranque,
+                        minArriba: t.minArriba,
+                        minAbajo: t.minAbajo,
+                        // Arranca parada y libre para arrancar
+                        enMarcha: false,
+                        horas: t.minAbajo,
+                        gw: 0,
+                        arranques: 0,
+                    });
+                }
+            }
+            this.unidades.sort((a, b) => a.coste - b.coste);
+        }
+
+        /** Potencia total (GW) */
+        get potencia() {
+            return this.unidades.reduce((s, u) => s + u.potencia, 0);
+        }
+
+        /** El grupo no puede parar esta hora (tiempo mínimo en marcha) */
+        obligada(u) {
+            return u.enMarcha && u.horas < u.minArriba;
+        }
+
+        /** El grupo puede estar en marcha esta hora */
+        disponible(u) {
+            return u.enMarcha || u.horas >= u.minAbajo;
+        }
+
+        /** Producción máxima de la hora por rampa (GW): al arrancar, su mínimo técnico */
+        maximo(u) {
+            return u.enMarcha ? Math.min(u.potencia, u.gw + u.potencia * M.RAMPA_CCGT) : u.minimo;
+        }
+
+        /** Producción mínima forzada por los grupos que no pueden parar (GW) */
+        minimoObligado() {
+            return this.unidades.reduce((s, u) => this.obligada(u) ? s + u.minimo : s, 0);
+        }
+
+        /**
+         * Tramos de oferta de la hora para SEF.Mercado: el mínimo de los
+         * grupos obligados entra como aceptante de precio; el resto de la
+         * potencia alcanzable con la rampa, al coste de cada grupo.
+         * @param {number} [limiteGW] - Potencia con suministro de gas (SEF.Estres)
+         * @returns {Array<Object>} { precio, gw }
+         */
+        ofertas(limiteGW = Infinity) {
+            const tramos = [];
+            let ofertada = 0;
+            for (const u of this.unidades) {
+                if (!this.disponible(u)) continue;
+                // Sin gas para más grupos: solo ofertan los obligados
+                if (ofertada + u.potencia > limiteGW + 1e-9 && !this.obligada(u)) continue;
+                ofertada += u.potencia;
+                if (this.obligada(u)) {
+                    tramos.push({ precio: 0, gw: u.minimo });
+                    tramos.push({ precio: u.coste, gw: this.maximo(u) - u.minimo });
+                } else {
+                    tramos.push({ precio: u.coste, gw: this.maximo(u) });
+                }
+            }
+            return tramos;
+        }
+
+        /**
+         * Acopla grupos para cubrir la necesidad de la hora, reparte la carga
+         * y avanza el estado de marcha.
+         *
+         * @param {number} necesidadGW - Potencia pedida al gas
+         * @param {number} [limiteGW] - Potencia con suministro de gas: no se
+         *        acoplan grupos por encima (los obligados siguen en marcha)
+         * @returns {Object} { gw, combustibleGWh, emisionesMt, arranques,
+         *                     costeArranqueM, costeMarginal, enMarcha,
+         *                     sobreLimiteGW (producción por encima de limiteGW) }
+         */
+        despachar(necesidadGW, limiteGW = Infinity) {
+            const acopladas = new Set(this.unidades.filter(u => this.obligada(u)));
+            // Capacidad de la hora: lo que cada grupo alcanza con su rampa
+            let capacidad = 0, potencia = 0;
+            for (const u of acopladas) {
+                capacidad += this.maximo(u);
+                potencia += u.potencia;
+            }
+
+            // Orden de acoplamiento: coste variable más el arranque repartido
+            // entre las horas mínimas en marcha
+            const candidatas = this.unidades
+                .filter(u => !acopladas.has(u) && this.disponible(u))
+                .map(u => ({
+                    u,
+                    orden: u.coste + (u.enMarcha ? 0 : u.costeArranque / u.minArriba),
+                }))
+                .sort((a, b) => a.orden - b.orden);
+            for (const { u } of candidatas) {
+                if (capacidad >= necesidadGW - 1e-9) break;
+                if (potencia + u.potencia > limiteGW + 1e-9) continue;
+                acopladas.add(u);
+                capacidad += this.maximo(u);
+                potencia += u.potencia;
+            }
+
+            // Reparto: mínimo técnico para todas y el resto por orden de coste
+            const carga = new Map();
+            let resto = necesidadGW;
+            for (const u of acopladas) {
+                carga.set(u, u.minimo);
+                resto -= u.minimo;
+            }
+            let costeMarginal = null;
+            for (const u of this.unidades) {
+                if (!acopladas.has(u)) continue;
+                if (costeMarginal === null) costeMarginal = u.coste;
+                if (resto <= 0) break;
+                const extra = Math.min(resto, this.maximo(u) - u.minimo);
+                carga.set(u, u.minimo + extra);
+                resto -= extra;
+                costeMarginal = u.coste;
+            }
+
+            // Combustible a carga parcial, arranques y avance del estado
+            const res = {
+                gw: 0, combustibleGWh: 0, emisionesMt: 0, arranques: 0,
+                costeArranqueM: 0, costeMarginal, enMarcha: acopladas.size, sobreLimiteGW: 0,
+            };
+            for (const u of this.unidades) {
+                const enMarcha = acopladas.has(u);
+                if (enMarcha) {
+                    const gw = carga.get(u);
+                    const fraccion = gw / u.potencia;
+                    const rendimiento = u.rendimiento * (1 - PENALIZACION_CARGA_PARCIAL * (1 - fraccion));
+                    res.gw += gw;
+                    res.combustibleGWh += gw / Math.max(0.30, rendimiento);
+                    if (!u.enMarcha) {
+                        u.arranques++;
+                        res.arranques++;
+                        res.costeArranqueM += u.potencia * u.costeArranque / 1000;
+                    }
+                }
+                u.horas = enMarcha === u.enMarcha ? u.horas + 1 : 1;
+                u.enMarcha = enMarcha;
+                u.gw = enMarcha ? carga.get(u) : 0;
+            }
+            res.emisionesMt = res.combustibleGWh * M.FACTOR_CO2_GAS / 1000;
+            // Grupos que no pueden parar por encima del gas disponible
+            if (res.gw > limiteGW + 1e-9) res.sobreLimiteGW = res.gw - limiteGW;
+            return res;
+        }
+
+        /**
+         * Resumen por tipo de grupo.
+         * @returns {Array<Object>} { tipo, unidades, potenciaGW, rendimiento, arranques }
+         */
+        resumen() {
+            return TIPOS_UNIDAD.map(t => {
+                const us = this.unidades.filter(u => u.tipo === t.tipo);
+                return {
+                    tipo: t.tipo,
+                    unidades: us.length,
+                    potenciaGW: us.reduce((s, u) => s + u.potencia, 0),
+                    rendimiento: us.length ? us[0].rendimiento : null,
+                    arranques: us.reduce((s, u) => s + u.arranques, 0),
+                };
+            });
+        }
+    }
+
+    FlotaCCGT.TIPOS_UNIDAD = TIPOS_UNIDAD;
+    FlotaCCGT.PENALIZACION_CARGA_PARCIAL = PENALIZACION_CARGA_PARCIAL;
+
+    // Exportar al namespace global
+    SEF.FlotaCCGT = FlotaCCGT;
+})();
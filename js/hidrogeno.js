@@ -0,0 +1,165 @@
+/**
+ * ============================================================================
+ *  HIDRÓGENO VERDE: ELECTROLIZADORES, ALMACÉN Y RECONVERSIÓN
+ * ============================================================================
+ *  Subsistema opcional (parámetros electrolizadorGW y reconversionH2GW) que
+ *  absorbe los excedentes renovables antes que la flexibilidad genérica:
+ *    - Electrolizador con potencia, rendimiento (PCI) y carga mínima: solo
+ *      arranca si el excedente de la hora alcanza su mínimo, y se limita a
+ *      la carga con la que el precio previsto (su consumo lo sube) no
+ *      supera el umbral de operación
+ *    - Almacén de H₂ (GWh PCI): se llena primero; lo que no cabe se entrega
+ *      a la industria
+ *    - Reconversión opcional H₂ → electricidad (turbina), como último
+ *      recurso tras el gas y antes de la energía no suministrada
+ *
+ *  El coste nivelado del hidrógeno (LCOH) suma el CAPEX anualizado y el
+ *  O&M del electrolizador y del almacén a la electricidad comprada al
+ *  precio horario, dividido entre las toneladas producidas. El subsistema
+ *  se valora aparte: no entra en el coste del sistema eléctrico.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+    const M = SEF.MODEL;
+    const H = SEF.HIDROGENO;
+    const CT = SEF.COSTES_TECNOLOGIA;
+
+    /** Iteraciones de la búsqueda de la carga que respeta el umbral */
+    const ITERACIONES = 20;
+
+    /**
+     * Electrolizadores y almacén de H₂ con su estado a lo largo del año.
+     */
+    class SistemaHidrogeno {
+        /**
+         * @param {Object} params - Parámetros del escenario (electrolizadorGW,
+         *        eficienciaElectrolizador, cargaMinimaElectrolizador,
+         *        umbralElectrolizador, almacenH2GWh, reconversionH2GW)
+         * @param {number} [nivelInicial] - GWh de H₂ heredados del año anterior
+         */
+        constructor(params, nivelInicial) {
+            this.params = params;
+            this.potencia = params.electrolizadorGW;
+            this.minimo = params.electrolizadorGW * params.cargaMinimaElectrolizador / 100;
+            this.capacidad = params.almacenH2GWh;
+            this.nivel = Math.min(this.capacidad, nivelInicial ?? this.capacidad * H.LLENADO_INICIAL);
+            this.consumoGWh = 0;
+            this.costeElectricidadM = 0;
+            this.produccionGWh = 0;
+            this.entregadoGWh = 0;
+            this.reconversionGWh = 0;
+            this.horasMarcha = 0;
+            this.horasUmbral = 0;
+        }
+
+        /**
+         * Potencia que absorbe el electrolizador de un excedente: la mayor
+         * carga (entre el mínimo y el excedente) con la que el precio
+         * previsto no supera el umbral.
+         * @param {number} excedenteGW - Excedente disponible en la hora
+         * @param {Function} precioCon - Precio de casación previsto (€/MWh) con
+         *        un consumo dado del electrolizador (GW); creciente con él
+         * @returns {number} GW eléctricos consumidos
+         */
+        electrolizar(excedenteGW, precioCon) {
+            if (this.potencia <= 0 || excedenteGW < Math.max(this.minimo, 1e-9)) return 0;
+            const umbral = this.params.umbralElectrolizador;
+            let consumo = Math.min(excedenteGW, this.potencia);
+            if (precioCon(consumo) > umbral) {
+                if (precioCon(this.minimo) > umbral) {
+                    this.horasUmbral++;
+                    return 0;
+                }
+                let lo = this.minimo, hi = consumo;
+                for (let i = 0; i < ITERACIONES; i++) {
+                    const medio = (lo + hi) / 2;
+                    if (precioCon(medio) > umbral) hi = medio; else lo = medio;
+                }
+                consumo = lo;
+            }
+            const h2 = consumo * this.params.eficienciaElectrolizador;
+            const almacenado = Math.min(h2, this.capacidad - this.nivel);
+            this.nivel += almacenado;
+            this.entregadoGWh += h2 - almacenado;
+            this.produccionGWh += h2;
+            this.consumoGWh += consumo;
+            this.horasMarcha++;
+            return consumo;
+        }
+
+        /** Potencia de reconversión disponible con el H₂ almacenado (GW) */
+        disponible() {
+            return Math.min(this.params.reconversionH2GW, this.nivel * H.EFICIENCIA_RECONVERSION);
+        }
+
+        /**
+         * Electricidad generada con el H₂ almacenado para cubrir un déficit.
+         * @param {number} deficitGW
+         * @returns {number} GW eléctricos
+         */
+        reconvertir(deficitGW) {
+            const gw = Math.min(deficitGW, this.disponible());
+            if (gw <= 0) return 0;
+            this.nivel -= gw / H.EFICIENCIA_RECONVERSION;
+            this.reconversionGWh += gw;
+            return gw;
+        }
+
+        /**
+         * Anota el coste de la electricidad consumida en la hora.
+         * @param {number} consumoGW
+         * @param {number} precio - €/MWh pagado
+         */
+        pagar(consumoGW, precio) {
+            this.costeElectricidadM += consumoGW * precio / 1000;
+        }
+
+        /**
+         * Resumen anual: producción, factor de carga y LCOH.
+         * @returns {Object} { potenciaGW, consumoTWh, produccionKt, entregadoKt,
+         *                     factorCarga, horasMarcha, horasUmbral, precioElectricidad,
+         *                     reconversionTWh, costeReconversionM, nivelFinalPct,
+         *                     costeAnualM, lcoh }
+         */
+        resumen() {
+            const p = this.params;
+            const anualidad = tec => SEF.Economia.factorAnualidad(M.TASA_DESCUENTO, CT[tec].vida);
+            const capexElectrolizador = p.electrolizadorGW * CT.electrolizador.capex;
+            const capexAlmacen = p.almacenH2GWh * CT.almacenH2.capexEnergia;
+            const costeAnualM =
+                capexElectrolizador * anualidad('electrolizador') +
+                p.electrolizadorGW * CT.electrolizador.omFijo +
+                capexAlmacen * anualidad('almacenH2') +
+                this.costeElectricidadM;
+            const produccionKt = this.produccionGWh / H.PCI_MWH_T;
+            // Turbina de H₂: fuera del LCOH (es un coste de la electricidad)
+            const costeReconversionM = p.reconversionH2GW *
+                (CT.reconversionH2.capex * anualidad('reconversionH2') + CT.reconversionH2.omFijo) +
+                this.reconversionGWh * CT.reconversionH2.omVariable / 1000;
+            return {
+                potenciaGW:       p.electrolizadorGW,
+                consumoTWh:       this.consumoGWh / 1000,
+                produccionKt,
+                entregadoKt:      this.entregadoGWh / H.PCI_MWH_T,
+                factorCarga:      p.electrolizadorGW > 0 ? this.consumoGWh / (p.electrolizadorGW * SEF.Calendario.deParams(p).horas) : 0,
+                horasMarcha:      this.horasMarcha,
+                horasUmbral:      this.horasUmbral,
+                precioElectricidad: this.consumoGWh > 0 ? this.costeElectricidadM * 1000 / this.consumoGWh : null,
+                reconversionTWh:  this.reconversionGWh / 1000,
+                costeReconversionM,
+                nivelFinalPct:    this.capacidad > 0 ? this.nivel / this.capacidad * 100 : 0,
+                costeAnualM,
+                // M€ / kt = €/kg
+                lcoh:             produccionKt > 0 ? costeAnualM / produccionKt : null,
+            };
+        }
+    }
+
+    // Exportar al namespace global
+    SEF.SistemaHidrogeno = SistemaHidrogeno;
+})();
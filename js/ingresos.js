@@ -0,0 +1,173 @@
+/**
+ * ============================================================================
+ *  INGRESOS DE MERCADO Y PRECIOS CAPTURADOS
+ * ============================================================================
+ *  A partir del despacho horario (mix) y los precios marginales calcula lo
+ *  que cobra cada tecnología en el mercado diario:
+ *    - Precio capturado: Σ(generación × precio) / Σ generación
+ *    - Tasa de captura: precio capturado / precio medio (carga base)
+ *    - Ingresos anuales y margen neto frente al coste de SEF.Economia
+ *    - Arbitraje del almacenamiento: ingresos de descarga − coste de carga
+ *
+ *  La energía vertida no se cobra: se descuenta de solar y eólica en
+ *  proporción a su producción en esa hora.
+ *
+ *  El barrido de capacidad (barrido()) repite la simulación variando la
+ *  potencia solar o eólica para trazar la curva de canibalización.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+
+    /** Tecnologías de generación y su clave en SEF.Economia */
+    const GENERACION = {
+        nuclear: 'nuclear', solar: 'solar', eolica: 'eolica',
+        hidraulica: 'hidraulica', gas: 'ccgt',
+    };
+
+    /** Almacenamiento: campo de descarga, campo de carga y clave en SEF.Economia */
+    const ALMACENAMIENTO = {
+        baterias: { descarga: 'baterias', carga: 'cargaBaterias' },
+        bombeo:   { descarga: 'bombeo',   carga: 'cargaBombeo' },
+    };
+
+    /** Parámetro de potencia que se varía en el barrido de cada tecnología */
+    const PARAM_BARRIDO = { solar: 'solar', eolica: 'eolica' };
+
+    /**
+     * Calcula ingresos y precios capturados de una simulación.
+     *
+     * @param {Array<Object>} mix - Objetos gen horarios
+     * @param {ArrayLike<number>} precios - €/MWh horarios
+     * @param {Object} [economia] - Resultado de SEF.Economia.calcular (margen neto)
+     * @returns {Object} {
+     *   precioBase,
+     *   generacion: { tec: { energiaTWh, ingresosM, precioCaptura, tasaCaptura, margenNetoM } },
+     *   almacenamiento: { tec: { descargaTWh, cargaTWh, ingresosM, costeCargaM, margenM,
+     *                            precioDescarga, precioCarga, margenNetoM } }
+     * }
+     */
+    function calcular(mix, precios, economia = null) {
+        const n = mix.length;
+        const gen = {};
+        for (const t of Object.keys(GENERACION)) gen[t] = { e: 0, i: 0 };
+        const alm = {};
+        for (const t of Object.keys(ALMACENAMIENTO)) alm[t] = { d: 0, c: 0, i: 0, k: 0 };
+        let sumaPrecio = 0;
+
+        for (let h = 0; h < n; h++) {
+            const g = mix[h];
+            const p = precios[h];
+            sumaPrecio += p;
+
+            // Parte vendida de solar y eólica (sin vertidos)
+            const vre = g.solar + g.eolica;
+            const vendida = vre > 0 ? Math.max(0, 1 - g.vertido / vre) : 1;
+
+            for (const t of Object.keys(GENERACION)) {
+                const e = (t === 'solar' || t === 'eolica') ? g[t] * vendida : g[t];
+                gen[t].e += e;
+                gen[t].i += e * p;
+            }
+            for (const [t, c] of Object.entries(ALMACENAMIENTO)) {
+                alm[t].d += g[c.descarga];
+                alm[t].i += g[c.descarga] * p;
+                alm[t].c += g[c.carga];
+                alm[t].k += g[c.carga] * p;
+            }
+        }
+
+        const precioBase = n > 0 ? sumaPrecio / n : 0;
+        // La eólica del mix incluye la marina: su coste también
+        const costeTotal = clave => economia
+            ? economia.porTecnologia[clave].total + (clave === 'eolica' ? economia.porTecnologia.eolicaMarina.total : 0)
+            : null;
+
+        // GWh × €/MWh = k€ → /1000 = M€
+        const generacion = {};
+        for (const [t, clave] of Object.entries(GENERACION)) {
+            const { e, i } = gen[t];
+            const precioCaptura = e > 0 ? i / e : null;
+            const coste = costeTotal(clave);
+            generacion[t] = {
+                energiaTWh: e / 1000,
+                ingresosM: i / 1000,
+                precioCaptura,
+                tasaCaptura: precioCaptura !== null && precioBase !== 0 ? precioCaptura / precioBase : null,
+                margenNetoM: coste === null ? null : i / 1000 - coste,
+            };
+        }
+
+        const almacenamiento = {};
+        for (const t of Object.keys(ALMACENAMIENTO)) {
+            const { d, c, i, k } = alm[t];
+            const coste = costeTotal(t);
+            almacenamiento[t] = {
+                descargaTWh: d / 1000,
+                cargaTWh: c / 1000,
+                ingresosM: i / 1000,
+                costeCargaM: k / 1000,
+                margenM: (i - k) / 1000,
+                precioDescarga: d > 0 ? i / d : null,
+                precioCarga: c > 0 ? k / c : null,
+                margenNetoM: coste === null ? null : (i - k) / 1000 - coste,
+            };
+        }
+
+        return { precioBase, generacion, almacenamiento };
+    }
+
+    /**
+     * Potencias por defecto del barrido: 11 puntos en el rango del slider.
+     * @param {string} [tecnologia] - 'solar' | 'eolica'
+     * @returns {Array<number>} GW
+     */
+    function valoresBarrido(tecnologia = 'solar') {
+        const clave = PARAM_BARRIDO[tecnologia];
+        if (!clave) throw new Error(`Tecnología sin barrido: ${tecnologia}`);
+        const [min, max] = SEF.RANGOS_PARAMS[clave];
+        return Array.from({ length: 11 }, (_, i) => min + (max - min) * i / 10);
+    }
+
+    /**
+     * Barrido de canibalización: simula el escenario con distintas
+     * potencias de una tecnología y recoge su precio capturado.
+     *
+     * @param {Object} params - Parámetros del escenario
+     * @param {Object} [opts] - { tecnologia: 'solar'|'eolica', valores: [GW], perfiles, onPunto(i) }
+     * @returns {Object} { tecnologia, valores, precioCaptura, tasaCaptura, precioBase, vertidosPct }
+     */
+    function barrido(params, opts = {}) {
+        const tecnologia = opts.tecnologia || 'solar';
+        const clave = PARAM_BARRIDO[tecnologia];
+        if (!clave) throw new Error(`Tecnología sin barrido: ${tecnologia}`);
+        const valores = opts.valores || valoresBarrido(tecnologia);
+
+        const res = { tecnologia, valores, precioCaptura: [], tasaCaptura: [], precioBase: [], vertidosPct: [] };
+        valores.forEach((gw, i) => {
+            const sim = new SEF.SimuladorElectrico({ ...params, [clave]: gw }, { perfiles: opts.perfiles });
+            const R = sim.simular();
+            const g = R.ingresos.generacion[tecnologia];
+            res.precioCaptura.push(g.precioCaptura);
+            res.tasaCaptura.push(g.tasaCaptura);
+            res.precioBase.push(R.ingresos.precioBase);
+            res.vertidosPct.push(R.vertidosPct);
+            if (opts.onPunto) opts.onPunto(i, R);
+        });
+        return res;
+    }
+
+    // Exportar al namespace global
+    SEF.Ingresos = {
+        GENERACION,
+        ALMACENAMIENTO,
+        PARAM_BARRIDO,
+        calcular,
+        valoresBarrido,
+        barrido,
+    };
+})();
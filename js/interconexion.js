@@ -0,0 +1,180 @@
+/**
+ * ============================================================================
+ *  INTERCONEXIONES POR ZONAS: PORTUGAL, FRANCIA Y MARRUECOS
+ * ============================================================================
+ *  Alternativa al intercambio agregado (parámetro modeloInterconexion =
+ *  'zonas'). Cada zona vecina (SEF.ZONAS_VECINAS) tiene:
+ *    - Capacidad comercial (NTC) por sentido, ampliable con los refuerzos
+ *      (p. ej. el cable del golfo de Bizkaia con Francia, +2,2 GW)
+ *    - Precio horario propio: base ligada al gas, estacionalidad, punta de
+ *      tarde, valle solar de mediodía y viento ibérico compartido, con
+ *      ruido autocorrelacionado
+ *    - Pendiente: cuánto se mueve su precio por GW intercambiado
+ *
+ *  Acoplamiento de mercados: los flujos son los que igualan el precio
+ *  español con el de cada vecino tras el intercambio, salvo que la frontera
+ *  se congestione (flujo = NTC). En frontera congestionada los precios se
+ *  separan y la diferencia × flujo es la renta de congestión.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+    /** Parámetro de refuerzo de cada frontera (GW en ambos sentidos) */
+    const REFUERZO = {
+        portugal:  'refuerzoPortugalGW',
+        francia:   'refuerzoFranciaGW',
+        marruecos: 'refuerzoMarruecosGW',
+    };
+
+    /** Factor eólico ibérico medio (referencia del efecto viento) */
+    const VIENTO_MEDIO = 0.30;
+
+    /** Iteraciones de la bisección del precio acoplado */
+    const ITERACIONES = 40;
+
+    /**
+     * Fronteras con su capacidad efectiva.
+     * @param {Object} params
+     * @returns {Array<Object>} { zona, nombre, importacion, exportacion, pendiente } (GW, €/MWh/GW)
+     */
+    function capacidades(params) {
+        return Object.entries(SEF.ZONAS_VECINAS).map(([zona, z]) => {
+            const refuerzo = params[REFUERZO[zona]] || 0;
+            return {
+                zona,
+                nombre: z.nombre,
+                importacion: z.ntcImportacion + refuerzo,
+                exportacion: z.ntcExportacion + refuerzo,
+                pendiente: z.pendiente,
+            };
+        });
+    }
+
+    /**
+     * Capacidad total de importación (GW) según el modelo de interconexión.
+     * @param {Object} params
+     * @returns {number}
+     */
+    function capacidadImportacion(params) {
+        if (params.modeloInterconexion !== 'zonas') return params.interconexion;
+        return capacidades(params).reduce((s, f) => s + f.importacion, 0);
+    }
+
+    /** Forma de la punta de tarde (y menor de mañana), 0-1 */
+    function formaPunta(hora) {
+        return Math.exp(-Math.pow((hora - 20) / 2, 2)) + 0.4 * Math.exp(-Math.pow((hora - 9) / 2, 2));
+    }
+
+    /** Forma solar de mediodía, mayor en verano, 0-1 */
+    function formaSolar(dia, hora) {
+        const amplitud = 0.75 + 0.25 * Math.cos(2 * Math.PI * (dia - 172) / 365);
+        return Math.max(0, Math.sin(Math.PI * (hora - 7) / 13)) * amplitud;
+    }
+
+    /**
+     * Genera el precio horario de cada zona vecina.
+     *
+     * @param {Object} params - Usa precioGas (y el calendario de anioObjetivo)
+     * @param {Object} rng - Generador con gauss(media, sigma) (SeededRNG)
+     * @param {ArrayLike<number>} [serieViento] - Factor eólico ibérico horario
+     * @returns {Object} { zona: Float64Array (una por hora del año) } en €/MWh
+     */
+    function generarPrecios(params, rng, serieViento = null) {
+        const gasRef = SEF.PARAMS_DEFAULT.precioGas;
+        const n = SEF.Calendario.deParams(params).horas;
+        const precios = {};
+        for (const [zona, z] of Object.entries(SEF.ZONAS_VECINAS)) {
+            const base = z.precioBase * (1 - z.sensibilidadGas + z.sensibilidadGas * params.precioGas / gasRef);
+            const serie = new Float64Array(n);
+            let ruido = 0;
+            for (let h = 0; h < n; h++) {
+                const dia  = Math.floor(h / 24);
+                const hora = h % 24;
+                // Máximo a mediados de enero
+                const estacional = 1 + z.estacional * Math.cos(2 * Math.PI * (dia - 15) / 365);
+                const viento = serieViento ? z.viento * (serieViento[h] - VIENTO_MEDIO) * 10 : 0;
+                // AR(1) con desviación estacionaria igual a la volatilidad
+                ruido = 0.8 * ruido + rng.gauss(0, z.volatilidad * 0.6);
+                serie[h] = Math.max(-10, Math.min(300,
+                    base * estacional + z.punta * formaPunta(hora) -
+                    z.valleSolar * formaSolar(dia, hora) - viento + ruido));
+            }
+            precios[zona] = serie;
+        }
+        return precios;
+    }
+
+    /**
+     * Acopla España con sus vecinos en un sentido para una hora.
+     *
+     * Cada frontera intercambia f = (λ − P_zona)/pendiente (importación) o
+     * (P_zona − λ)/pendiente (exportación), acotado por su NTC, donde λ es
+     * el precio español. Con λ = precioReferencia (el recurso propio
+     * alternativo) se obtiene el intercambio deseado; si supera la cantidad
+     * disponible, λ se ajusta por bisección hasta igualarla y es el precio
+     * acoplado.
+     *
+     * @param {Array<Object>} fronteras - De capacidades(), con precio de la hora
+     * @param {string} sentido - 'importacion' | 'exportacion'
+     * @param {number} cantidadGW - Déficit a importar o excedente a exportar
+     * @param {number} precioReferencia - €/MWh del recurso propio alternativo
+     * @returns {Object} { flujos: { zona: GW }, total, precio, acoplado }
+     */
+    function acoplar(fronteras, sentido, cantidadGW, precioReferencia) {
+        const signo = sentido === 'importacion' ? 1 : -1;
+        const flujo = (f, lambda) =>
+            Math.max(0, Math.min(f[sentido], signo * (lambda - f.precio) / f.pendiente));
+        const total = lambda => fronteras.reduce((s, f) => s + flujo(f, lambda), 0);
+
+        let precio = precioReferencia;
+        let acoplado = false;
+        if (cantidadGW <= 0) {
+            precio = null;
+        } else if (total(precioReferencia) > cantidadGW) {
+            // Precio al que el intercambio cubre exactamente la cantidad
+            const extremo = signo > 0
+                ? Math.min(...fronteras.map(f => f.precio))
+                : Math.max(...fronteras.map(f => f.precio));
+            let lo = Math.min(extremo, precioReferencia), hi = Math.max(extremo, precioReferencia);
+            for (let i = 0; i < ITERACIONES; i++) {
+                const medio = (lo + hi) / 2;
+                if ((total(medio) > cantidadGW) === (signo > 0)) hi = medio; else lo = medio;
+            }
+            precio = (lo + hi) / 2;
+            acoplado = true;
+        }
+
+        const flujos = {};
+        let suma = 0;
+        for (const f of fronteras) {
+            flujos[f.zona] = precio === null ? 0 : flujo(f, precio);
+            suma += flujos[f.zona];
+        }
+        return { flujos, total: suma, precio, acoplado };
+    }
+
+    /**
+     * Precio de la zona tras el intercambio (sube si exporta a España,
+     * baja si importa de España).
+     * @param {Object} frontera - Con precio de la hora
+     * @param {number} flujoGW - Positivo importación, negativo exportación
+     * @returns {number} €/MWh
+     */
+    function precioTrasFlujo(frontera, flujoGW) {
+        return frontera.precio + frontera.pendiente * flujoGW;
+    }
+
+    // Exportar al namespace global
+    SEF.Interconexion = {
+        REFUERZO,
+        capacidades,
+        capacidadImportacion,
+        generarPrecios,
+        acoplar,
+        precioTrasFlujo,
+    };
+})();
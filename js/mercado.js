@@ -0,0 +1,256 @@
+/**
+ * ============================================================================
+ *  MERCADO DIARIO: CURVAS DE OFERTA Y CASACIÓN
+ * ============================================================================
+ *  Motor de precios alternativo al heurístico de calcularPrecioMarginal
+ *  (parámetro modeloPrecio = 'ofertas'). Cada hora se construyen:
+ *
+ *    - Curva de oferta (venta): cada tecnología ofrece su potencia
+ *      disponible en tramos precio/cantidad
+ *        · Nuclear aceptante de precio (0 €/MWh)
+ *        · Solar y eólica a su O&M variable, con un tramo con retribución
+ *          regulada a precio negativo
+ *        · Hidráulica a coste de oportunidad (fracción del coste CCGT o,
+ *          con embalse, valor del agua)
+ *        · Baterías, bombeo y V2G al coste CCGT evitado más el ciclado
+ *        · Reducción de demanda flexible, importaciones a precioImport
+ *          (o, por zonas, al precio de cada vecino)
+ *        · Reconversión de H₂ al coste de la electricidad con que se
+ *          produjo (umbral del electrolizador / rendimiento del ciclo)
+ *        · CCGT por bandas de rendimiento, limitado por la rampa
+ *    - Curva de demanda (compra): demanda inelástica a precioEscasez más
+ *      las pujas de carga de almacenamiento, flexibilidad al alza,
+ *      electrolizadores (a su umbral) y exportación efectivamente despachadas
+ *
+ *  El precio es el del tramo en el que se cruzan ambas curvas; la
+ *  tecnología de ese tramo es la marginal. El despacho físico no cambia.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+    const M = SEF.MODEL;
+    const CT = SEF.COSTES_TECNOLOGIA;
+
+    /**
+     * Bandas del parque CCGT: cuota de potencia y desviación sobre el
+     * rendimiento medio (la media ponderada es el rendimiento del parámetro).
+     */
+    const BANDAS_CCGT = [
+        { cuota: 0.4, deltaRendimiento:  0.03 },
+        { cuota: 0.4, deltaRendimiento:  0.00 },
+        { cuota: 0.2, deltaRendimiento: -0.06 },
+    ];
+
+    /** Tramos de la oferta hidráulica: cuota y fracción del coste CCGT */
+    const TRAMOS_HIDRO = [
+        { cuota: 0.3, factor: 0.00 },   // fluyente
+        { cuota: 0.4, factor: 0.60 },
+        { cuota: 0.3, factor: 0.92 },   // embalse reservado para puntas
+    ];
+
+    /** Supuestos de oferta del resto de tecnologías */
+    const OFERTA = {
+        cuotaRegulada:     0.3,   // Fracción de solar/eólica con retribución regulada
+        precioRegulado:  -15,     // €/MWh de ese tramo
+        factorBaterias:    0.90,  // × coste CCGT evitado (+ ciclado)
+        factorBombeo:      0.85,
+        factorFlexibilidad: 1.3,  // Reducción de demanda: por encima del gas
+    };
+
+    /** Tramos en que se oferta la capacidad de importación de cada frontera */
+    const TRAMOS_FRONTERA = 3;
+
+    /**
+     * Coste marginal de un CCGT (€/MWh eléctrico).
+     * @param {Object} params
+     * @param {number} [rendimiento] - Por defecto params.rendimientoCCGT
+     * @returns {number}
+     */
+    function costeCCGT(params, rendimiento = params.rendimientoCCGT) {
+        const eta = Math.max(0.40, rendimiento);
+        return params.precioGas / eta + (M.FACTOR_CO2_GAS / eta) * params.precioCO2 + params.omCCGT;
+    }
+
+    /**
+     * Oferta de la reconversión de H₂ (€/MWh): electricidad comprada al umbral
+     * del electrolizador, dividida por el rendimiento del ciclo, más el O&M.
+     * @param {Object} params
+     * @returns {number}
+     */
+    function costeReconversionH2(params) {
+        const ciclo = params.eficienciaElectrolizador * SEF.HIDROGENO.EFICIENCIA_RECONVERSION;
+        return params.umbralElectrolizador / ciclo + CT.reconversionH2.omVariable;
+    }
+
+    /**
+     * Curva de oferta de una hora.
+     * @param {Object} params
+     * @param {Object} disp - Potencia disponible (GW): { nuclear, solar, eolica,
+     *        hidraulica, baterias, bombeo, v2g, flexibilidad, reconversionH2, importacion, gas };
+     *        unidadesGas: tramos de SEF.FlotaCCGT.ofertas() en lugar de las bandas
+     *        importaciones: tramos de ofertasFrontera() en lugar de importacion
+     *        valorAgua, hidroObligada: embalse (en lugar de los tramos hidráulicos)
+     * @returns {Array<Object>} Tramos { tecnologia, precio, gw }
+     */
+    function curvaOferta(params, disp) {
+        const cGas = costeCCGT(params);
+        const ofertas = [];
+        const ofrecer = (tecnologia, precio, gw) => {
+            if (gw > 1e-9) ofertas.push({ tecnologia, precio, gw });
+        };
+
+        ofrecer('nuclear', 0, disp.nuclear);
+        for (const tec of ['solar', 'eolica']) {
+            const gw = disp[tec] || 0;
+            ofrecer(tec, OFERTA.precioRegulado, gw * OFERTA.cuotaRegulada);
+            ofrecer(tec, CT[tec].omVariable, gw * (1 - OFERTA.cuotaRegulada));
+        }
+        if (disp.valorAgua != null) {
+            // Embalse: caudal obligado aceptante y el resto al valor del agua
+            const obligada = Math.min(disp.hidroObligada || 0, disp.hidraulica || 0);
+            ofrecer('hidraulica', 0, obligada);
+            ofrecer('hidraulica', disp.valorAgua, (disp.hidraulica || 0) - obligada);
+        } else {
+            for (const t of TRAMOS_HIDRO) ofrecer('hidraulica', t.factor * cGas, (disp.hidraulica || 0) * t.cuota);
+        }
+        ofrecer('baterias', OFERTA.factorBaterias * cGas + params.cicladoBaterias, disp.baterias);
+        ofrecer('bombeo', OFERTA.factorBombeo * cGas + params.cicladoBombeo, disp.bombeo);
+        ofrecer('v2g', OFERTA.factorBaterias * cGas + params.cicladoBaterias, disp.v2g || 0);
+        ofrecer('flexibilidad', OFERTA.factorFlexibilidad * cGas, disp.flexibilidad);
+        ofrecer('reconversionH2', costeReconversionH2(params), disp.reconversionH2 || 0);
+        if (disp.importaciones) {
+            for (const t of disp.importaciones) ofrecer('importacion', t.precio, t.gw);
+        } else {
+            ofrecer('importacion', params.precioImport, disp.importacion);
+        }
+
+        // CCGT por grupos (SEF.FlotaCCGT): cada grupo oferta a su coste
+        if (disp.unidadesGas) {
+            for (const t of disp.unidadesGas) ofrecer('gas', t.precio, t.gw);
+            return ofertas.sort((a, b) => a.precio - b.precio);
+        }
+
+        // CCGT agregado: la rampa limita la potencia total; entran primero las bandas eficientes
+        let gasRestante = disp.gas || 0;
+        const bandas = BANDAS_CCGT
+            .map(b => ({ gw: params.ccgt * b.cuota, precio: costeCCGT(params, params.rendimientoCCGT + b.deltaRendimiento) }))
+            .sort((a, b) => a.precio - b.precio);
+        for (const b of bandas) {
+            const gw = Math.min(b.gw, gasRestante);
+            ofrecer('gas', b.precio, gw);
+            gasRestante -= gw;
+        }
+
+        return ofertas.sort((a, b) => a.precio - b.precio);
+    }
+
+    /**
+     * Ofertas de importación por zonas (SEF.Interconexion): la NTC de cada
+     * frontera en tramos cuyo precio sube con la pendiente de la zona.
+     * @param {Array<Object>} fronteras - Con precio de la hora
+     * @returns {Array<Object>} { precio, gw }
+     */
+    function ofertasFrontera(fronteras) {
+        const tramos = [];
+        for (const f of fronteras) {
+            const gw = f.importacion / TRAMOS_FRONTERA;
+            for (let i = 0; i < TRAMOS_FRONTERA; i++) {
+                tramos.push({ precio: f.precio + f.pendiente * gw * (i + 0.5), gw });
+            }
+        }
+        return tramos;
+    }
+
+    /**
+     * Curva de demanda de una hora.
+     * @param {Object} params
+     * @param {Object} disp - { demanda, cargaBaterias, cargaBombeo, flexibilidad,
+     *        electrolizador, exportacion } (GW);
+     *        exportaciones: pujas { precio, gw } por zona en lugar de exportacion
+     * @returns {Array<Object>} Pujas { tecnologia, precio, gw }
+     */
+    function curvaDemanda(params, disp) {
+        const cGas = costeCCGT(params);
+        const pujas = [];
+        const pujar = (tecnologia, precio, gw) => {
+            if (gw > 1e-9) pujas.push({ tecnologia, precio, gw });
+        };
+
+        pujar('demanda', params.precioEscasez, disp.demanda);
+        // El almacenamiento compra si puede revender por debajo de su oferta
+        pujar('cargaBaterias',
+            (OFERTA.factorBaterias * cGas) * params.eficienciaBaterias - params.cicladoBaterias, disp.cargaBaterias);
+        pujar('cargaBombeo',
+            (OFERTA.factorBombeo * cGas) * params.eficienciaBombeo - params.cicladoBombeo, disp.cargaBombeo);
+        pujar('flexibilidad', CT.solar.omVariable, disp.flexibilidad);
+        pujar('electrolizador', params.umbralElectrolizador, disp.electrolizador || 0);
+        if (disp.exportaciones) {
+            for (const t of disp.exportaciones) pujar('exportacion', t.precio, t.gw);
+        } else {
+            pujar('exportacion', params.precioExport, disp.exportacion);
+        }
+
+        return pujas.sort((a, b) => b.precio - a.precio);
+    }
+
+    /**
+     * Casa oferta y demanda: menor precio al que la oferta acumulada cubre
+     * la demanda dispuesta a pagarlo. Si el tramo que cierra es una puja
+     * (demanda aceptada parcialmente), ésta fija el precio; si es la demanda
+     * inelástica, hay escasez y el precio es precioEscasez.
+     *
+     * @param {Array<Object>} ofertas - Tramos de curvaOferta
+     * @param {Array<Object>} pujas - Tramos de curvaDemanda
+     * @returns {Object} { precio, marginal, ofertaGW, demandaGW }
+     */
+    function casar(ofertas, pujas) {
+        const ofertaHasta = p => ofertas.reduce((s, o) => o.precio <= p ? s + o.gw : s, 0);
+        const demandaDesde = p => pujas.reduce((s, d) => d.precio >= p ? s + d.gw : s, 0);
+        const demandaSobre = p => pujas.reduce((s, d) => d.precio > p ? s + d.gw : s, 0);
+
+        const candidatos = [...new Set([...ofertas, ...pujas].map(t => t.precio))].sort((a, b) => a - b);
+        for (const p of candidatos) {
+            const oferta = ofertaHasta(p);
+            if (oferta >= demandaDesde(p) - 1e-9) {
+                const tramo = ofertas.filter(o => o.precio <= p).pop();
+                return { precio: p, marginal: tramo ? tramo.tecnologia : 'demanda', ofertaGW: oferta, demandaGW: demandaDesde(p) };
+            }
+            if (oferta >= demandaSobre(p) - 1e-9) {
+                const tramo = pujas.find(d => d.precio === p);
+                const marginal = tramo.tecnologia === 'demanda' ? 'escasez' : tramo.tecnologia;
+                return { precio: p, marginal, ofertaGW: oferta, demandaGW: oferta };
+            }
+        }
+        // Sin tramos (no hay demanda ni oferta)
+        return { precio: 0, marginal: null, ofertaGW: 0, demandaGW: 0 };
+    }
+
+    /**
+     * Construye ambas curvas de una hora y las casa.
+     * @param {Object} params
+     * @param {Object} oferta - Disponibilidades de curvaOferta
+     * @param {Object} demanda - Cantidades de curvaDemanda
+     * @returns {Object} Resultado de casar()
+     */
+    function casarHora(params, oferta, demanda) {
+        return casar(curvaOferta(params, oferta), curvaDemanda(params, demanda));
+    }
+
+    // Exportar al namespace global
+    SEF.Mercado = {
+        BANDAS_CCGT,
+        TRAMOS_HIDRO,
+        OFERTA,
+        costeCCGT,
+        costeReconversionH2,
+        curvaOferta,
+        curvaDemanda,
+        ofertasFrontera,
+        casar,
+        casarHora,
+    };
+})();
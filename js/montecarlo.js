@@ -0,0 +1,110 @@
+/**
+ * ============================================================================
+ *  CONJUNTOS METEOROLÓGICOS (MONTE CARLO)
+ * ============================================================================
+ *  Ejecuta el mismo juego de parámetros sobre N semillas meteorológicas y
+ *  resume la dispersión de los indicadores con percentiles P10/P50/P90.
+ *  Permite distinguir escenarios robustos de resultados "afortunados"
+ *  debidos a un único año de viento o hidraulicidad favorable. La
+ *  suficiencia (LOLE, EENS, LOLP) se agrega con SEF.Suficiencia.agregar.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+
+    /** Indicadores anuales resumidos por percentiles */
+    const KPIS_CONJUNTO = [
+        'precioMedioPonderado', 'emisionesAnuales', 'horasDeficit',
+        'vertidosTWh', 'coberturaRenovable', 'consumoGasTWh', 'costeSistemaMWh',
+        'lole', 'eensGWh',
+    ];
+
+    /** Magnitudes mensuales resumidas como bandas */
+    const CLAVES_MENSUALES = ['precioMedio', 'gas', 'eolica', 'vertido'];
+
+    const percentil = (arr, p) => SEF.SimuladorElectrico.prototype.percentil(arr, p);
+
+    /**
+     * Resume un conjunto de valores con sus percentiles.
+     * @param {Array<number>} valores
+     * @returns {Object} { valores, p10, p50, p90, media }
+     */
+    function resumir(valores) {
+        return {
+            valores,
+            p10:   percentil(valores, 10),
+            p50:   percentil(valores, 50),
+            p90:   percentil(valores, 90),
+            media: valores.reduce((a, b) => a + b, 0) / Math.max(1, valores.length),
+        };
+    }
+
+    /**
+     * Genera un rango de semillas consecutivas.
+     * @param {number} inicio - Primera semilla
+     * @param {number} n      - Número de semillas
+     * @returns {Array<number>}
+     * @throws {Error} Si n no es un entero positivo
+     */
+    function rangoSemillas(inicio, n) {
+        if (!Number.isInteger(n) || n <= 0) {
+            throw new Error(`Número de semillas no válido: ${n} (entero positivo)`);
+        }
+        return Array.from({ length: n }, (_, i) => inicio + i);
+    }
+
+    /**
+     * Simula el escenario con cada semilla y calcula percentiles.
+     *
+     * @param {Object} params - Parámetros del escenario
+     * @param {Object} [opts] - { semillas } o { semillaInicial, n }; perfiles; onSemilla(i, semilla, R)
+     * @returns {Object} { semillas, kpis, mensual, suficiencia }
+     */
+    function simularConjunto(params, opts = {}) {
+        const semillas = opts.semillas ||
+            rangoSemillas(opts.semillaInicial ?? params.semilla ?? 1, opts.n ?? 20);
+
+        const muestras = Object.fromEntries(KPIS_CONJUNTO.map(k => [k, []]));
+        const mensuales = Object.fromEntries(CLAVES_MENSUALES.map(k =>
+            [k, Array.from({ length: 12 }, () => [])]));
+        const suficiencias = [];
+
+        semillas.forEach((semilla, i) => {
+            const R = new SEF.SimuladorElectrico({ ...params, semilla }, { perfiles: opts.perfiles }).simular();
+            for (const k of KPIS_CONJUNTO) muestras[k].push(R[k]);
+            suficiencias.push(R.suficiencia);
+            R.mensual.forEach((m, mes) => {
+                for (const k of CLAVES_MENSUALES) mensuales[k][mes].push(m[k]);
+            });
+            if (opts.onSemilla) opts.onSemilla(i, semilla, R);
+        });
+
+        const kpis = {};
+        for (const k of KPIS_CONJUNTO) kpis[k] = resumir(muestras[k]);
+
+        const mensual = {};
+        for (const k of CLAVES_MENSUALES) {
+            const meses = mensuales[k].map(resumir);
+            mensual[k] = {
+                p10: meses.map(m => m.p10),
+                p50: meses.map(m => m.p50),
+                p90: meses.map(m => m.p90),
+            };
+        }
+
+        return { semillas, kpis, mensual, suficiencia: SEF.Suficiencia.agregar(suficiencias) };
+    }
+
+    // Exportar al namespace global
+    SEF.MonteCarlo = {
+        KPIS_CONJUNTO,
+        CLAVES_MENSUALES,
+        rangoSemillas,
+        resumir,
+        simularConjunto,
+    };
+})();
@@ -0,0 +1,186 @@
+/**
+ * ============================================================================
+ *  EÓLICA POR REGIONES: CORRELACIÓN ESPACIAL Y EÓLICA MARINA
+ * ============================================================================
+ *  Alternativa a generarSerieViento (parámetro modeloEolico = 'regiones'):
+ *  una serie por región de SEF.REGIONES_EOLICAS, cada una con su base
+ *  estacional, que se suman en el perfil nacional según sus cuotas.
+ *    - Bloques sinópticos comunes (los frentes cruzan la península) con una
+ *      intensidad por región: mezcla de un componente común y otro propio
+ *      con peso correlacionEolica
+ *    - Innovación horaria con la misma mezcla común/propia
+ *    - Eólica marina (eolicaMarina, GW propios): base más alta y ciclo
+ *      diario más débil; con modeloEolico = 'simple' sigue la serie nacional
+ *      escalada (SEF.EOLICA_REGIONES.RELACION_MARINA)
+ *
+ *  Con correlación 1 todas las regiones ven el mismo tiempo; por debajo, el
+ *  perfil nacional es más suave que cada región (suavizado geográfico).
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+    const E = SEF.EOLICA_REGIONES;
+
+    /**
+     * Serie eólica marina a partir de la nacional (modeloEolico = 'simple'
+     * o perfil eólico importado).
+     * @param {ArrayLike<number>} serieViento - Factor eólico terrestre
+     * @returns {Float64Array}
+     */
+    function marinaDesdeNacional(serieViento) {
+        return Float64Array.from(serieViento, fc => Math.min(E.MAX_MARINA, fc * E.RELACION_MARINA));
+    }
+
+    /**
+     * Genera las series horarias de todas las regiones.
+     *
+     * @param {Object} params - Usa correlacionEolica (y el calendario de anioObjetivo)
+     * @param {SeededRNG} rng
+     * @returns {Object} { regiones: [{ clave, nombre, cuota, marina, serie }],
+     *                     terrestre: Float64Array (suma ponderada por cuota),
+     *                     marina: Float64Array }
+     */
+    function generar(params, rng) {
+        const cal = SEF.Calendario.deParams(params);
+        const n = cal.horas;
+        const rho = Math.max(0, Math.min(1, params.correlacionEolica));
+        const comun = Math.sqrt(rho);
+        const propio = Math.sqrt(1 - rho);
+        const regiones = Object.entries(SEF.REGIONES_EOLICAS).map(([clave, r]) => ({
+            clave, ...r, marina: !!r.marina, serie: new Float64Array(n),
+        }));
+        const estado = Float64Array.from(regiones, r => r.base);
+        const sinoptico = new Float64Array(regiones.length).fill(1);
+        // Mezcla de un choque común y otro propio de la región: N(0, 1)
+        const mezclar = z => comun * z + propio * rng.gauss(0, 1);
+
+        let finBloque = 0;
+        for (let h = 0; h < n; h++) {
+            // Bloque sinóptico común (2-7 días) con intensidad por región
+            if (h >= finBloque) {
+                finBloque = h + Math.floor(48 + rng.next() * 120);
+                const z = rng.gauss(0, 1);
+                for (let i = 0; i < regiones.length; i++) {
+                    sinoptico[i] = Math.max(0.15, 1 + E.DISPERSION_SINOPTICA * mezclar(z));
+                }
+            }
+            const hora = h % 24;
+            const mes = cal.mesHora[h];
+            const innovacion = rng.gauss(0, 1);
+            regiones.forEach((r, i) => {
+                const base = r.base + r.estacional * Math.cos((mes - r.mesMaximo) * Math.PI / 6);
+                const diurno = 1 + (r.marina ? E.DIURNO_MARINA : E.DIURNO_TERRESTRE) *
+                    Math.sin((hora - 6) * Math.PI / 12);
+                estado[i] = E.PERSISTENCIA * estado[i] + (1 - E.PERSISTENCIA) * base * sinoptico[i] +
+                    E.RUIDO * mezclar(innovacion);
+                r.serie[h] = Math.max(0.02, Math.min(r.marina ? E.MAX_MARINA : E.MAX_TERRESTRE, estado[i] * diurno));
+            });
+        }
+
+        const terrestre = new Float64Array(n);
+        let marina = null;
+        for (const r of regiones) {
+            if (r.marina) { marina = r.serie; continue; }
+            for (let h = 0; h < n; h++) terrestre[h] += r.cuota * r.serie[h];
+        }
+        return { regiones, terrestre, marina };
+    }
+
+    /**
+     * Media, desviación típica y horas de calma de una serie.
+     * @param {ArrayLike<number>} serie
+     * @returns {Object} { media, desviacion, horasCalma }
+     */
+    function estadisticas(serie) {
+        let suma = 0, suma2 = 0, horasCalma = 0;
+        for (const x of serie) {
+            suma += x;
+            suma2 += x * x;
+            if (x < E.CALMA) horasCalma++;
+        }
+        const media = suma / serie.length;
+        return { media, desviacion: Math.sqrt(Math.max(0, suma2 / serie.length - media * media)), horasCalma };
+    }
+
+    /**
+     * Correlación de Pearson de dos series.
+     * @param {ArrayLike<number>} a
+     * @param {ArrayLike<number>} b
+     * @returns {number}
+     */
+    function correlacion(a, b) {
+        const ea = estadisticas(a), eb = estadisticas(b);
+        let cov = 0;
+        for (let h = 0; h < a.length; h++) cov += (a[h] - ea.media) * (b[h] - eb.media);
+        const den = ea.desviacion * eb.desviacion * a.length;
+        return den > 0 ? cov / den : 0;
+    }
+
+    /**
+     * Resumen anual: factor de carga por región, suavizado geográfico y
+     * correlaciones entre regiones.
+     *
+     * @param {Object} params - Usa eolica, eolicaMarina y correlacionEolica
+     * @param {Object} parque - Resultado de generar()
+     * @returns {Object} { correlacionParam, factorCargaTerrestre, factorCargaMarina,
+     *   marinaTWh, desviacionNacional, desviacionRegional, suavizadoPct,
+     *   horasCalmaNacional, horasCalmaRegional, correlaciones[[]] (regiones terrestres),
+     *   regiones[{ region, nombre, cuota, potenciaGW, factorCarga, desviacion,
+     *              horasCalma, factorMensual[12] }] }
+     */
+    function resumen(params, parque) {
+        const cal = SEF.Calendario.deParams(params);
+        const nacional = estadisticas(parque.terrestre);
+        const terrestres = parque.regiones.filter(r => !r.marina);
+        const regiones = parque.regiones.map(r => {
+            const est = estadisticas(r.serie);
+            const mensual = new Array(12).fill(0);
+            const horasMes = new Array(12).fill(0);
+            for (let h = 0; h < r.serie.length; h++) {
+                const mes = cal.mesHora[h];
+                mensual[mes] += r.serie[h];
+                horasMes[mes]++;
+            }
+            return {
+                region:        r.clave,
+                nombre:        r.nombre,
+                cuota:         r.cuota,
+                marina:        r.marina,
+                potenciaGW:    r.marina ? params.eolicaMarina : params.eolica * r.cuota,
+                factorCarga:   est.media,
+                desviacion:    est.desviacion,
+                horasCalma:    est.horasCalma,
+                factorMensual: mensual.map((s, m) => horasMes[m] > 0 ? s / horasMes[m] : 0),
+            };
+        });
+        const ponderada = campo => regiones.filter(r => !r.marina).reduce((s, r) => s + r.cuota * r[campo], 0);
+        const desviacionRegional = ponderada('desviacion');
+        const marina = estadisticas(parque.marina);
+        return {
+            correlacionParam:     params.correlacionEolica,
+            factorCargaTerrestre: nacional.media,
+            factorCargaMarina:    marina.media,
+            marinaTWh:            params.eolicaMarina * marina.media * parque.marina.length / 1000,
+            desviacionNacional:   nacional.desviacion,
+            desviacionRegional,
+            // Reducción de la variabilidad horaria frente a una sola región típica
+            suavizadoPct:         desviacionRegional > 0 ? (1 - nacional.desviacion / desviacionRegional) * 100 : 0,
+            horasCalmaNacional:   nacional.horasCalma,
+            horasCalmaRegional:   ponderada('horasCalma'),
+            correlaciones:        terrestres.map(a => terrestres.map(b => a === b ? 1 : correlacion(a.serie, b.serie))),
+            regiones,
+        };
+    }
+
+    // Exportar al namespace global
+    SEF.ParqueEolico = {
+        marinaDesdeNacional,
+        generar,
+        estadisticas,
+        resumen,
+    };
+})();
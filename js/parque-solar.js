@@ -0,0 +1,197 @@
+/**
+ * ============================================================================
+ *  PARQUE SOLAR POR REGIONES: SEGUIDORES, RATIO DC/AC Y TEMPERATURA
+ * ============================================================================
+ *  Alternativa a calcularSolar (parámetro modeloSolar = 'regiones'): la FV
+ *  de suelo se reparte entre las regiones de SEF.REGIONES_SOLARES, cada una
+ *  con su latitud, longitud (mediodía solar) y temperatura. En cada región:
+ *    - Estructura fija orientada al sur con inclinación INCLINACION_FIJA
+ *    - Seguidor a un eje horizontal norte-sur (seguidoresPct), que gira de
+ *      este a oeste hasta ±ROTACION_MAX: ensancha la campana de mediodía y
+ *      alarga la producción hacia la rampa de tarde
+ *    - Pérdida por temperatura de célula (ambiente + calentamiento por
+ *      irradiancia) sobre 25 °C
+ *    - Recorte del inversor: con ratioDCAC > 1 el campo DC produce más que
+ *      la potencia AC en las horas centrales y el exceso se pierde
+ *
+ *  Cielo claro del mismo modelo que calcularSolar (directa normal con masa
+ *  de aire, más difusa) y nubosidad común a todas las regiones en la hora.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+    const G = SEF.SOLAR_REGIONES;
+    const T = SEF.TEMP_MENSUAL;
+    const RAD = Math.PI / 180;
+
+    /** Giro máximo del seguidor (grados desde la horizontal) */
+    const ROTACION_MAX = 55;
+
+    /**
+     * Irradiancia de cielo claro sobre estructura fija y seguidor en una
+     * región (unidades de calcularSolar, sin nubosidad).
+     * @param {Object} region - De SEF.REGIONES_SOLARES
+     * @param {number} dia
+     * @param {number} hora
+     * @returns {Object} { fija, seguidor }
+     */
+    function irradiancia(region, dia, hora) {
+        const lat = region.latitud * RAD;
+        const decl = 23.45 * Math.sin(2 * Math.PI * (284 + dia) / 365) * RAD;
+        // Al oeste del meridiano de referencia el sol pasa más tarde
+        const horaSolar = hora - 12 + (region.longitud - G.LONGITUD_REFERENCIA) / 15;
+        const omega = horaSolar * 15 * RAD;
+        const sinElev = Math.sin(lat) * Math.sin(decl) +
+                        Math.cos(lat) * Math.cos(decl) * Math.cos(omega);
+        if (sinElev <= 0.01) return { fija: 0, seguidor: 0 };
+
+        const AM = 1 / Math.max(0.05, sinElev);
+        const directa = 0.75 * Math.pow(0.70, Math.pow(AM, 0.678));
+        const difusa = G.FRACCION_DIFUSA * directa;
+
+        // Fija al sur: equivale a una superficie horizontal a latitud − β
+        const beta = G.INCLINACION_FIJA * RAD;
+        const cosFija = Math.sin(decl) * Math.sin(lat - beta) +
+                        Math.cos(decl) * Math.cos(lat - beta) * Math.cos(omega);
+        const fija = directa * Math.max(0, cosFija) + difusa * (1 + Math.cos(beta)) / 2;
+
+        // Seguidor N-S: gira hacia el sol en el plano este-oeste
+        const esteOeste = Math.abs(Math.cos(decl) * Math.sin(omega));
+        const giro = Math.min(ROTACION_MAX * RAD, Math.atan2(esteOeste, sinElev));
+        const cosSeguidor = sinElev * Math.cos(giro) + esteOeste * Math.sin(giro);
+        const seguidor = directa * Math.max(0, cosSeguidor) + difusa * (1 + Math.cos(giro)) / 2;
+
+        return { fija, seguidor };
+    }
+
+    /**
+     * Parque FV de suelo repartido por regiones.
+     */
+    class ParqueSolar {
+        /**
+         * @param {Object} params - Parámetros del escenario (solar, seguidoresPct, ratioDCAC)
+         */
+        constructor(params) {
+            this.params = params;
+            this.calendario = SEF.Calendario.deParams(params);
+            this.seguidores = params.seguidoresPct / 100;
+            this.regiones = Object.entries(SEF.REGIONES_SOLARES).map(([clave, r]) => ({ clave, ...r }));
+            this.energiaRegion = new Float64Array(this.regiones.length);
+            this.energiaFija = 0;
+            this.energiaSeguidor = 0;
+            this.recorte = 0;
+            this.perdidaTemperatura = 0;
+            this.perfilHora = new Float64Array(24);
+            this.horas = 0;
+        }
+
+        /**
+         * Producción AC por unidad de potencia AC de una estructura.
+         * @param {number} irr - Irradiancia sobre el plano
+         * @param {number} nubes
+         * @param {number} tempAmbiente - °C
+         * @returns {Object} { ac, recorte, perdidaTemperatura } por unidad AC
+         */
+        _convertir(irr, nubes, tempAmbiente) {
+            const dcNominal = irr * nubes * G.ESCALA;
+            const tempCelula = tempAmbiente + G.CALENTAMIENTO * dcNominal;
+            const derrateo = G.COEF_TEMPERATURA * (tempCelula - 25);
+            const potenciaDC = this.params.ratioDCAC * dcNominal * G.RENDIMIENTO_DC;
+            const dc = potenciaDC * (1 - derrateo);
+            return {
+                ac: Math.min(1, dc),
+                recorte: Math.max(0, dc - 1),
+                perdidaTemperatura: potenciaDC * derrateo,
+            };
+        }
+
+        /**
+         * Factor de capacidad AC del parque en una hora, sin registrarla.
+         * @param {number} dia
+         * @param {number} hora
+         * @param {number} nubes - Factor de nubosidad [0..1]
+         * @returns {Object} { fc, fija, seguidor, recorte, perdidaTemperatura, regiones[] }
+         */
+        calcular(dia, hora, nubes) {
+            const mes = this.calendario.mesDia[dia];
+            const varDiurna = 4.5 * Math.sin((hora - 6) * Math.PI / 12);
+            const res = { fc: 0, fija: 0, seguidor: 0, recorte: 0, perdidaTemperatura: 0, regiones: [] };
+            for (const r of this.regiones) {
+                const irr = irradiancia(r, dia, hora);
+                const temp = T[mes] + r.deltaTemp + varDiurna;
+                const fija = this._convertir(irr.fija, nubes, temp);
+                const seguidor = this._convertir(irr.seguidor, nubes, temp);
+                const fcRegion = (1 - this.seguidores) * fija.ac + this.seguidores * seguidor.ac;
+                res.regiones.push(fcRegion);
+                res.fc += r.cuota * fcRegion;
+                res.fija += r.cuota * fija.ac;
+                res.seguidor += r.cuota * seguidor.ac;
+                res.recorte += r.cuota *
+                    ((1 - this.seguidores) * fija.recorte + this.seguidores * seguidor.recorte);
+                res.perdidaTemperatura += r.cuota *
+                    ((1 - this.seguidores) * fija.perdidaTemperatura + this.seguidores * seguidor.perdidaTemperatura);
+            }
+            return res;
+        }
+
+        /**
+         * Factor de capacidad AC de la hora (registra la producción).
+         * @param {number} dia
+         * @param {number} hora
+         * @param {number} nubes
+         * @returns {number}
+         */
+        factor(dia, hora, nubes) {
+            const res = this.calcular(dia, hora, nubes);
+            this.regiones.forEach((r, i) => { this.energiaRegion[i] += res.regiones[i]; });
+            this.energiaFija += res.fija;
+            this.energiaSeguidor += res.seguidor;
+            this.recorte += res.recorte;
+            this.perdidaTemperatura += res.perdidaTemperatura;
+            this.perfilHora[hora] += res.fc;
+            this.horas++;
+            return res.fc;
+        }
+
+        /**
+         * Resumen anual del parque.
+         * @returns {Object} { seguidoresPct, ratioDCAC, factorCarga, factorCargaFija,
+         *                     factorCargaSeguidor, recorteTWh, recortePct,
+         *                     perdidaTemperaturaPct, perfilMedioHora[24],
+         *                     regiones[{ region, nombre, cuota, latitud, factorCarga }] }
+         */
+        resumen() {
+            const horas = Math.max(1, this.horas);
+            const dias = horas / 24;
+            const energia = this.perfilHora.reduce((s, x) => s + x, 0);
+            const bruta = energia + this.recorte + this.perdidaTemperatura;
+            return {
+                seguidoresPct:       this.params.seguidoresPct,
+                ratioDCAC:           this.params.ratioDCAC,
+                factorCarga:         energia / horas,
+                factorCargaFija:     this.energiaFija / horas,
+                factorCargaSeguidor: this.energiaSeguidor / horas,
+                recorteTWh:          this.params.solar * this.recorte / 1000,
+                recortePct:          bruta > 0 ? this.recorte / bruta * 100 : 0,
+                perdidaTemperaturaPct: bruta > 0 ? this.perdidaTemperatura / bruta * 100 : 0,
+                perfilMedioHora:     Array.from(this.perfilHora, x => x / dias),
+                regiones: this.regiones.map((r, i) => ({
+                    region:      r.clave,
+                    nombre:      r.nombre,
+                    cuota:       r.cuota,
+                    latitud:     r.latitud,
+                    factorCarga: this.energiaRegion[i] / horas,
+                })),
+            };
+        }
+    }
+
+    ParqueSolar.irradiancia = irradiancia;
+
+    // Exportar al namespace global
+    SEF.ParqueSolar = ParqueSolar;
+})();
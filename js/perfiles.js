@@ -0,0 +1,214 @@
+/**
+ * ============================================================================
+ *  PERFILES HORARIOS REALES (CSV)
+ * ============================================================================
+ *  Carga series horarias históricas (p. ej. descargas de REE e-sios o
+ *  REData) para sustituir a los perfiles sintéticos del simulador:
+ *    - demanda → se normaliza a media 1 y se escala con
+ *                calcularDemandaAjustada()
+ *    - solar / eólica → factores de capacidad [0..1] que se multiplican
+ *                por la potencia instalada configurada
+ *
+ *  Formatos admitidos: separador ',' o ';' (con coma decimal), campos
+ *  entre comillas ("1,5"), cabecera opcional, valor en la columna
+ *  'valor'/'value' o en la última columna numérica. Años bisiestos
+ *  (8784 h) se recortan a 8760 eliminando el 29 de febrero (el simulador
+ *  lo repone si el año objetivo es bisiesto: SEF.Calendario.ajustarSerie);
+ *  series cuartohorarias (35040) se promedian por hora.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+    const M = SEF.MODEL;
+
+    const TIPOS = ['demanda', 'solar', 'eolica'];
+
+    /** Potencia instalada de referencia (GW) para convertir MW en factor de capacidad */
+    const CAPACIDAD_REF = {
+        solar:  SEF.DATOS_2025.solar,
+        eolica: SEF.DATOS_2025.eolica,
+    };
+
+    const NOMBRES_VALOR = ['valor', 'value', 'valores', 'mw', 'mwh', 'fc'];
+
+    /**
+     * Convierte un texto en número admitiendo coma decimal. Con separador
+     * ',' una coma solo puede venir de un campo entrecomillado: es de miles
+     * si agrupa de tres en tres ("1,234") o va antes del punto ("1,234.5").
+     */
+    function aNumero(texto, comaDecimal) {
+        let t = String(texto).trim().replace(/^"|"$/g, '');
+        if (t.includes(',')) {
+            const miles = !comaDecimal &&
+                (t.lastIndexOf('.') > t.lastIndexOf(',') || /^-?\d{1,3}(,\d{3})+$/.test(t));
+            t = miles ? t.replace(/,/g, '') : t.replace(/\./g, '').replace(',', '.');
+        }
+        return t === '' ? NaN : Number(t);
+    }
+
+    /** Divide una línea en celdas respetando los campos entre comillas ("1,5") */
+    function dividir(linea, sep) {
+        const celdas = [];
+        let celda = '', comillas = false;
+        for (let i = 0; i < linea.length; i++) {
+            const c = linea[i];
+            if (c === '"') {
+                if (comillas && linea[i + 1] === '"') { celda += '"'; i++; }
+                else comillas = !comillas;
+            } else if (c === sep && !comillas) {
+                celdas.push(celda);
+                celda = '';
+            } else {
+                celda += c;
+            }
+        }
+        celdas.push(celda);
+        return celdas;
+    }
+
+    /**
+     * Extrae la serie de valores de un CSV.
+     * @param {string} texto - Contenido del fichero
+     * @returns {Array<number>}
+     */
+    function parsearCSV(texto) {
+        // Líneas con datos y su número en el fichero (para los errores)
+        const lineas = texto.split(/\r?\n/)
+            .map((l, i) => ({ texto: l.trim(), numero: i + 1 }))
+            .filter(l => l.texto && !l.texto.startsWith('#'));
+        if (!lineas.length) throw new Error('El fichero está vacío');
+
+        const sep = dividir(lineas[0].texto, ';').length > dividir(lineas[0].texto, ',').length ? ';' : ',';
+        const comaDecimal = sep === ';';
+        const celdas = l => dividir(l.texto, sep);
+
+        // Cabecera: primera fila sin ningún valor numérico
+        let columna = -1;
+        let inicio = 0;
+        const primera = celdas(lineas[0]);
+        if (primera.every(c => Number.isNaN(aNumero(c, comaDecimal)))) {
+            inicio = 1;
+            columna = primera.findIndex(c =>
+                NOMBRES_VALOR.includes(c.trim().replace(/"/g, '').toLowerCase()));
+        }
+
+        // Sin columna con nombre: última columna numérica de la primera fila de datos
+        if (columna < 0) {
+            const fila = celdas(lineas[inicio]);
+            for (let i = fila.length - 1; i >= 0; i--) {
+                if (!Number.isNaN(aNumero(fila[i], comaDecimal))) { columna = i; break; }
+            }
+            if (columna < 0) throw new Error('No se encuentra ninguna columna numérica');
+        }
+
+        const valores = [];
+        for (let i = inicio; i < lineas.length; i++) {
+            const v = aNumero(celdas(lineas[i])[columna], comaDecimal);
+            if (Number.isNaN(v)) throw new Error(`Valor no numérico en la línea ${lineas[i].numero}`);
+            valores.push(v);
+        }
+        return valores;
+    }
+
+    /**
+     * Ajusta una serie a 8760 horas.
+     * @param {Array<number>} valores
+     * @returns {Float64Array}
+     */
+    function aHorasAnio(valores) {
+        let serie = valores;
+        if (serie.length === 4 * M.HORAS_ANIO || serie.length === 4 * (M.HORAS_ANIO + 24)) {
+            const horaria = [];
+            for (let i = 0; i < serie.length; i += 4) {
+                horaria.push((serie[i] + serie[i + 1] + serie[i + 2] + serie[i + 3]) / 4);
+            }
+            serie = horaria;
+        }
+        if (serie.length === M.HORAS_ANIO + 24) {
+            // Año bisiesto: eliminar el 29 de febrero (día 59)
+            serie = [...serie.slice(0, 59 * 24), ...serie.slice(60 * 24)];
+        }
+        if (serie.length !== M.HORAS_ANIO) {
+            throw new Error(`Se esperaban ${M.HORAS_ANIO} valores horarios y hay ${valores.length}`);
+        }
+        return Float64Array.from(serie);
+    }
+
+    /**
+     * Normaliza una serie según su tipo.
+     *  - demanda: media 1
+     *  - solar/eólica: factor de capacidad. Si hay valores > 1 se interpretan
+     *    como MW y se dividen por la potencia instalada de referencia; valores
+     *    hasta 100 con máximo > 1 y sin capacidad se tratan como porcentaje.
+     *
+     * @param {Float64Array} serie
+     * @param {string} tipo - 'demanda' | 'solar' | 'eolica'
+     * @param {Object} [opts] - { capacidadGW, unidad: 'mw' | 'pct' | 'fc' }
+     * @returns {Float64Array}
+     */
+    function normalizar(serie, tipo, opts = {}) {
+        if (!TIPOS.includes(tipo)) throw new Error(`Tipo de perfil desconocido: ${tipo}`);
+        const out = new Float64Array(serie.length);
+
+        if (tipo === 'demanda') {
+            const media = serie.reduce((a, b) => a + b, 0) / serie.length;
+            if (!(media > 0)) throw new Error('La demanda media debe ser positiva');
+            for (let i = 0; i < serie.length; i++) out[i] = Math.max(0, serie[i]) / media;
+            return out;
+        }
+
+        const max = Math.max(...serie);
+        let unidad = opts.unidad;
+        if (!unidad) unidad = max <= 1 ? 'fc' : (max <= 100 && !opts.capacidadGW ? 'pct' : 'mw');
+
+        const divisor = unidad === 'fc' ? 1
+                      : unidad === 'pct' ? 100
+                      : (opts.capacidadGW ?? CAPACIDAD_REF[tipo]) * 1000;
+        for (let i = 0; i < serie.length; i++) {
+            out[i] = Math.max(0, Math.min(1, serie[i] / divisor));
+        }
+        return out;
+    }
+
+    /**
+     * Lee, ajusta y normaliza un perfil a partir del texto CSV.
+     * @param {string} texto
+     * @param {string} tipo
+     * @param {Object} [opts] - Ver normalizar()
+     * @returns {Float64Array} 8760 valores
+     */
+    function cargar(texto, tipo, opts = {}) {
+        return normalizar(aHorasAnio(parsearCSV(texto)), tipo, opts);
+    }
+
+    /**
+     * Resumen de un perfil para mostrar en la interfaz.
+     * @param {Float64Array} serie
+     * @param {string} tipo
+     * @returns {Object} { horas, media, max, horasEquivalentes }
+     */
+    function resumen(serie, tipo) {
+        const media = serie.reduce((a, b) => a + b, 0) / serie.length;
+        return {
+            horas: serie.length,
+            media,
+            max: Math.max(...serie),
+            horasEquivalentes: tipo === 'demanda' ? null : media * serie.length,
+        };
+    }
+
+    // Exportar al namespace global
+    SEF.Perfiles = {
+        TIPOS,
+        CAPACIDAD_REF,
+        parsearCSV,
+        aHorasAnio,
+        normalizar,
+        cargar,
+        resumen,
+    };
+})();
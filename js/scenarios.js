@@ -143,7 +143,7 @@
             nombre: 'Hidrógeno Verde',
             icono: '🟢',
             estilo: 'default',
-            descripcion: 'Desarrollo masivo de electrolizadores para producción de H₂ verde. Alta flexibilidad de demanda (12 GW), absorbe excedentes renovables. Requiere exceso de capacidad solar/eólica para alimentar electrólisis.',
+            descripcion: 'Desarrollo masivo de electrolizadores para producción de H₂ verde: 10 GW que absorben excedentes renovables, almacén de 2 TWh de H₂ y 2 GW de turbinas de H₂ para las puntas. Requiere exceso de capacidad solar/eólica para alimentar electrólisis.',
             params: {
                 nuclear: 3.0, solar: 90.0, eolica: 65.0, hidraulica: 17.0, ccgt: 20.0,
                 bateriasPotencia: 12.0, bateriasCapacidad: 50, bombeo: 6.0, bombeoCapacidad: 40,
@@ -152,8 +152,9 @@
                 demandaAnual: 285, hidraulicidad: 1.0,
                 anioObjetivo: 2033, crecimientoDemanda: 1.0, electrificacionTWh: 5.0,
                 eficienciaDemanda: 0.7, aplicarPlanNuclear: true, cierreNuclear: 2035,
-                flexibilidadGW: 12.0, flexibilidadPct: 15,
-                interconexion: 5.0, precioImport: 85, precioExport: 3, precioEscasez: 300
+                flexibilidadGW: 5.0, flexibilidadPct: 8,
+                interconexion: 5.0, precioImport: 85, precioExport: 3, precioEscasez: 300,
+                electrolizadorGW: 10.0, almacenH2GWh: 2000, reconversionH2GW: 2.0
             }
         },
 
@@ -0,0 +1,64 @@
+/**
+ * ============================================================================
+ *  WEB WORKER DE SIMULACIÓN
+ * ============================================================================
+ *  Ejecuta el motor fuera del hilo principal para que la interfaz no se
+ *  bloquee durante el bucle de 8760 horas.
+ *
+ *  Protocolo de mensajes:
+ *    → { tipo: 'iniciar',  id, modo, params, opciones }
+ *    ← { tipo: 'progreso', id, fraccion }
+ *    ← { tipo: 'resultado', id, modo, resultado }   (Float64Array transferidos)
+ *    ← { tipo: 'error',    id, mensaje }
+ *
+ *  Un bucle síncrono no atiende mensajes mientras corre: para cancelar, el
+ *  cliente termina el worker y crea otro para la siguiente tarea.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+importScripts(
+    'constants.js',
+    'scenarios.js',
+    'calendario.js',
+    'economia.js',
+    'ingresos.js',
+    'mercado.js',
+    'flota-ccgt.js',
+    'interconexion.js',
+    'parque-solar.js',
+    'parque-eolico.js',
+    'hidrogeno.js',
+    'vehiculos.js',
+    'climatizacion.js',
+    'autoconsumo.js',
+    'suficiencia.js',
+    'estres.js',
+    'simulator.js',
+    'perfiles.js',
+    'trayectoria.js',
+    'montecarlo.js',
+    'tareas.js'
+);
+
+self.onmessage = function(evento) {
+    const msg = evento.data;
+
+    if (msg.tipo !== 'iniciar') return;
+
+    try {
+        const resultado = SEF.Tareas.ejecutar(msg.modo, msg.params, msg.opciones, fraccion => {
+            self.postMessage({ tipo: 'progreso', id: msg.id, fraccion });
+        });
+        const paquete = SEF.Tareas.empaquetar(msg.modo, resultado);
+        self.postMessage(
+            { tipo: 'resultado', id: msg.id, modo: msg.modo, resultado: paquete.resultado },
+            paquete.transferibles
+        );
+    } catch (err) {
+        self.postMessage({ tipo: 'error', id: msg.id, mensaje: err.message });
+    }
+};
@@ -45,15 +45,55 @@
         }
     }
 
+    /**
+     * Umbral de recorte de puntas: nivel L tal que descargar
+     * min(potencia, serie[t] − L) en las horas por encima de L consume
+     * exactamente la energía disponible. Nunca es negativo: no se descarga
+     * para cubrir horas sin déficit.
+     *
+     * @param {ArrayLike<number>} serie - Residual previsto (GW)
+     * @param {number} desde - Primera hora de la ventana
+     * @param {number} hasta - Hora final (excluida)
+     * @param {number} energia - GWh disponibles
+     * @param {number} potencia - GW máximos de descarga
+     * @returns {number} Umbral en GW
+     */
+    function umbralRecorte(serie, desde, hasta, energia, potencia) {
+        const recorte = L => {
+            let e = 0;
+            for (let t = desde; t < hasta; t++) e += Math.min(potencia, Math.max(0, serie[t] - L));
+            return e;
+        };
+        if (potencia <= 0 || recorte(0) <= energia) return 0;
+        let lo = 0, hi = 0;
+        for (let t = desde; t < hasta; t++) hi = Math.max(hi, serie[t]);
+        for (let i = 0; i < 30; i++) {
+            const mid = (lo + hi) / 2;
+            if (recorte(mid) > energia) lo = mid; else hi = mid;
+        }
+        return hi;
+    }
+
     /**
      * Clase principal del simulador.
      */
     class SimuladorElectrico {
         /**
          * @param {Object} params - Parámetros de configuración del escenario
+         * @param {Object} [opciones] - Opciones de ejecución:
+         *   - onProgreso(fraccion): llamado cada mes simulado
+         *   - perfiles: { demanda, solar, eolica } series reales de 8760 h
+         *     (SEF.Perfiles) que sustituyen a las sintéticas; en años
+         *     bisiestos se les añade el 29 de febrero
+         *   - evento: episodio de estrés inyectado en su ventana (SEF.Estres.evento)
+         *   - ventanas: [{ inicio, fin }] horas cuyos indicadores se registran en
+         *     R.ventanas (por defecto, la del evento)
          */
-        constructor(params) {
+        constructor(params, opciones = {}) {
             this.params = { ...SEF.PARAMS_DEFAULT, ...params };
+            this.opciones = opciones;
+            // Eje temporal del año simulado (SEF.Calendario)
+            this.calendario = SEF.Calendario.deParams(this.params);
         }
 
         // ── GEOMETRÍA SOLAR ─────────────────────────────────────────────
@@ -96,26 +136,26 @@
          * que refleja la dinámica de los frentes meteorológicos.
          *
          * @param {SeededRNG} rng - Generador aleatorio con semilla
-         * @returns {Float64Array} 8760 valores de factor de capacidad eólica
+         * @returns {Float64Array} Factor de capacidad eólica de cada hora del año
          */
         generarSerieViento(rng) {
-            const serie = new Float64Array(M.HORAS_ANIO);
+            const cal = this.calendario;
+            const serie = new Float64Array(cal.horas);
             let estado = 0.30; // Valor inicial
 
             // Generar bloques sinópticos (3-7 días de persistencia)
             const bloques = [];
             let h = 0;
-            while (h < M.HORAS_ANIO) {
+            while (h < cal.horas) {
                 const duracion = Math.floor(48 + rng.next() * 120); // 2-7 días
                 const intensidad = rng.next();
                 bloques.push({ inicio: h, duracion, intensidad });
                 h += duracion;
             }
 
-            for (let i = 0; i < M.HORAS_ANIO; i++) {
-                const dia = Math.floor(i / 24);
+            for (let i = 0; i < cal.horas; i++) {
                 const hora = i % 24;
-                const mes = Math.floor(dia / 30.5);
+                const mes = cal.mesHora[i];
 
                 // Base estacional: más viento en invierno (Dic-Feb) y menos en verano
                 const baseEstacional = 0.28 + 0.14 * Math.cos((mes - 0.5) * Math.PI / 6);
@@ -148,25 +188,30 @@
         /**
          * Genera la curva de demanda horaria normalizada, sensible a
          * temperatura (calefacción en invierno, refrigeración en verano),
-         * día de la semana y hora del día.
+         * día de la semana, festivos y hora del día. La temperatura sigue la
+         * hora solar (CET); el perfil de consumo, la hora oficial.
          *
          * @param {SeededRNG} rng - Generador aleatorio
-         * @returns {Float64Array} 8760 valores de demanda normalizada
+         * @param {Float64Array} [temperatura] - Si se pasa, recibe la
+         *        temperatura horaria simulada (°C)
+         * @param {Object} [evento] - Episodio de estrés: suma deltaTemp en su ventana
+         * @returns {Float64Array} Demanda normalizada de cada hora del año
          */
-        generarSerieDemanda(rng) {
-            const serie = new Float64Array(M.HORAS_ANIO);
+        generarSerieDemanda(rng, temperatura = null, evento = null) {
+            const cal = this.calendario;
+            const serie = new Float64Array(cal.horas);
 
-            for (let i = 0; i < M.HORAS_ANIO; i++) {
-                const dia = Math.floor(i / 24);
+            for (let i = 0; i < cal.horas; i++) {
                 const hora = i % 24;
-                const mes = Math.floor(dia / 30.5) % 12;
-                const diaSemana = dia % 7;
+                const mes = cal.mesHora[i];
+                const horaLocal = cal.horaLocal[i];
 
                 // Temperatura simulada (base mensual + variación diurna + ruido)
                 const tempBase = T[mes];
                 const varDiurna = 4.5 * Math.sin((hora - 6) * Math.PI / 12);
                 const ruido = rng.gauss(0, 1.5);
-                const temp = tempBase + varDiurna + ruido;
+                const temp = tempBase + varDiurna + ruido + SEF.Estres.modificadores(evento, i).deltaTemp;
+                if (temperatura) temperatura[i] = temp;
 
                 // Factor de temperatura (curva en U: frío → calefacción, calor → AC)
                 let factorTemp = 1.0;
@@ -174,13 +219,13 @@
                 if (temp > 25) factorTemp = 1 + (temp - 25) * 0.018;
 
                 // Perfil horario: doble pico español (mañana ~10h, tarde/noche ~20h)
-                const picoManana = Math.exp(-Math.pow((hora - 10) / 2.8, 2)) * 0.28;
-                const picoTarde  = Math.exp(-Math.pow((hora - 20) / 2.5, 2)) * 0.32;
+                const picoManana = Math.exp(-Math.pow((horaLocal - 10) / 2.8, 2)) * 0.28;
+                const picoTarde  = Math.exp(-Math.pow((horaLocal - 20) / 2.5, 2)) * 0.32;
                 const baseNocturna = 0.62;
                 const perfilHorario = baseNocturna + picoManana + picoTarde;
 
-                // Factor laboralidad
-                const factorLaboral = diaSemana < 5 ? 1.04 : 0.87;
+                // Factor laboralidad: festivos nacionales como domingo
+                const factorLaboral = cal.laborable[cal.diaLocal[i]] ? 1.04 : 0.87;
 
                 // Ruido residual (±3%)
                 const ruidoDemanda = 0.97 + rng.next() * 0.06;
@@ -224,7 +269,7 @@
          * El hidráulico es gestionable: se guarda para picos de demanda.
          */
         calcularHidro(dia, hora, rng) {
-            const mes = Math.floor(dia / 30.5) % 12;
+            const mes = this.calendario.mesDia[dia];
             // Más disponible en primavera (deshielo) y otoño (lluvias)
             const baseEstacional = 0.28 + 0.28 * Math.cos((mes - 4) * Math.PI / 6);
             return Math.max(0.08, Math.min(0.85, baseEstacional * this.params.hidraulicidad));
@@ -236,6 +281,8 @@
          * Calcula el precio marginal del mercado spot (OMIE) para una hora dada.
          * Sigue el sistema marginalista: el precio lo fija la última tecnología
          * necesaria para cubrir la demanda.
+         * Modelo heurístico (modeloPrecio = 'heuristico'); el de curvas de
+         * oferta está en SEF.Mercado.
          *
          * @param {Object} gen - Generación por tecnología (GW)
          * @param {number} demandaGW - Demanda total (GW)
@@ -245,15 +292,25 @@
          * @returns {number} Precio marginal €/MWh
          */
         calcularPrecioMarginal(gen, demandaGW, ratioRenovable, contexto, gasAnterior) {
+            return this.ajustarPrecio(
+                this.calcularPrecioCasacion(gen, demandaGW, ratioRenovable, contexto, gasAnterior));
+        }
+
+        /**
+         * Precio de casación del mercado diario antes de pérdidas y cargos
+         * (mismos argumentos que calcularPrecioMarginal).
+         * @returns {number} €/MWh
+         */
+        calcularPrecioCasacion(gen, demandaGW, ratioRenovable, contexto, gasAnterior) {
             const p = this.params;
             // Coste marginal del CCGT (€/MWh_eléctrico)
             const calorEsp  = 1 / Math.max(0.45, p.rendimientoCCGT);
             const costeComb = p.precioGas * calorEsp;
             const costeCO2  = (M.FACTOR_CO2_GAS / Math.max(0.45, p.rendimientoCCGT)) * p.precioCO2;
-            const costeCCGT = costeComb + costeCO2 + p.omCCGT;
+            const costeCCGT = contexto.costeCCGT ?? (costeComb + costeCO2 + p.omCCGT);
 
             // Stress térmico (cuanto más cargado el parque CCGT, más caro)
-            const stressCCGT = Math.min(1, gen.gas / Math.max(0.5, p.ccgt));
+            const stressCCGT = Math.min(1, gen.gas / Math.max(0.5, contexto.ccgtDisponible ?? p.ccgt));
             // Stress hidráulico  
             const stressHidro = Math.min(1, gen.hidraulica / Math.max(0.5, p.hidraulica));
 
@@ -274,30 +331,44 @@
                 const primaRampa = deltGas > 1 ? 3 * deltGas : 0;
                 precio = costeCCGT + primaStress + primaRampa;
             } else if (gen.hidraulica > 0.5) {
-                // Hidráulica es marginal → bid de oportunidad
-                precio = 25 + 25 * stressHidro;
+                // Hidráulica es marginal → bid de oportunidad (valor del agua si hay embalse)
+                precio = contexto.valorAgua ?? (25 + 25 * stressHidro);
             } else {
                 // Solo renovable cubriendo demanda, precio bajo
                 precio = 6 + (1 - ratioRenovable) * 30;
             }
 
-            // Importaciones fijan suelo
+            // Importaciones fijan suelo (por zonas, el precio vecino más caro)
             if (contexto.importacion > 0) {
-                const stressImport = Math.min(1, contexto.importacion / Math.max(0.5, p.interconexion));
-                precio = Math.max(precio, p.precioImport * (0.85 + 0.3 * stressImport));
+                const stressImport = Math.min(1,
+                    contexto.importacion / Math.max(0.5, contexto.interconexionDisponible ?? p.interconexion));
+                precio = Math.max(precio, contexto.precioImportacion ?? p.precioImport * (0.85 + 0.3 * stressImport));
             }
 
-            // Exportaciones fijan suelo bajo
+            // Exportaciones fijan suelo bajo (por zonas, el precio vecino más barato)
             if (contexto.exportacion > 0) {
-                precio = Math.min(precio, p.precioExport + 10);
+                precio = Math.min(precio, contexto.precioExportacion ?? p.precioExport + 10);
             }
 
+            // Acoplamiento sin congestión: precio común con los vecinos
+            if (contexto.precioAcoplado != null) precio = contexto.precioAcoplado;
+
             // Escasez (VOLL - Value of Lost Load)
             if (contexto.deficit > 0.3) {
                 const deficitPct = contexto.deficit / Math.max(1, demandaGW);
                 precio = Math.max(precio, p.precioEscasez * Math.min(1, deficitPct * 4));
             }
 
+            return precio;
+        }
+
+        /**
+         * Aplica los ajustes regulados al precio de casación y lo acota.
+         * @param {number} precio - €/MWh del mercado diario
+         * @returns {number} Precio final €/MWh
+         */
+        ajustarPrecio(precio) {
+            const p = this.params;
             // Ajustes regulados: pérdidas de red y cargos/peajes (CNMC/MITECO)
             precio = precio * (1 + p.perdidasRed) + p.cargosSistema;
 
@@ -305,6 +376,109 @@
             return Math.min(500, Math.max(-25, precio));
         }
 
+        // ── PREVISIÓN PARA EL ALMACENAMIENTO ────────────────────────────
+
+        /**
+         * Residual previsto para todo el año: demanda − nuclear − solar −
+         * eólica − hidráulica disponible. La solar sintética se prevé con
+         * nubosidad media (no consume el RNG meteorológico).
+         *
+         * @returns {Object} { base: Float64Array (antes de hidráulica),
+         *   residual: Float64Array (tras hidráulica),
+         *   siguienteExcedente: Int32Array (primera hora ≥ h con excedente previsto) }
+         */
+        _preverResidual(serieDemanda, serieViento, serieSolar, demandaMediaGW, nuclearGW,
+            cargaAdicional = null, parqueSolar = null, serieMarina = null) {
+            const p = this.params;
+            const n = this.calendario.horas;
+            const residual = new Float64Array(n);
+            const base = new Float64Array(n);
+            for (let h = 0; h < n; h++) {
+                const dia = Math.floor(h / 24);
+                const hora = h % 24;
+                const fc = serieSolar ? serieSolar[h]
+                    : parqueSolar ? parqueSolar.calcular(dia, hora, 0.825).fc
+                    : this.calcularSolar(dia, hora, 0.825);
+                const solar = p.solar * fc;
+                const demanda = demandaMediaGW * serieDemanda[h] + (cargaAdicional ? cargaAdicional[h] : 0);
+                const eolica = p.eolica * serieViento[h] + (serieMarina ? p.eolicaMarina * serieMarina[h] : 0);
+                base[h] = demanda - nuclearGW * M.FC_NUCLEAR - solar - eolica;
+                residual[h] = base[h] - p.hidraulica * this.calcularHidro(dia, hora);
+            }
+            const siguienteExcedente = new Int32Array(n);
+            let siguiente = n;
+            for (let h = n - 1; h >= 0; h--) {
+                if (base[h] < 0) siguiente = h;
+                siguienteExcedente[h] = siguiente;
+            }
+            return { base, residual, siguienteExcedente };
+        }
+
+        /**
+         * Demanda prevista fuera de la curva normalizada: bombas de calor menos
+         * autoconsumo (sin baterías, con la nubosidad media de la previsión).
+         * @param {Object} [climatizacion] - Resultado de SEF.Climatizacion.calcular
+         * @param {SEF.Autoconsumo} [autoconsumo]
+         * @param {Float64Array} [serieSolar] - Perfil solar importado
+         * @returns {Float64Array|null} GW horarios
+         */
+        _preverDemandaAdicional(climatizacion, autoconsumo, serieSolar) {
+            if (!climatizacion && !autoconsumo) return null;
+            const adicional = new Float64Array(this.calendario.horas);
+            for (let h = 0; h < adicional.length; h++) {
+                if (climatizacion) adicional[h] += climatizacion.cargaGW[h];
+                if (autoconsumo) {
+                    const fc = serieSolar ? serieSolar[h] : this.calcularSolar(Math.floor(h / 24), h % 24, 0.825);
+                    adicional[h] -= autoconsumo.prevision(fc);
+                }
+            }
+            return adicional;
+        }
+
+        // ── EMBALSE HIDRÁULICO ──────────────────────────────────────────
+
+        /**
+         * Aportaciones horarias al embalse: hidroAnualTWh × hidraulicidad
+         * repartidas según SEF.HIDRO_EMBALSE.aportacionMensual.
+         *
+         * @returns {Object} { capacidad (GWh), aportacion: Float64Array (GWh/h),
+         *   aportacionAcum: Float64Array (suma hasta h, n+1 valores), nivelObjetivo }
+         */
+        _prepararEmbalse() {
+            const p = this.params;
+            const cal = this.calendario;
+            const n = cal.horas;
+            const horasMes = new Array(12).fill(0);
+            for (let h = 0; h < n; h++) horasMes[cal.mesHora[h]]++;
+
+            const anualGWh = p.hidroAnualTWh * p.hidraulicidad * 1000;
+            const aportacion = new Float64Array(n);
+            const aportacionAcum = new Float64Array(n + 1);
+            for (let h = 0; h < n; h++) {
+                const mes = cal.mesHora[h];
+                aportacion[h] = anualGWh * SEF.HIDRO_EMBALSE.aportacionMensual[mes] / horasMes[mes];
+                aportacionAcum[h + 1] = aportacionAcum[h] + aportacion[h];
+            }
+            return {
+                capacidad: p.hidraulica * M.EMBALSE_GWH_POR_GW,
+                aportacion,
+                aportacionAcum,
+                nivelObjetivo: SEF.HIDRO_EMBALSE.nivelObjetivo,
+            };
+        }
+
+        /**
+         * Valor del agua (€/MWh): coste de oportunidad frente al CCGT, mayor
+         * cuanto más bajo está el embalse respecto a su curva guía.
+         * @param {number} nivel - Fracción de la capacidad
+         * @param {number} objetivo - Fracción objetivo del mes
+         * @returns {number}
+         */
+        _valorAgua(nivel, objetivo) {
+            const escasez = 0.8 * objetivo / Math.max(0.05, nivel);
+            return SEF.Mercado.costeCCGT(this.params) * Math.min(1.2, Math.max(0.2, escasez));
+        }
+
         // ── CÁLCULO DE PERCENTILES ──────────────────────────────────────
 
         /**
@@ -328,33 +502,138 @@
          * Despacha generación siguiendo merit order y calcula precios,
          * emisiones, vertidos, déficit y otros indicadores.
          *
+         * @param {Object} [estadoInicial] - Estado heredado del año anterior
+         *        ({ estadoBateria, estadoBombeo, nivelEmbalse, nivelH2,
+         *        estadoAutoconsumo } en GWh).
+         *        Por defecto socInicialPct / embalseInicialPct / 50% del H₂.
          * @returns {Object} Resultados completos de la simulación
          */
-        simular() {
+        simular(estadoInicial = {}) {
             const p = this.params;
             const rng = new SeededRNG(p.semilla || 42);
+            const cal = this.calendario;
+            const n = cal.horas;
 
             // Demanda y nuclear ajustadas por horizonte
             const demandaAnualTWh = this.calcularDemandaAjustada();
-            const demandaMediaGW  = demandaAnualTWh * 1000 / M.HORAS_ANIO;
+            const demandaMediaGW  = demandaAnualTWh * 1000 / n;
             const nuclearGW       = this.calcularNuclearDisponible();
 
-            // Generar series temporales
-            const serieViento  = this.generarSerieViento(new SeededRNG(p.semilla * 7 + 13));
-            const serieDemanda = this.generarSerieDemanda(new SeededRNG(p.semilla * 3 + 7));
+            // Generar series temporales (o usar perfiles reales importados,
+            // ajustados a la longitud del año)
+            const perfiles = Object.fromEntries(Object.entries(this.opciones.perfiles || {})
+                .map(([k, serie]) => [k, serie && SEF.Calendario.ajustarSerie(serie, n)]));
+            // Episodio de estrés (SEF.Estres): modifica las series en su ventana
+            const evento = this.opciones.evento || null;
+            // Eólica por regiones (modeloEolico = 'regiones'); un perfil
+            // eólico importado tiene prioridad
+            const rngViento = new SeededRNG(p.semilla * 7 + 13);
+            const parqueEolico = p.modeloEolico === 'regiones' && !perfiles.eolica
+                ? SEF.ParqueEolico.generar(p, rngViento)
+                : null;
+            const vientoBase = perfiles.eolica ||
+                (parqueEolico ? parqueEolico.terrestre : this.generarSerieViento(rngViento));
+            // Eólica marina: serie propia por regiones o la nacional escalada
+            const marinaBase = p.eolicaMarina > 0
+                ? (parqueEolico ? parqueEolico.marina : SEF.ParqueEolico.marinaDesdeNacional(vientoBase))
+                : null;
+            const serieViento = evento ? SEF.Estres.escalar(vientoBase, evento, 'viento') : vientoBase;
+            const serieMarina = evento && marinaBase ? SEF.Estres.escalar(marinaBase, evento, 'viento') : marinaBase;
+            // Temperatura horaria del modelo de demanda para las bombas de
+            // calor (también con perfil real de demanda: se descarta la serie)
+            const temperatura = p.bombasCalorM > 0 ? new Float64Array(n) : null;
+            const demandaSintetica = !perfiles.demanda || temperatura
+                ? this.generarSerieDemanda(new SeededRNG(p.semilla * 3 + 7), temperatura, evento)
+                : null;
+            const serieDemanda = perfiles.demanda || demandaSintetica;
+            const climatizacion = temperatura ? SEF.Climatizacion.calcular(p, temperatura) : null;
+
+            // Autoconsumo tras el contador: la red lo ve como menor demanda
+            const autoconsumo = p.autoconsumoGW > 0
+                ? new SEF.Autoconsumo(p, estadoInicial.estadoAutoconsumo)
+                : null;
+            const serieSolar   = perfiles.solar && evento
+                ? SEF.Estres.escalar(perfiles.solar, evento, 'nubes')
+                : perfiles.solar || null;
+
+            // FV de suelo por regiones con seguidores (modeloSolar = 'regiones');
+            // un perfil solar importado tiene prioridad
+            const parqueSolar = p.modeloSolar === 'regiones' && !serieSolar ? new SEF.ParqueSolar(p) : null;
 
             // RNG para nubes y variaciones
             const rngMeteo = new SeededRNG(p.semilla * 11 + 37);
 
             // Estado del almacenamiento
-            let estadoBateria = p.bateriasCapacidad * 0.5;
-            let estadoBombeo  = p.bombeoCapacidad * 0.5;
+            const socInicial = p.socInicialPct / 100;
+            let estadoBateria = Math.min(p.bateriasCapacidad,
+                estadoInicial.estadoBateria ?? p.bateriasCapacidad * socInicial);
+            let estadoBombeo  = Math.min(p.bombeoCapacidad,
+                estadoInicial.estadoBombeo ?? p.bombeoCapacidad * socInicial);
+
+            // Embalse hidráulico con valor del agua (modeloHidro = 'embalse')
+            const embalse = p.modeloHidro === 'embalse' ? this._prepararEmbalse() : null;
+            let nivelEmbalse = embalse
+                ? Math.min(embalse.capacidad,
+                    estadoInicial.nivelEmbalse ?? embalse.capacidad * p.embalseInicialPct / 100)
+                : 0;
+            const llenadoEmbalse = () => embalse.capacidad > 0 ? nivelEmbalse / embalse.capacidad : 0;
+
+            // Previsión del residual para el almacenamiento con horizonte
+            // (modoAlmacenamiento = 'previsor'), el desembalse y la recarga
+            // inteligente de los vehículos eléctricos
+            const almPrevisor = p.modoAlmacenamiento === 'previsor';
+            const veInteligente = p.vehiculosElectricos > 0 && p.modoCargaVE === 'inteligente';
+            const prevision = almPrevisor || embalse || veInteligente
+                ? this._preverResidual(serieDemanda, serieViento, serieSolar, demandaMediaGW, nuclearGW,
+                    this._preverDemandaAdicional(climatizacion, autoconsumo, serieSolar), parqueSolar, serieMarina)
+                : null;
+
+            // Parque de vehículos eléctricos: recarga sobre la demanda y V2G
+            const flotaVE = p.vehiculosElectricos > 0
+                ? new SEF.FlotaVehiculos(p, prevision ? prevision.base : null)
+                : null;
             let gasAnterior   = 0;
+            // Gas de mercado de la hora anterior (sin el acoplado por inercia)
+            let gasMercadoAnterior = 0;
+
+            // Parque CCGT por grupos (modeloCCGT = 'unidades')
+            const flota = p.modeloCCGT === 'unidades' ? new SEF.FlotaCCGT(p) : null;
+
+            // Mínimo de generación síncrona (inercia): gas acoplado por seguridad
+            const minimoSincronoGW = p.restriccionInercia ? M.INERCIA_MIN_GW : 0;
+            const costeCCGT = SEF.Mercado.costeCCGT(p);
+
+            // Con previsión, el almacenamiento solo cicla si el gas que evita
+            // paga su degradación (€/MWh descargado): carga primero el que más
+            // vale por MWh cargado y descarga primero el de ciclado más barato
+            const margenBat    = costeCCGT - p.cicladoBaterias;
+            const margenBombeo = costeCCGT - p.cicladoBombeo;
+            const usaBat    = !almPrevisor || margenBat > 0;
+            const usaBombeo = !almPrevisor || margenBombeo > 0;
+            const cargaBombeoPrimero    = almPrevisor &&
+                p.eficienciaBombeo * margenBombeo > p.eficienciaBaterias * margenBat;
+            const descargaBombeoPrimero = almPrevisor && margenBombeo > margenBat;
+
+            // Interconexión por zonas vecinas (modeloInterconexion = 'zonas')
+            const fronteras = p.modeloInterconexion === 'zonas' ? SEF.Interconexion.capacidades(p) : null;
+            const preciosZonas = fronteras
+                ? SEF.Interconexion.generarPrecios(p, new SeededRNG(p.semilla * 17 + 71), serieViento)
+                : null;
+            // NTC sin evento: la caída de interconexiones las reduce en su ventana
+            const ntcBase = fronteras
+                ? Object.fromEntries(fronteras.map(f => [f.zona, { importacion: f.importacion, exportacion: f.exportacion }]))
+                : null;
+
+            // Hidrógeno verde: electrolizadores, almacén y reconversión
+            const hidrogeno = p.electrolizadorGW > 0 || p.reconversionH2GW > 0
+                ? new SEF.SistemaHidrogeno(p, estadoInicial.nivelH2)
+                : null;
 
             // Acumuladores
-            const mix     = new Array(M.HORAS_ANIO);
-            const precios = new Float64Array(M.HORAS_ANIO);
-            const demandaHorariaGW = new Float64Array(M.HORAS_ANIO);
+            const mix     = new Array(n);
+            const precios = new Float64Array(n);
+            const demandaHorariaGW = new Float64Array(n);
+            const ensHorariaGW     = new Float64Array(n);
 
             const R = {
                 consumoGasTWh: 0, vertidosTWh: 0, horasGas: 0, horasVertido: 0,
@@ -363,80 +642,224 @@
                 importacionesTWh: 0, exportacionesTWh: 0,
                 demandaFlexTWh: 0, demandaReducidaTWh: 0,
                 horasImportacion: 0, horasExportacion: 0, horasFlex: 0,
+                descargaBateriasTWh: 0, descargaBombeoTWh: 0, energiaNoSuministradaTWh: 0,
                 demandaAjustadaTWh: demandaAnualTWh,
                 nuclearEfectivaGW: nuclearGW,
+                perfilesReales: Object.keys(perfiles).filter(k => perfiles[k]),
+                modeloPrecio: p.modeloPrecio,
+                horasMarginal: {},
+                modeloCCGT: p.modeloCCGT,
+                modoAlmacenamiento: p.modoAlmacenamiento,
+                arranquesCCGT: 0, costeArranquesM: 0, combustibleGasTWh: null,
+                sobreproduccionTWh: 0, horasSobreproduccion: 0,
+                gasSobreLimiteTWh: 0, horasGasSobreLimite: 0,
+                inercia: {
+                    minimoGW: minimoSincronoGW, horas: 0, horasIncumplidas: 0,
+                    gasTWh: 0, costeM: 0, emisionesMt: 0,
+                },
             };
+            if (flota) R.combustibleGasTWh = 0;
+
+            // Vertido: solo se recorta la solar y eólica de la hora; devuelve
+            // lo que no cabe (sobreproducción síncrona)
+            const verter = (gen, gw) => {
+                const vre = Math.min(gw, Math.max(0, gen.solar + gen.eolica - gen.vertido));
+                gen.vertido += vre;
+                R.vertidosTWh += vre / 1000;
+                return gw - vre;
+            };
+            if (fronteras) {
+                R.zonas = Object.fromEntries(fronteras.map(f => [f.zona, {
+                    nombre: f.nombre, ntcImportacion: f.importacion, ntcExportacion: f.exportacion,
+                    importacionTWh: 0, exportacionTWh: 0, horasCongestion: 0,
+                    rentaCongestionM: 0, intercambioM: 0, precioMedio: 0,
+                }]));
+            }
+            let valorAguaSum = 0;
+            if (embalse) {
+                R.embalse = {
+                    capacidadGWh: embalse.capacidad,
+                    aportacionesTWh: embalse.aportacionAcum[n] / 1000,
+                    nivelInicialPct: llenadoEmbalse() * 100,
+                    nivelMensualPct: new Array(12).fill(0),
+                    vertidoTWh: 0,
+                };
+            }
+
+            // Ventanas de las pruebas de estrés: déficit, precios y almacenamiento
+            const niveles = () => ({
+                baterias: estadoBateria, bombeo: estadoBombeo,
+                embalse: nivelEmbalse, hidrogeno: hidrogeno ? hidrogeno.nivel : 0,
+            });
+            const registros = (this.opciones.ventanas || (evento ? [evento] : [])).map(v =>
+                new SEF.Estres.RegistroVentana(v, {
+                    baterias: p.bateriasCapacidad, bombeo: p.bombeoCapacidad,
+                    embalse: embalse ? embalse.capacidad : 0, hidrogeno: hidrogeno ? hidrogeno.capacidad : 0,
+                }, niveles()));
 
             let demandaTotalGWh = 0;
+            let eolicaMarinaGWh = 0;
             let precioPonderadoSum = 0;
 
+            const onProgreso = this.opciones.onProgreso;
+
             // ── Bucle horario ────────────────────────────────────────────
-            for (let h = 0; h < M.HORAS_ANIO; h++) {
+            for (let h = 0; h < n; h++) {
+                if (onProgreso && h % 730 === 0) onProgreso(h / n);
+
                 const dia  = Math.floor(h / 24);
                 const hora = h % 24;
-                const mes  = Math.floor(dia / 30.5) % 12;
-
-                // Demanda de esta hora
-                const demandaGW = demandaMediaGW * serieDemanda[h];
+                const mes  = cal.mesHora[h];
+                // Hora oficial (CEST en verano): usos de los vehículos
+                const horaLocal = cal.horaLocal[h];
+
+                // Episodio de estrés: nubosidad, gas y capacidad de intercambio de la hora
+                const mod = SEF.Estres.modificadores(evento, h);
+                const ccgtGW = p.ccgt * mod.gas;
+                const interconexionGW = p.interconexion * mod.interconexion;
+
+                // Irradiancia de la hora: cubiertas (estructura fija) y FV de suelo
+                const nubes = (0.65 + rngMeteo.next() * 0.35) * mod.nubes;
+                const fcCubierta = serieSolar ? serieSolar[h] : this.calcularSolar(dia, hora, nubes);
+                const fcSolar = parqueSolar ? parqueSolar.factor(dia, hora, nubes) : fcCubierta;
+
+                // Demanda de esta hora, neta del autoconsumo tras el contador
+                const demandaBrutaGW = demandaMediaGW * serieDemanda[h] +
+                    (flotaVE ? flotaVE.carga(h) : 0) +
+                    (climatizacion ? climatizacion.cargaGW[h] : 0);
+                const demandaGW = autoconsumo
+                    ? demandaBrutaGW - autoconsumo.balance(h, fcCubierta, serieDemanda[h], demandaBrutaGW)
+                    : demandaBrutaGW;
                 demandaHorariaGW[h] = demandaGW;
 
                 const gen = {
                     nuclear: 0, solar: 0, eolica: 0, hidraulica: 0,
                     gas: 0, baterias: 0, bombeo: 0,
                     vertido: 0, cargaBaterias: 0, cargaBombeo: 0,
-                    importacion: 0, exportacion: 0
+                    importacion: 0, exportacion: 0,
+                    electrolizador: 0, reconversionH2: 0, v2g: 0
                 };
 
                 const flexCapGW = Math.min(
                     p.flexibilidadGW,
                     demandaGW * (p.flexibilidadPct / 100)
                 );
+                let flexUpGW = 0, flexDownGW = 0, hidroDispGW = 0;
+                let despachoGas = null, gasInercia = 0, sobreproduccion = 0;
+                // Intercambio por zonas: flujos de la hora (+ importación, − exportación)
+                let acople = null;
+                const flujos = fronteras ? {} : null;
+                if (fronteras) {
+                    for (const f of fronteras) {
+                        f.precio = preciosZonas[f.zona][h];
+                        f.importacion = ntcBase[f.zona].importacion * mod.interconexion;
+                        f.exportacion = ntcBase[f.zona].exportacion * mod.interconexion;
+                        flujos[f.zona] = 0;
+                    }
+                }
+                // Grupos que no pueden parar: su mínimo técnico entra como base
+                const gasObligado  = flota ? flota.minimoObligado() : 0;
+                const ofertasGas   = flota && p.modeloPrecio === 'ofertas' ? flota.ofertas(ccgtGW) : null;
+
+                // Embalse: aportación de la hora, caudal ecológico y desembalse
+                // forzado cuando rebosa
+                let hidroObligado = 0, valorAgua = null;
+                if (embalse) {
+                    nivelEmbalse += embalse.aportacion[h];
+                    hidroObligado = Math.min(p.hidraulica, nivelEmbalse,
+                        Math.max(p.hidraulica * M.CAUDAL_ECOLOGICO, nivelEmbalse - embalse.capacidad));
+                    valorAgua = this._valorAgua(llenadoEmbalse(), embalse.nivelObjetivo[mes]);
+                }
+                const espacioBatIni    = p.bateriasCapacidad - estadoBateria;
+                const espacioBombeoIni = p.bombeoCapacidad - estadoBombeo;
+                const h2DisponibleIni  = hidrogeno ? hidrogeno.disponible() : 0;
+                const v2gDisponibleIni = flotaVE ? flotaVE.disponibleV2G(horaLocal) : 0;
 
                 // ── 1. NUCLEAR (base inflexible) ─────────────────────────
                 gen.nuclear = nuclearGW * M.FC_NUCLEAR;
 
                 // ── 2. SOLAR ─────────────────────────────────────────────
-                const nubes = 0.65 + rngMeteo.next() * 0.35;
-                gen.solar = p.solar * this.calcularSolar(dia, hora, nubes);
+                gen.solar = p.solar * fcSolar;
 
                 // ── 3. EÓLICA ────────────────────────────────────────────
-                gen.eolica = p.eolica * serieViento[h];
+                const eolicaMarinaGW = serieMarina ? p.eolicaMarina * serieMarina[h] : 0;
+                gen.eolica = p.eolica * serieViento[h] + eolicaMarinaGW;
+                eolicaMarinaGWh += eolicaMarinaGW;
 
                 // Generación renovable + nuclear total
                 const genBase = gen.nuclear + gen.solar + gen.eolica;
-                let excedente = genBase - demandaGW;
+                let excedente = genBase + gasObligado + hidroObligado - demandaGW;
+                // Generación síncrona asegurada (nuclear, caudal obligado y mínimos CCGT)
+                const sincronaBase = gen.nuclear + hidroObligado + gasObligado;
 
                 if (excedente > 0) {
                     // ── EXCEDENTE: cargar almacenamiento, exportar, verter ──
 
-                    // Baterías (eficiencia 90%)
-                    const espacioBat = p.bateriasCapacidad - estadoBateria;
-                    const cargaBat = Math.min(excedente, p.bateriasPotencia, espacioBat / M.EFICIENCIA_BAT);
+                    // Baterías (eficiencia 90%) y bombeo hidráulico (eficiencia 75%)
+                    const maxCargaBat = usaBat
+                        ? Math.min(p.bateriasPotencia, (p.bateriasCapacidad - estadoBateria) / p.eficienciaBaterias)
+                        : 0;
+                    const maxCargaBombeo = usaBombeo
+                        ? Math.min(p.bombeo, (p.bombeoCapacidad - estadoBombeo) / p.eficienciaBombeo)
+                        : 0;
+                    let cargaBat, cargaBombeo;
+                    if (cargaBombeoPrimero) {
+                        cargaBombeo = Math.min(excedente, maxCargaBombeo);
+                        cargaBat = Math.min(excedente - cargaBombeo, maxCargaBat);
+                    } else {
+                        cargaBat = Math.min(excedente, maxCargaBat);
+                        cargaBombeo = Math.min(excedente - cargaBat, maxCargaBombeo);
+                    }
                     gen.cargaBaterias = cargaBat;
-                    estadoBateria += cargaBat * M.EFICIENCIA_BAT;
-                    excedente -= cargaBat;
-
-                    // Bombeo hidráulico (eficiencia 75%)
-                    if (excedente > 0) {
-                        const espacioBombeo = p.bombeoCapacidad - estadoBombeo;
-                        const cargaBombeo = Math.min(excedente, p.bombeo, espacioBombeo / M.EFICIENCIA_BOMBEO);
-                        gen.cargaBombeo = cargaBombeo;
-                        estadoBombeo += cargaBombeo * M.EFICIENCIA_BOMBEO;
-                        excedente -= cargaBombeo;
-                        if (cargaBombeo > 0.3) R.horasBombeoActivo++;
+                    estadoBateria += cargaBat * p.eficienciaBaterias;
+                    gen.cargaBombeo = cargaBombeo;
+                    estadoBombeo += cargaBombeo * p.eficienciaBombeo;
+                    excedente -= cargaBat + cargaBombeo;
+                    if (cargaBombeo > 0.3) R.horasBombeoActivo++;
+
+                    // Inercia: si lo síncrono (con el bombeo en marcha) no llega al
+                    // mínimo, se acoplan CCGT; su energía desplaza a la renovable
+                    gen.gas = 0;
+                    gasInercia = Math.min(ccgtGW, Math.max(0, minimoSincronoGW - sincronaBase - gen.cargaBombeo));
+                    if (flota) {
+                        despachoGas = flota.despachar(gasObligado + gasInercia, ccgtGW);
+                        gen.gas = despachoGas.gw;
+                        gasInercia = Math.max(0, gen.gas - gasObligado);
+                    } else {
+                        gen.gas = gasInercia;
+                    }
+                    excedente += gasInercia;
+
+                    // Electrolizadores: hasta la carga con la que el precio
+                    // previsto de la hora (sin exportaciones ni gas de inercia)
+                    // no supera su umbral
+                    if (excedente > 0 && hidrogeno) {
+                        const genPrevision = { ...gen, gas: gen.gas - gasInercia, hidraulica: hidroObligado };
+                        const ctxPrevision = { importacion: 0, exportacion: 0, deficit: 0, costeCCGT: null, valorAgua };
+                        const precioCon = consumo => this.calcularPrecioCasacion(genPrevision, demandaGW,
+                            genBase / (demandaGW + consumo), ctxPrevision, gasAnterior);
+                        gen.electrolizador = hidrogeno.electrolizar(excedente, precioCon);
+                        excedente -= gen.electrolizador;
                     }
 
                     // Demanda flexible al alza (power-to-X, carga industrial)
                     if (excedente > 0 && flexCapGW > 0) {
-                        const flexUp = Math.min(excedente, flexCapGW);
-                        excedente -= flexUp;
-                        R.demandaFlexTWh += flexUp / 1000;
-                        if (flexUp > 0.2) R.horasFlex++;
+                        flexUpGW = Math.min(excedente, flexCapGW);
+                        excedente -= flexUpGW;
+                        R.demandaFlexTWh += flexUpGW / 1000;
+                        if (flexUpGW > 0.2) R.horasFlex++;
                     }
 
-                    // Exportaciones
-                    if (excedente > 0 && p.interconexion > 0) {
-                        const exp = Math.min(excedente, p.interconexion);
+                    // Exportaciones (por zonas: a los vecinos que pagan más que el vertido)
+                    if (excedente > 0 && fronteras) {
+                        acople = SEF.Interconexion.acoplar(fronteras, 'exportacion', excedente, 0);
+                        for (const f of fronteras) flujos[f.zona] = -acople.flujos[f.zona];
+                        gen.exportacion = acople.total;
+                        excedente -= acople.total;
+                        R.exportacionesTWh += acople.total / 1000;
+                        if (acople.total > 0.2) R.horasExportacion++;
+                    } else if (excedente > 0 && interconexionGW > 0) {
+                        const exp = Math.min(excedente, interconexionGW);
                         gen.exportacion = exp;
                         excedente -= exp;
                         R.exportacionesTWh += exp / 1000;
@@ -444,88 +867,312 @@
                     }
 
                     // Vertido (energía no aprovechable)
-                    gen.vertido = Math.max(0, excedente);
+                    sobreproduccion += verter(gen, Math.max(0, excedente));
                     if (gen.vertido > 0.3) R.horasVertido++;
-                    R.vertidosTWh += gen.vertido / 1000;
 
-                    gen.hidraulica = 0;
-                    gen.gas = 0;
+                    gen.hidraulica = hidroObligado;
 
                 } else {
                     // ── DÉFICIT: despachar fuentes despachables ──────────
                     let deficit = -excedente;
 
                     // 4. Hidráulica gestionable
-                    const hidroDisp = p.hidraulica * this.calcularHidro(dia, hora, rngMeteo);
-                    gen.hidraulica = Math.min(hidroDisp, deficit);
-                    deficit -= gen.hidraulica;
+                    if (embalse) {
+                        // Solo turbina la parte del residual por encima del umbral
+                        // que gasta el agua disponible en la ventana (la que
+                        // excede la curva guía al final de la ventana)
+                        hidroDispGW = Math.min(p.hidraulica, nivelEmbalse);
+                        const fin = Math.min(n, h + M.VENTANA_EMBALSE);
+                        const mesFin = cal.mesHora[fin - 1];
+                        const agua = nivelEmbalse + embalse.aportacionAcum[fin] - embalse.aportacionAcum[h + 1] -
+                            embalse.nivelObjetivo[mesFin] * embalse.capacidad;
+                        const umbral = umbralRecorte(prevision.base, h, fin, Math.max(0, agua), p.hidraulica);
+                        const extra = Math.min(hidroDispGW - hidroObligado, deficit, Math.max(0, deficit - umbral));
+                        gen.hidraulica = hidroObligado + extra;
+                        deficit -= extra;
+                    } else {
+                        hidroDispGW = p.hidraulica * this.calcularHidro(dia, hora, rngMeteo);
+                        gen.hidraulica = Math.min(hidroDispGW, deficit);
+                        deficit -= gen.hidraulica;
+                    }
 
-                    // 5. Descarga baterías
-                    if (deficit > 0 && estadoBateria > 0) {
-                        const descBat = Math.min(p.bateriasPotencia, estadoBateria, deficit);
+                    // Inercia: el hueco síncrono que deja la hidráulica se cubre
+                    // con gas antes que con almacenamiento o importaciones; si
+                    // supera el déficit, se vierte renovable
+                    gasInercia = Math.min(ccgtGW,
+                        Math.max(0, minimoSincronoGW - sincronaBase - (gen.hidraulica - hidroObligado)));
+                    if (gasInercia > deficit) sobreproduccion += verter(gen, gasInercia - deficit);
+                    deficit = Math.max(0, deficit - gasInercia);
+
+                    // Con previsión, el almacenamiento solo recorta la parte del
+                    // residual por encima del umbral que agota su energía antes
+                    // de la próxima recarga prevista (o del horizonte)
+                    let descargaObjetivo = deficit;
+                    if (almPrevisor) {
+                        const fin = Math.max(h + 1,
+                            Math.min(h + p.horizonteAlmacenamiento, prevision.siguienteExcedente[h]));
+                        const umbral = umbralRecorte(prevision.residual, h, fin,
+                            (usaBat ? estadoBateria : 0) + (usaBombeo ? estadoBombeo : 0),
+                            (usaBat ? p.bateriasPotencia : 0) + (usaBombeo ? p.bombeo : 0));
+                        descargaObjetivo = Math.max(0, deficit - umbral);
+                    }
+
+                    // 5-6. Descarga baterías y bombeo (turbinación)
+                    const maxDescBat    = usaBat ? Math.max(0, Math.min(p.bateriasPotencia, estadoBateria)) : 0;
+                    const maxDescBombeo = usaBombeo ? Math.max(0, Math.min(p.bombeo, estadoBombeo)) : 0;
+                    let descBat, descBombeo;
+                    if (descargaBombeoPrimero) {
+                        descBombeo = Math.min(descargaObjetivo, maxDescBombeo);
+                        descBat = Math.min(descargaObjetivo - descBombeo, maxDescBat);
+                    } else {
+                        descBat = Math.min(descargaObjetivo, maxDescBat);
+                        descBombeo = Math.min(descargaObjetivo - descBat, maxDescBombeo);
+                    }
+                    if (descBat > 0) {
                         gen.baterias = descBat;
                         estadoBateria -= descBat;
                         deficit -= descBat;
+                        R.descargaBateriasTWh += descBat / 1000;
                     }
-
-                    // 6. Descarga bombeo (turbinación)
-                    if (deficit > 0 && estadoBombeo > 0) {
-                        const descBombeo = Math.min(p.bombeo, estadoBombeo, deficit);
+                    if (descBombeo > 0) {
                         gen.bombeo = descBombeo;
                         estadoBombeo -= descBombeo;
                         deficit -= descBombeo;
+                        R.descargaBombeoTWh += descBombeo / 1000;
                     }
 
                     // 7. Demanda flexible a la baja (reducción temporal)
                     if (deficit > 0 && flexCapGW > 0) {
-                        const flexDown = Math.min(deficit, flexCapGW);
-                        deficit -= flexDown;
-                        R.demandaReducidaTWh += flexDown / 1000;
-                        if (flexDown > 0.2) R.horasFlex++;
+                        flexDownGW = Math.min(deficit, flexCapGW);
+                        deficit -= flexDownGW;
+                        R.demandaReducidaTWh += flexDownGW / 1000;
+                        if (flexDownGW > 0.2) R.horasFlex++;
+                    }
+
+                    // V2G: vehículos enchufados ceden energía en la punta de tarde
+                    if (deficit > 0 && flotaVE) {
+                        gen.v2g = flotaVE.descargar(deficit, horaLocal);
+                        deficit -= gen.v2g;
                     }
 
-                    // 8. Importaciones
-                    if (deficit > 0 && p.interconexion > 0) {
-                        const imp = Math.min(deficit, p.interconexion);
+                    // 8. Importaciones (por zonas: de los vecinos más baratos que el gas)
+                    if (deficit > 0 && fronteras) {
+                        acople = SEF.Interconexion.acoplar(fronteras, 'importacion', deficit, costeCCGT);
+                        for (const f of fronteras) flujos[f.zona] = acople.flujos[f.zona];
+                        gen.importacion = acople.total;
+                        deficit -= acople.total;
+                        R.importacionesTWh += acople.total / 1000;
+                        if (acople.total > 0.2) R.horasImportacion++;
+                    } else if (deficit > 0 && interconexionGW > 0) {
+                        const imp = Math.min(deficit, interconexionGW);
                         gen.importacion = imp;
                         deficit -= imp;
                         R.importacionesTWh += imp / 1000;
                         if (imp > 0.2) R.horasImportacion++;
                     }
 
+                    // Por zonas, con el gas marginal se exporta a los vecinos más caros
+                    const exportaGas = fronteras && !(acople && acople.acoplado);
+                    let gasExportable = 0;
+
                     // 9. Gas CCGT (última opción, con rampa)
-                    if (deficit > 0) {
-                        // Limitar rampa de subida/bajada
-                        const maxRampa = p.ccgt * M.RAMPA_CCGT + gasAnterior;
-                        gen.gas = Math.min(deficit, p.ccgt, maxRampa);
-                        deficit -= gen.gas;
+                    if (flota) {
+                        // Por grupos: el mínimo obligado y el gas por inercia ya se restaron del déficit
+                        if (exportaGas) {
+                            gasExportable = SEF.Interconexion.acoplar(fronteras, 'exportacion', Infinity, costeCCGT).total;
+                        }
+                        despachoGas = flota.despachar(deficit + gasObligado + gasInercia + gasExportable, ccgtGW);
+                        gen.gas = despachoGas.gw;
+                        let sobrante = gen.gas - gasObligado - gasInercia - deficit;
+                        deficit = Math.max(0, -sobrante);
+                        gasExportable = Math.min(gasExportable, Math.max(0, sobrante));
+                        sobrante -= gasExportable;
+                        // Mínimos técnicos por encima de lo necesario: se vierte renovable
+                        if (sobrante > 0) sobreproduccion += verter(gen, sobrante);
+                        if (gen.gas > 0.3) R.horasGas++;
+                    } else if (deficit > 0 || gasInercia > 0) {
+                        // Limitar rampa de subida/bajada del gas de mercado (el
+                        // gas por inercia se acopla aparte y no la consume). La
+                        // rampa es la del parque: un corte de gas limita la
+                        // potencia, no la velocidad de los grupos con gas
+                        const maxMercado = Math.min(ccgtGW - gasInercia,
+                            p.ccgt * M.RAMPA_CCGT + gasMercadoAnterior);
+                        const despacho = Math.max(0, Math.min(deficit, maxMercado));
+                        gen.gas = gasInercia + despacho;
+                        deficit -= despacho;
+                        if (exportaGas && deficit <= 0) {
+                            gasExportable = Math.max(0, maxMercado - despacho);
+                        }
                         if (gen.gas > 0.3) R.horasGas++;
                     }
+                    // Reconversión del H₂ almacenado, último recurso propio
+                    if (hidrogeno && deficit > 1e-9) {
+                        gen.reconversionH2 = hidrogeno.reconvertir(deficit);
+                        deficit -= gen.reconversionH2;
+                    }
+
+                    // Por zonas, si el gas no basta se importa hasta el precio de escasez
+                    if (fronteras && deficit > 1e-9) {
+                        const previo = acople ? acople.total : 0;
+                        acople = SEF.Interconexion.acoplar(fronteras, 'importacion', deficit + previo, p.precioEscasez);
+                        for (const f of fronteras) flujos[f.zona] = acople.flujos[f.zona];
+                        const extra = acople.total - previo;
+                        gen.importacion = acople.total;
+                        deficit = Math.max(0, deficit - extra);
+                        R.importacionesTWh += extra / 1000;
+                    }
+                    if (exportaGas && gasExportable > 0) {
+                        const exportacion = SEF.Interconexion.acoplar(fronteras, 'exportacion', gasExportable, costeCCGT);
+                        if (exportacion.total > 0) {
+                            acople = exportacion;
+                            for (const f of fronteras) flujos[f.zona] -= exportacion.flujos[f.zona];
+                            gen.exportacion = exportacion.total;
+                            if (!flota) gen.gas += exportacion.total;
+                            R.exportacionesTWh += exportacion.total / 1000;
+                            if (exportacion.total > 0.2) R.horasExportacion++;
+                        }
+                    }
 
                     // Déficit real no cubierto
+                    if (deficit > 0) {
+                        R.energiaNoSuministradaTWh += deficit / 1000;
+                        ensHorariaGW[h] = deficit;
+                    }
                     if (deficit > 0.3) {
                         R.horasDeficit++;
                         R.maxDeficit = Math.max(R.maxDeficit, deficit);
                     }
                 }
 
+                // Restricción de inercia: horas activas, coste y emisiones del gas acoplado
+                if (gasInercia > 1e-9) {
+                    R.inercia.horas++;
+                    R.inercia.gasTWh      += gasInercia / 1000;
+                    R.inercia.costeM      += gasInercia * costeCCGT / 1000;
+                    R.inercia.emisionesMt += gasInercia *
+                        (M.FACTOR_CO2_GAS / Math.max(0.45, p.rendimientoCCGT)) / 1000;
+                }
+                if (sobreproduccion > 1e-9) {
+                    R.sobreproduccionTWh += sobreproduccion / 1000;
+                    R.horasSobreproduccion++;
+                }
+                if (minimoSincronoGW > 0 &&
+                    gen.nuclear + gen.hidraulica + gen.gas + gen.bombeo + gen.cargaBombeo +
+                    gen.reconversionH2 < minimoSincronoGW - 1e-6) {
+                    R.inercia.horasIncumplidas++;
+                }
+
                 // Autodescarga baterías
                 estadoBateria *= (1 - M.AUTODESCARGA_BAT);
 
+                // Embalse: desembalse de la hora y vertido si rebosa
+                if (embalse) {
+                    nivelEmbalse -= gen.hidraulica;
+                    if (nivelEmbalse > embalse.capacidad) {
+                        R.embalse.vertidoTWh += (nivelEmbalse - embalse.capacidad) / 1000;
+                        nivelEmbalse = embalse.capacidad;
+                    }
+                    R.embalse.nivelMensualPct[mes] = llenadoEmbalse() * 100;
+                    valorAguaSum += valorAgua;
+                }
+
                 // Acumular gas y emisiones
                 R.consumoGasTWh += gen.gas / 1000;
-                R.emisionesAnuales += gen.gas *
-                    (M.FACTOR_CO2_GAS / Math.max(0.45, p.rendimientoCCGT)) / 1000;
+                if (despachoGas) {
+                    // Rendimiento de cada grupo a su carga parcial
+                    R.emisionesAnuales    += despachoGas.emisionesMt;
+                    R.combustibleGasTWh   += despachoGas.combustibleGWh / 1000;
+                    R.arranquesCCGT       += despachoGas.arranques;
+                    R.costeArranquesM     += despachoGas.costeArranqueM;
+                } else {
+                    R.emisionesAnuales += gen.gas *
+                        (M.FACTOR_CO2_GAS / Math.max(0.45, p.rendimientoCCGT)) / 1000;
+                }
+                // Grupos que no pueden parar por encima del gas disponible (corte de gas)
+                const gasSobreLimite = despachoGas ? despachoGas.sobreLimiteGW : 0;
+                if (gasSobreLimite > 1e-9) {
+                    R.gasSobreLimiteTWh += gasSobreLimite / 1000;
+                    R.horasGasSobreLimite++;
+                }
 
                 // PRECIO MARGINAL
-                const ratioRen = demandaGW > 0 ? genBase / demandaGW : 0;
+                // El consumo de los electrolizadores cuenta como demanda
+                const ratioRen = demandaGW > 0 ? genBase / (demandaGW + gen.electrolizador) : 0;
                 const ctx = {
                     importacion: gen.importacion,
                     exportacion: gen.exportacion,
-                    deficit: Math.max(0, demandaGW - genBase - gen.hidraulica -
-                             gen.baterias - gen.bombeo - gen.gas - gen.importacion)
+                    deficit: Math.max(0, demandaGW + gen.exportacion - genBase - gen.hidraulica -
+                             gen.baterias - gen.bombeo - gen.gas - gen.importacion - gen.reconversionH2 - gen.v2g),
+                    // Coste del grupo CCGT marginal (modelo por grupos)
+                    costeCCGT: despachoGas ? despachoGas.costeMarginal : null,
+                    valorAgua,
+                    ccgtDisponible: ccgtGW,
+                    interconexionDisponible: interconexionGW,
                 };
-                const precio = this.calcularPrecioMarginal(gen, demandaGW, ratioRen, ctx, gasAnterior);
+                if (fronteras) {
+                    // Precio de los vecinos tras el intercambio y precio común si no hay congestión
+                    const tras = f => SEF.Interconexion.precioTrasFlujo(f, flujos[f.zona]);
+                    const imp = fronteras.filter(f => flujos[f.zona] > 0).map(tras);
+                    const exp = fronteras.filter(f => flujos[f.zona] < 0).map(tras);
+                    if (imp.length) ctx.precioImportacion = Math.max(...imp);
+                    if (exp.length) ctx.precioExportacion = Math.min(...exp);
+                    if (acople && acople.acoplado) ctx.precioAcoplado = acople.precio;
+                }
+                let precioCasacion;
+                if (p.modeloPrecio === 'ofertas') {
+                    const casacion = SEF.Mercado.casarHora(p, {
+                        nuclear: gen.nuclear, solar: gen.solar, eolica: gen.eolica,
+                        hidraulica: hidroDispGW,
+                        hidroObligada: hidroObligado, valorAgua,
+                        baterias: Math.min(p.bateriasPotencia, p.bateriasCapacidad - espacioBatIni),
+                        bombeo: Math.min(p.bombeo, p.bombeoCapacidad - espacioBombeoIni),
+                        flexibilidad: flexCapGW,
+                        reconversionH2: h2DisponibleIni,
+                        v2g: v2gDisponibleIni,
+                        importacion: interconexionGW,
+                        importaciones: fronteras ? SEF.Mercado.ofertasFrontera(fronteras) : null,
+                        gas: Math.min(ccgtGW, p.ccgt * M.RAMPA_CCGT + gasAnterior),
+                        unidadesGas: ofertasGas,
+                    }, {
+                        demanda: demandaGW,
+                        cargaBaterias: gen.cargaBaterias, cargaBombeo: gen.cargaBombeo,
+                        flexibilidad: flexUpGW, exportacion: gen.exportacion,
+                        electrolizador: gen.electrolizador,
+                        exportaciones: fronteras
+                            ? fronteras.filter(f => flujos[f.zona] < 0).map(f => ({
+                                precio: SEF.Interconexion.precioTrasFlujo(f, flujos[f.zona]), gw: -flujos[f.zona] }))
+                            : null,
+                    });
+                    precioCasacion = casacion.precio;
+                    R.horasMarginal[casacion.marginal] = (R.horasMarginal[casacion.marginal] || 0) + 1;
+                } else {
+                    // El gas acoplado por inercia se programa fuera del mercado
+                    // diario (restricciones técnicas) y no fija el precio
+                    const genMercado = gasInercia > 0 ? { ...gen, gas: gen.gas - gasInercia } : gen;
+                    precioCasacion = this.calcularPrecioCasacion(genMercado, demandaGW, ratioRen, ctx, gasAnterior);
+                }
+                const precio = this.ajustarPrecio(precioCasacion);
+
+                // Fronteras: energía, valor del intercambio, congestión y renta
+                if (fronteras) {
+                    for (const f of fronteras) {
+                        const Z = R.zonas[f.zona];
+                        const flujo = flujos[f.zona];
+                        const precioZona = SEF.Interconexion.precioTrasFlujo(f, flujo);
+                        Z.precioMedio += f.precio / n;
+                        if (flujo === 0) continue;
+                        if (flujo > 0) Z.importacionTWh += flujo / 1000;
+                        else           Z.exportacionTWh -= flujo / 1000;
+                        Z.intercambioM += flujo * precioZona / 1000;
+                        // Congestión: flujo en la NTC; solo entonces hay renta
+                        if (Math.abs(flujo) >= (flujo > 0 ? f.importacion : f.exportacion) - 1e-6) {
+                            Z.horasCongestion++;
+                            Z.rentaCongestionM += Math.abs(flujo * (precioCasacion - precioZona)) / 1000;
+                        }
+                    }
+                }
+
+                if (hidrogeno) hidrogeno.pagar(gen.electrolizador, precio);
 
                 if (precio < 0)   R.horasPrecioNegativo++;
                 if (precio > 150) R.horasPrecioAlto++;
@@ -534,13 +1181,21 @@
                 precioPonderadoSum += precio * demandaGW;
 
                 gasAnterior = gen.gas;
+                gasMercadoAnterior = gen.gas - gasInercia;
                 mix[h] = gen;
                 precios[h] = precio;
+
+                if (registros.length) {
+                    const estado = niveles();
+                    for (const v of registros) {
+                        v.registrar(h, gen, demandaGW, ensHorariaGW[h], precio, estado, gasSobreLimite);
+                    }
+                }
             }
 
             // ── Agregaciones ─────────────────────────────────────────────
             const precioArr = Array.from(precios);
-            R.precioMedio = precioArr.reduce((a, b) => a + b, 0) / M.HORAS_ANIO;
+            R.precioMedio = precioArr.reduce((a, b) => a + b, 0) / n;
             R.precioMedioPonderado = demandaTotalGWh > 0
                 ? precioPonderadoSum / demandaTotalGWh
                 : R.precioMedio;
@@ -552,22 +1207,118 @@
 
             const genTotal = mix.reduce((s, g) =>
                 s + g.nuclear + g.solar + g.eolica + g.hidraulica +
-                g.gas + g.baterias + g.bombeo + g.importacion, 0);
+                g.gas + g.baterias + g.bombeo + g.importacion + g.reconversionH2 + g.v2g, 0);
             const genRenovable = mix.reduce((s, g) =>
                 s + g.solar + g.eolica + g.hidraulica, 0);
             const genGas = mix.reduce((s, g) => s + g.gas, 0);
             const genVRE = mix.reduce((s, g) => s + g.solar + g.eolica, 0);
 
+            // Energía anual por tecnología (TWh), comparable con SEF.DATOS_2025
+            R.generacionTWh = {};
+            for (const k of ['nuclear', 'solar', 'eolica', 'hidraulica', 'gas']) {
+                R.generacionTWh[k] = mix.reduce((s, g) => s + g[k], 0) / 1000;
+            }
+            // Parte marina de la eólica (antes de vertidos, como el resto del mix)
+            R.eolicaMarinaTWh = eolicaMarinaGWh / 1000;
+
             R.coberturaRenovable = (genRenovable / genTotal) * 100;
+            // Con el autoconsumo (cómputo del objetivo PNIEC): su producción neta es renovable
+            const autoconsumoGWh = autoconsumo ? autoconsumo.netoHorario.reduce((s, x) => s + x, 0) : 0;
+            R.coberturaRenovableTotal = ((genRenovable + autoconsumoGWh) / (genTotal + autoconsumoGWh)) * 100;
             R.dependenciaGas     = (genGas / genTotal) * 100;
             R.vertidosPct        = genVRE > 0 ? (R.vertidosTWh * 1000 / genVRE) * 100 : 0;
 
+            // Intercambio por zonas: factura neta de importaciones (SEF.Economia)
+            if (fronteras) R.intercambiosM = Object.values(R.zonas).reduce((s, Z) => s + Z.intercambioM, 0);
+
+            // Vehículo eléctrico: recarga (incluida en la demanda) y V2G
+            R.vehiculos = flotaVE ? flotaVE.resumen() : null;
+            R.demandaVETWh   = flotaVE ? R.vehiculos.demandaTWh : 0;
+            R.puntaCargaVEGW = flotaVE ? R.vehiculos.puntaCargaGW : 0;
+            R.v2gTWh         = flotaVE ? R.vehiculos.v2gTWh : 0;
+            R.demandaAjustadaTWh += R.demandaVETWh;
+
+            // Bombas de calor: consumo (incluido en la demanda) e impacto en la punta
+            R.climatizacion = climatizacion
+                ? SEF.Climatizacion.resumen(p, climatizacion, demandaHorariaGW, temperatura)
+                : null;
+            R.demandaBombasCalorTWh = climatizacion ? R.climatizacion.demandaTWh : 0;
+            R.aumentoPuntaBombasGW  = climatizacion ? R.climatizacion.aumentoPuntaGW : 0;
+            R.demandaAjustadaTWh += R.demandaBombasCalorTWh;
+
+            // Autoconsumo: producción tras el contador y curva de pato
+            R.autoconsumo = autoconsumo ? autoconsumo.resumen(demandaHorariaGW) : null;
+            R.autoconsumoTWh           = autoconsumo ? R.autoconsumo.generacionTWh : 0;
+            R.excedentesAutoconsumoTWh = autoconsumo ? R.autoconsumo.excedentesTWh : 0;
+            R.demandaAjustadaTWh -= autoconsumoGWh / 1000;
+
+            // Costes del sistema (SEF.Economia), con la demanda ya ajustada (VE, bombas de calor y autoconsumo)
+            R.economia = SEF.Economia.calcular(p, R);
+            R.costeSistemaM       = R.economia.totalM;
+            R.costeSistemaMWh     = R.economia.costeMWh;
+            R.inversionNecesariaM = R.economia.inversionNecesariaM;
+
+            // Ingresos de mercado y precios capturados (SEF.Ingresos)
+            R.ingresos = SEF.Ingresos.calcular(mix, precios, R.economia);
+            const IG = R.ingresos.generacion;
+            const IA = R.ingresos.almacenamiento;
+            R.precioCapturaSolar  = IG.solar.precioCaptura ?? 0;
+            R.tasaCapturaSolar    = IG.solar.tasaCaptura ?? 0;
+            R.precioCapturaEolica = IG.eolica.precioCaptura ?? 0;
+            R.tasaCapturaEolica   = IG.eolica.tasaCaptura ?? 0;
+            R.margenArbitrajeM    = IA.baterias.margenM + IA.bombeo.margenM;
+
+            // Suficiencia: LOLE, EENS, LOLP y margen de capacidad firme (SEF.Suficiencia)
+            R.suficiencia = SEF.Suficiencia.calcular(p, mix, demandaHorariaGW, ensHorariaGW, nuclearGW);
+            R.lole           = R.suficiencia.lole;
+            R.eensGWh        = R.suficiencia.eensGWh;
+            R.margenFirmePct = R.suficiencia.margenFirmePct;
+            R.rampaResidualGW = R.suficiencia.rampaResidualGW;
+
+            // Restricción de inercia (gas acoplado por seguridad)
+            R.horasInercia       = R.inercia.horas;
+            R.costeInerciaM      = R.inercia.costeM;
+            R.emisionesInerciaMt = R.inercia.emisionesMt;
+
+            // Hidrógeno verde: producción, factor de carga y LCOH
+            R.hidrogeno = hidrogeno ? hidrogeno.resumen() : null;
+            R.produccionH2Kt            = hidrogeno ? R.hidrogeno.produccionKt : 0;
+            R.factorCargaElectrolizador = hidrogeno ? R.hidrogeno.factorCarga : 0;
+            R.lcoh                      = hidrogeno ? R.hidrogeno.lcoh : null;
+
+            // Parque solar por regiones: factor de carga, seguidores y recorte del inversor
+            R.parqueSolar = parqueSolar ? parqueSolar.resumen() : null;
+            R.recorteInversorTWh = parqueSolar ? R.parqueSolar.recorteTWh : 0;
+
+            // Eólica por regiones: suavizado geográfico y correlaciones
+            R.parqueEolico = parqueEolico ? SEF.ParqueEolico.resumen(p, parqueEolico) : null;
+            R.suavizadoEolicoPct = parqueEolico ? R.parqueEolico.suavizadoPct : null;
+
+            // Pruebas de estrés: indicadores de cada ventana registrada
+            R.ventanas = registros.length ? registros.map(v => v.resumen()) : null;
+
             // Resumen mensual para gráficos
             R.mensual = this._calcularResumenMensual(mix, precios, demandaHorariaGW);
 
             R.mix     = mix;
             R.precios = precioArr;
             R.demandaHoraria = demandaHorariaGW;
+            // Eje temporal: año, festivos y cambios de hora (gráficos y exportación)
+            R.calendario = SEF.Calendario.resumen(cal);
+
+            // Grupos CCGT: arranques y potencia por tipo
+            if (flota) R.flotaCCGT = flota.resumen();
+
+            if (embalse) {
+                R.embalse.valorAguaMedio = valorAguaSum / n;
+                R.embalse.nivelFinalPct = llenadoEmbalse() * 100;
+            }
+
+            // Estado final del almacenamiento (para encadenar años)
+            R.estadoFinal = { estadoBateria, estadoBombeo };
+            if (embalse) R.estadoFinal.nivelEmbalse = nivelEmbalse;
+            if (hidrogeno) R.estadoFinal.nivelH2 = hidrogeno.nivel;
+            if (autoconsumo) R.estadoFinal.estadoAutoconsumo = autoconsumo.estado;
 
             return R;
         }
@@ -584,8 +1335,8 @@
                 demanda: 0, precio: 0, horas: 0
             }));
 
-            for (let h = 0; h < M.HORAS_ANIO; h++) {
-                const mes = Math.floor(Math.floor(h / 24) / 30.5) % 12;
+            for (let h = 0; h < mix.length; h++) {
+                const mes = this.calendario.mesHora[h];
                 const g = mix[h];
                 const m = mensual[mes];
                 m.nuclear     += g.nuclear;
@@ -619,6 +1370,43 @@
 
             return mensual;
         }
+
+        // ── SERIALIZACIÓN COLUMNAR ───────────────────────────────────────
+
+        /**
+         * Convierte el mix horario (array de objetos) en columnas
+         * Float64Array, aptas para transferir entre hilos sin copia.
+         * @param {Array<Object>} mix
+         * @returns {Object} { clave: Float64Array }
+         */
+        static aColumnas(mix) {
+            const columnas = {};
+            if (!mix || !mix.length) return columnas;
+            for (const k of Object.keys(mix[0])) {
+                const col = new Float64Array(mix.length);
+                for (let h = 0; h < mix.length; h++) col[h] = mix[h][k];
+                columnas[k] = col;
+            }
+            return columnas;
+        }
+
+        /**
+         * Reconstruye el mix horario a partir de columnas.
+         * @param {Object} columnas - { clave: Float64Array }
+         * @returns {Array<Object>}
+         */
+        static desdeColumnas(columnas) {
+            const claves = Object.keys(columnas);
+            if (!claves.length) return [];
+            const n = columnas[claves[0]].length;
+            const mix = new Array(n);
+            for (let h = 0; h < n; h++) {
+                const g = {};
+                for (const k of claves) g[k] = columnas[k][h];
+                mix[h] = g;
+            }
+            return mix;
+        }
     }
 
     // Exportar al namespace global
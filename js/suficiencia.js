@@ -0,0 +1,199 @@
+/**
+ * ============================================================================
+ *  SUFICIENCIA DE SUMINISTRO (ADEQUACY)
+ * ============================================================================
+ *  Indicadores de fiabilidad a partir de la energía no suministrada horaria:
+ *    - LOLE: horas al año con corte de demanda (h/año)
+ *    - EENS: energía esperada no suministrada (GWh/año)
+ *    - LOLP: probabilidad de corte por hora del día y por mes
+ *    - Punta de demanda y punta de demanda residual (demanda − solar − eólica)
+ *    - Máxima rampa de 3 h de la demanda residual (rampa de tarde)
+ *    - Capacidad firme (potencia × coeficiente de disponibilidad en punta)
+ *      y margen sobre la punta de demanda
+ *
+ *  A diferencia de horasDeficit (déficit > 0,3 GW), LOLE cuenta cualquier
+ *  hora con energía no suministrada. Con varias semillas meteorológicas
+ *  (SEF.MonteCarlo) agregar() promedia LOLP y resume LOLE y EENS.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+
+    /** Umbral de energía no suministrada para contar la hora (GW) */
+    const UMBRAL_ENS = 0.001;
+
+    /**
+     * Coeficientes de capacidad firme: fracción de la potencia con la que se
+     * cuenta en la punta (disponibilidad, recurso y duración).
+     */
+    const FACTORES_FIRMES = {
+        nuclear:       0.90,
+        ccgt:          0.92,
+        hidraulica:    0.55,
+        solar:         0.02,   // Punta invernal al anochecer
+        eolica:        0.07,
+        eolicaMarina:  0.15,   // Más viento y más regular que en tierra
+        interconexion: 0.50,   // Los vecinos pueden estar también en punta
+        flexibilidad:  1.00,
+    };
+
+    /** Horas de la rampa de la demanda residual */
+    const HORAS_RAMPA = 3;
+
+    /** Duración (h) con la que el almacenamiento cuenta como firme al 100% */
+    const DURACION_FIRME = { baterias: 4, bombeo: 8, reconversionH2: 8 };
+
+    /** Disponibilidad del almacenamiento una vez alcanzada su duración firme */
+    const DISPONIBILIDAD_ALMACENAMIENTO = 0.95;
+
+    /**
+     * Factor firme del almacenamiento según su duración.
+     * @param {number} energiaGWh
+     * @param {number} potenciaGW
+     * @param {number} duracionFirme - h
+     * @returns {number}
+     */
+    function factorAlmacenamiento(energiaGWh, potenciaGW, duracionFirme) {
+        if (potenciaGW <= 0) return 0;
+        return DISPONIBILIDAD_ALMACENAMIENTO * Math.min(1, energiaGWh / potenciaGW / duracionFirme);
+    }
+
+    /**
+     * Capacidad firme por tecnología (GW).
+     * @param {Object} params
+     * @param {number} nuclearGW - Potencia nuclear efectiva del año
+     * @param {number} puntaGW - Punta de demanda (limita la flexibilidad)
+     * @returns {Object} { tec: GW }
+     */
+    function capacidadFirme(params, nuclearGW, puntaGW) {
+        const F = FACTORES_FIRMES;
+        const flexGW = Math.min(params.flexibilidadGW, puntaGW * params.flexibilidadPct / 100);
+        return {
+            nuclear:       nuclearGW * F.nuclear,
+            ccgt:          params.ccgt * F.ccgt,
+            hidraulica:    params.hidraulica * F.hidraulica,
+            solar:         params.solar * F.solar,
+            eolica:        params.eolica * F.eolica + params.eolicaMarina * F.eolicaMarina,
+            baterias:      params.bateriasPotencia *
+                factorAlmacenamiento(params.bateriasCapacidad, params.bateriasPotencia, DURACION_FIRME.baterias),
+            bombeo:        params.bombeo *
+                factorAlmacenamiento(params.bombeoCapacidad, params.bombeo, DURACION_FIRME.bombeo),
+            reconversionH2: params.reconversionH2GW * factorAlmacenamiento(
+                params.almacenH2GWh * SEF.HIDROGENO.EFICIENCIA_RECONVERSION, params.reconversionH2GW,
+                DURACION_FIRME.reconversionH2),
+            interconexion: SEF.Interconexion.capacidadImportacion(params) * F.interconexion,
+            flexibilidad:  flexGW * F.flexibilidad,
+        };
+    }
+
+    /**
+     * Calcula los indicadores de suficiencia de una simulación.
+     *
+     * @param {Object} params - Parámetros simulados
+     * @param {Array<Object>} mix - Objetos gen horarios
+     * @param {ArrayLike<number>} demanda - Demanda horaria (GW)
+     * @param {ArrayLike<number>} ens - Energía no suministrada horaria (GW)
+     * @param {number} nuclearGW - Potencia nuclear efectiva
+     * @returns {Object} { lole, eensGWh, lolpHora[24], lolpMes[12], puntaDemandaGW,
+     *                     horaPuntaDemanda, puntaResidualGW, horaPuntaResidual,
+     *                     rampaResidualGW, horaRampaResidual,
+     *                     firmeGW{tec}, capacidadFirmeGW, margenFirmeGW, margenFirmePct }
+     */
+    function calcular(params, mix, demanda, ens, nuclearGW) {
+        const n = mix.length;
+        const cal = SEF.Calendario.deParams(params);
+        const cortesHora = new Array(24).fill(0);
+        const cortesMes  = new Array(12).fill(0);
+        const horasMes   = new Array(12).fill(0);
+        let lole = 0, eensGWh = 0;
+        let puntaDemandaGW = 0, horaPuntaDemanda = 0;
+        let puntaResidualGW = -Infinity, horaPuntaResidual = 0;
+        let rampaResidualGW = 0, horaRampaResidual = 0;
+        const residuales = new Float64Array(n);
+
+        for (let h = 0; h < n; h++) {
+            const mes = cal.mesHora[h];
+            horasMes[mes]++;
+            if (ens[h] > UMBRAL_ENS) {
+                lole++;
+                eensGWh += ens[h];
+                cortesHora[cal.horaLocal[h]]++;
+                cortesMes[mes]++;
+            }
+            if (demanda[h] > puntaDemandaGW) {
+                puntaDemandaGW = demanda[h];
+                horaPuntaDemanda = h;
+            }
+            const residual = demanda[h] - mix[h].solar - mix[h].eolica;
+            residuales[h] = residual;
+            if (residual > puntaResidualGW) {
+                puntaResidualGW = residual;
+                horaPuntaResidual = h;
+            }
+            // Subida del residual en las últimas HORAS_RAMPA horas
+            if (h >= HORAS_RAMPA && residual - residuales[h - HORAS_RAMPA] > rampaResidualGW) {
+                rampaResidualGW = residual - residuales[h - HORAS_RAMPA];
+                horaRampaResidual = h;
+            }
+        }
+
+        const dias = n / 24;
+        const firmeGW = capacidadFirme(params, nuclearGW, puntaDemandaGW);
+        const capacidadFirmeGW = Object.values(firmeGW).reduce((s, v) => s + v, 0);
+        const margenFirmeGW = capacidadFirmeGW - puntaDemandaGW;
+
+        return {
+            lole,
+            eensGWh,
+            lolpHora: cortesHora.map(c => c / dias),
+            lolpMes:  cortesMes.map((c, m) => horasMes[m] > 0 ? c / horasMes[m] : 0),
+            puntaDemandaGW,
+            horaPuntaDemanda,
+            puntaResidualGW,
+            horaPuntaResidual,
+            rampaResidualGW,
+            horaRampaResidual,
+            firmeGW,
+            capacidadFirmeGW,
+            margenFirmeGW,
+            margenFirmePct: puntaDemandaGW > 0 ? margenFirmeGW / puntaDemandaGW * 100 : 0,
+        };
+    }
+
+    /**
+     * Agrega la suficiencia de varias semillas meteorológicas: LOLP medio
+     * (probabilidad sobre todos los años simulados) y LOLE/EENS esperados.
+     *
+     * @param {Array<Object>} lista - Resultados de calcular()
+     * @returns {Object} { semillas, lole, eensGWh, lolpHora[24], lolpMes[12],
+     *                     puntaResidualGW, aniosConCorte }
+     */
+    function agregar(lista) {
+        const k = lista.length;
+        if (!k) return null;
+        const media = f => lista.reduce((s, x) => s + f(x), 0) / k;
+        return {
+            semillas: k,
+            lole:     media(x => x.lole),
+            eensGWh:  media(x => x.eensGWh),
+            lolpHora: Array.from({ length: 24 }, (_, i) => media(x => x.lolpHora[i])),
+            lolpMes:  Array.from({ length: 12 }, (_, i) => media(x => x.lolpMes[i])),
+            puntaResidualGW: Math.max(...lista.map(x => x.puntaResidualGW)),
+            aniosConCorte: lista.filter(x => x.lole > 0).length,
+        };
+    }
+
+    // Exportar al namespace global
+    SEF.Suficiencia = {
+        UMBRAL_ENS,
+        FACTORES_FIRMES,
+        DURACION_FIRME,
+        capacidadFirme,
+        calcular,
+        agregar,
+    };
+})();
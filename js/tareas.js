@@ -0,0 +1,132 @@
+/**
+ * ============================================================================
+ *  TAREAS DE SIMULACIÓN
+ * ============================================================================
+ *  Punto único de ejecución de los distintos modos de cálculo (simulación
+ *  anual, trayectoria plurianual, conjunto Monte Carlo, barrido de
+ *  canibalización y pruebas de estrés). Lo usan tanto el
+ *  Web Worker como la ejecución de respaldo en el hilo principal, de forma
+ *  que ambos caminos producen exactamente los mismos resultados.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+
+    /**
+     * Ejecuta una tarea de forma síncrona.
+     *
+     * @param {string} modo - 'simular' | 'trayectoria' | 'conjunto' | 'barrido' | 'estres'
+     * @param {Object} params - Parámetros del escenario
+     * @param {Object} [opciones] - Opciones específicas del modo
+     * @param {Function} [onProgreso] - Recibe la fracción completada [0..1]
+     * @returns {Object} Resultado del modo
+     */
+    function ejecutar(modo, params, opciones = {}, onProgreso = null) {
+        const progreso = onProgreso || (() => {});
+
+        if (modo === 'simular') {
+            const sim = new SEF.SimuladorElectrico(params, {
+                onProgreso: progreso,
+                perfiles: opciones.perfiles,
+            });
+            return sim.simular(opciones.estadoInicial);
+        }
+
+        if (modo === 'trayectoria') {
+            const H = SEF.HORIZONTE;
+            const inicio = opciones.anioInicio ?? H.ANIO_INICIO;
+            const fin    = opciones.anioFin ?? H.ANIO_FIN;
+            const total  = fin - inicio + 1;
+            return SEF.Trayectoria.simularTrayectoria(params, {
+                ...opciones,
+                onAnio: anio => progreso((anio - inicio + 1) / total),
+            });
+        }
+
+        if (modo === 'conjunto') {
+            const semillas = opciones.semillas ||
+                SEF.MonteCarlo.rangoSemillas(opciones.semillaInicial ?? params.semilla, opciones.n ?? 20);
+            return SEF.MonteCarlo.simularConjunto(params, {
+                semillas,
+                perfiles: opciones.perfiles,
+                onSemilla: i => progreso((i + 1) / semillas.length),
+            });
+        }
+
+        if (modo === 'barrido') {
+            const valores = opciones.valores || SEF.Ingresos.valoresBarrido(opciones.tecnologia);
+            return SEF.Ingresos.barrido(params, {
+                tecnologia: opciones.tecnologia,
+                valores,
+                perfiles: opciones.perfiles,
+                onPunto: i => progreso((i + 1) / valores.length),
+            });
+        }
+
+        if (modo === 'estres') {
+            const eventos = opciones.eventos || Object.keys(SEF.EVENTOS_ESTRES);
+            return SEF.Estres.simularBateria(params, {
+                eventos,
+                perfiles: opciones.perfiles,
+                onEvento: i => progreso((i + 1) / (eventos.length + 1)),
+            });
+        }
+
+        throw new Error(`Modo de simulación desconocido: ${modo}`);
+    }
+
+    /**
+     * Prepara un resultado para enviarlo por postMessage: el mix horario
+     * y las series se convierten en Float64Array transferibles.
+     *
+     * @param {string} modo
+     * @param {Object} resultado
+     * @returns {Object} { resultado, transferibles }
+     */
+    function empaquetar(modo, resultado) {
+        if (modo !== 'simular') return { resultado, transferibles: [] };
+
+        const { mix, precios, demandaHoraria, ...resto } = resultado;
+        const columnas = SEF.SimuladorElectrico.aColumnas(mix);
+        const paquete = {
+            ...resto,
+            columnas,
+            precios: Float64Array.from(precios),
+            demandaHoraria: Float64Array.from(demandaHoraria),
+        };
+        const transferibles = [
+            ...Object.values(columnas).map(c => c.buffer),
+            paquete.precios.buffer,
+            paquete.demandaHoraria.buffer,
+        ];
+        return { resultado: paquete, transferibles };
+    }
+
+    /**
+     * Reconstruye en el hilo principal un resultado empaquetado.
+     * @param {string} modo
+     * @param {Object} paquete
+     * @returns {Object} Resultado con la misma forma que ejecutar()
+     */
+    function desempaquetar(modo, paquete) {
+        if (modo !== 'simular') return paquete;
+
+        const { columnas, ...resto } = paquete;
+        return {
+            ...resto,
+            mix: SEF.SimuladorElectrico.desdeColumnas(columnas),
+            precios: Array.from(paquete.precios),
+        };
+    }
+
+    // Exportar al namespace global
+    SEF.Tareas = {
+        ejecutar,
+        empaquetar,
+        desempaquetar,
+    };
+})();
@@ -0,0 +1,117 @@
+/**
+ * ============================================================================
+ *  SIMULACIÓN DE TRAYECTORIA PLURIANUAL (2026-2035)
+ * ============================================================================
+ *  Encadena simulaciones anuales a lo largo del horizonte de planificación.
+ *  Las capacidades evolucionan año a año desde el parque actual hasta los
+ *  valores del escenario en su año objetivo (la nuclear interpolada ya
+ *  recoge los cierres) y el almacenamiento hereda el estado de carga del
+ *  31 de diciembre del año anterior.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+    const H = SEF.HORIZONTE;
+
+    /**
+     * Parámetros que representan capacidad instalada y evolucionan
+     * linealmente entre el parque inicial y el objetivo del escenario.
+     */
+    const CLAVES_CAPACIDAD = [
+        'nuclear', 'solar', 'eolica', 'eolicaMarina', 'hidraulica', 'ccgt',
+        'bateriasPotencia', 'bateriasCapacidad', 'bombeo', 'bombeoCapacidad',
+        'interconexion', 'flexibilidadGW',
+        'electrolizadorGW', 'almacenH2GWh', 'reconversionH2GW', 'vehiculosElectricos',
+        'bombasCalorM', 'autoconsumoGW', 'bateriasAutoconsumoGWh',
+    ];
+
+    /** Indicadores anuales que se recogen como series de la trayectoria */
+    const CLAVES_SERIE = [
+        'precioMedioPonderado', 'precioMedio', 'emisionesAnuales',
+        'coberturaRenovable', 'dependenciaGas', 'horasDeficit', 'maxDeficit',
+        'vertidosTWh', 'consumoGasTWh', 'importacionesTWh', 'exportacionesTWh',
+        'demandaAjustadaTWh', 'nuclearEfectivaGW',
+        'costeSistemaM', 'costeSistemaMWh', 'inversionNecesariaM',
+        'precioCapturaSolar', 'tasaCapturaSolar', 'precioCapturaEolica', 'tasaCapturaEolica',
+        'produccionH2Kt',
+    ];
+
+    /**
+     * Construye los parámetros de un año concreto de la trayectoria.
+     * Hasta el año objetivo se interpola linealmente desde el parque inicial
+     * (SEF.PARAMS_DEFAULT); a partir de él se mantienen las capacidades.
+     * La nuclear interpolada es ya la disponible en el año, así que el plan
+     * de cierre (calcularNuclearDisponible) no se aplica de nuevo.
+     *
+     * @param {Object} params - Parámetros del escenario (valores en anioObjetivo)
+     * @param {number} anio   - Año a simular
+     * @param {Object} [base] - Parque inicial en ANIO_INICIO
+     * @returns {Object} Parámetros del año
+     */
+    function parametrosAnio(params, anio, base = SEF.PARAMS_DEFAULT) {
+        const objetivo = Math.max(H.ANIO_INICIO, params.anioObjetivo);
+        const tramo    = objetivo - H.ANIO_INICIO;
+        const avance   = tramo > 0 ? Math.min(1, (anio - H.ANIO_INICIO) / tramo) : 1;
+
+        const p = { ...params, anioObjetivo: anio };
+        for (const k of CLAVES_CAPACIDAD) {
+            p[k] = base[k] + (params[k] - base[k]) * avance;
+        }
+        p.aplicarPlanNuclear = false;
+        return p;
+    }
+
+    /**
+     * Simula año a año el horizonte completo.
+     *
+     * @param {Object} params - Parámetros del escenario
+     * @param {Object} [opts] - { anioInicio, anioFin, variarSemilla, perfiles, onAnio }
+     * @returns {Object} { anios, series, capacidades, mensual }
+     */
+    function simularTrayectoria(params, opts = {}) {
+        const inicio = opts.anioInicio ?? H.ANIO_INICIO;
+        const fin    = opts.anioFin ?? H.ANIO_FIN;
+        const escenario = { ...SEF.PARAMS_DEFAULT, ...params };
+
+        const anios       = [];
+        const series      = Object.fromEntries(CLAVES_SERIE.map(k => [k, []]));
+        const capacidades = Object.fromEntries(CLAVES_CAPACIDAD.map(k => [k, []]));
+        const mensual     = [];
+        series.emisionesAcumuladas = [];
+
+        let estado = {};
+        let emisionesAcum = 0;
+
+        for (let anio = inicio; anio <= fin; anio++) {
+            const p = parametrosAnio(escenario, anio);
+            if (opts.variarSemilla) p.semilla = escenario.semilla + (anio - inicio);
+
+            const sim = new SEF.SimuladorElectrico(p, { perfiles: opts.perfiles });
+            const R   = sim.simular(estado);
+            estado    = R.estadoFinal;
+
+            anios.push(anio);
+            for (const k of CLAVES_SERIE) series[k].push(R[k]);
+            for (const k of CLAVES_CAPACIDAD) capacidades[k].push(p[k]);
+            emisionesAcum += R.emisionesAnuales;
+            series.emisionesAcumuladas.push(emisionesAcum);
+            mensual.push(R.mensual);
+
+            if (opts.onAnio) opts.onAnio(anio, R);
+        }
+
+        return { anios, series, capacidades, mensual };
+    }
+
+    // Exportar al namespace global
+    SEF.Trayectoria = {
+        CLAVES_CAPACIDAD,
+        CLAVES_SERIE,
+        parametrosAnio,
+        simularTrayectoria,
+    };
+})();
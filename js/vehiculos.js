@@ -0,0 +1,183 @@
+/**
+ * ============================================================================
+ *  VEHÍCULO ELÉCTRICO: RECARGA Y V2G
+ * ============================================================================
+ *  Parque de vehículos eléctricos (parámetro vehiculosElectricos, millones)
+ *  cuya recarga se suma a la demanda horaria de generarSerieDemanda:
+ *    - Recarga libre (modoCargaVE = 'libre'): se enchufa al llegar a casa,
+ *      con la punta hacia las 20 h y un pico menor en el trabajo
+ *    - Recarga inteligente ('inteligente'): cada día reparte la energía
+ *      necesaria llenando los valles del residual previsto (mediodía solar
+ *      y madrugada), limitada por los vehículos enchufados en cada hora
+ *    - V2G opcional (v2gPct): una parte del parque cede energía a la red en
+ *      la punta de tarde para cubrir déficit; se recupera al día siguiente
+ *      con las pérdidas del ciclo
+ *
+ *  La electrificación genérica (electrificacionTWh) sigue repartida en la
+ *  curva de demanda: al modelar el parque conviene no contarlo dos veces.
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+(function() {
+    const V = SEF.VEHICULOS;
+
+    /** Iteraciones de la bisección del nivel de llenado de valles */
+    const ITERACIONES = 40;
+
+    /** Perfil normalizado de la recarga libre (suma 1 en el día) */
+    const PERFIL_LIBRE = (() => {
+        const pesos = Array.from({ length: 24 }, (_, h) =>
+            Math.exp(-Math.pow((h - 20) / 2, 2)) +
+            0.25 * Math.exp(-Math.pow((h - 9) / 1.5, 2)) + 0.03);
+        const suma = pesos.reduce((s, w) => s + w, 0);
+        return Object.freeze(pesos.map(w => w / suma));
+    })();
+
+    /**
+     * Parque de vehículos eléctricos con su plan de recarga diario.
+     */
+    class FlotaVehiculos {
+        /**
+         * @param {Object} params - Parámetros del escenario (vehiculosElectricos,
+         *        modoCargaVE, v2gPct; los horarios siguen la hora oficial del calendario)
+         * @param {Float64Array} [residualPrevisto] - Demanda − nuclear − solar −
+         *        eólica prevista (GW); necesario para la recarga inteligente
+         */
+        constructor(params, residualPrevisto = null) {
+            this.params = params;
+            this.calendario = SEF.Calendario.deParams(params);
+            this.residual = residualPrevisto;
+            this.inteligente = params.modoCargaVE === 'inteligente' && residualPrevisto !== null;
+            const millones = params.vehiculosElectricos;
+            const millonesV2G = millones * params.v2gPct / 100;
+            // Millones de vehículos × kWh = GWh; × kW = GW
+            this.energiaDiaria = millones * V.CONSUMO_KWH_ANIO / 365;
+            this.potenciaCarga = millones * V.POTENCIA_CARGA_KW;
+            this.potenciaV2G = millonesV2G * V.V2G.POTENCIA_KW;
+            this.energiaV2G = millonesV2G * V.V2G.ENERGIA_KWH;
+
+            this.plan = new Float64Array(24);
+            this.pendiente = 0;        // GWh cedidos por V2G que se recargan mañana
+            this.v2gRestante = 0;      // GWh de V2G aún disponibles hoy
+            this.cargaGWh = 0;
+            this.cargaHora = new Float64Array(24);
+            this.puntaCargaGW = 0;
+            this.v2gGWh = 0;
+            this.v2gHora = new Float64Array(24);
+            this.v2gPuntaGW = 0;
+            this.dias = 0;
+        }
+
+        /**
+         * Reparte la energía del día: perfil libre o llenado de valles.
+         * @param {number} inicio - Hora del año de la medianoche local
+         */
+        _planificar(inicio) {
+            const energia = this.energiaDiaria + this.pendiente / V.V2G.EFICIENCIA;
+            this.pendiente = 0;
+            this.v2gRestante = this.energiaV2G;
+            this.dias++;
+
+            if (!this.inteligente) {
+                for (let hora = 0; hora < 24; hora++) this.plan[hora] = energia * PERFIL_LIBRE[hora];
+                return;
+            }
+
+            // Nivel L tal que Σ min(enchufados, max(0, L − residual)) = energía
+            const residual = hora => this.residual[Math.min(this.residual.length - 1, inicio + hora)];
+            const limite = hora => this.potenciaCarga * V.CONECTADOS[hora];
+            const cargaCon = (nivel, hora) => Math.min(limite(hora), Math.max(0, nivel - residual(hora)));
+            let lo = Infinity, hi = -Infinity;
+            for (let hora = 0; hora < 24; hora++) {
+                lo = Math.min(lo, residual(hora));
+                hi = Math.max(hi, residual(hora) + limite(hora));
+            }
+            for (let i = 0; i < ITERACIONES; i++) {
+                const medio = (lo + hi) / 2;
+                let total = 0;
+                for (let hora = 0; hora < 24; hora++) total += cargaCon(medio, hora);
+                if (total > energia) hi = medio; else lo = medio;
+            }
+            for (let hora = 0; hora < 24; hora++) this.plan[hora] = cargaCon(hi, hora);
+        }
+
+        /**
+         * Potencia de recarga de la hora (GW); planifica el día a medianoche
+         * (hora oficial).
+         * @param {number} h - Hora del año
+         * @returns {number}
+         */
+        carga(h) {
+            const hora = this.calendario.horaLocal[h];
+            if (hora === 0) this._planificar(h);
+            const gw = this.plan[hora];
+            this.cargaGWh += gw;
+            this.cargaHora[hora] += gw;
+            this.puntaCargaGW = Math.max(this.puntaCargaGW, gw);
+            return gw;
+        }
+
+        /**
+         * Potencia V2G disponible en la hora (GW).
+         * @param {number} hora - Hora oficial del día
+         * @returns {number}
+         */
+        disponibleV2G(hora) {
+            if (hora < V.V2G.HORA_INICIO || hora > V.V2G.HORA_FIN) return 0;
+            return Math.min(this.potenciaV2G, this.v2gRestante);
+        }
+
+        /**
+         * Descarga V2G para cubrir un déficit.
+         * @param {number} deficitGW
+         * @param {number} hora - Hora oficial del día
+         * @returns {number} GW cedidos a la red
+         */
+        descargar(deficitGW, hora) {
+            const gw = Math.min(deficitGW, this.disponibleV2G(hora));
+            if (gw <= 0) return 0;
+            this.v2gRestante -= gw;
+            this.pendiente += gw;
+            this.v2gGWh += gw;
+            this.v2gHora[hora] += gw;
+            this.v2gPuntaGW = Math.max(this.v2gPuntaGW, gw);
+            return gw;
+        }
+
+        /**
+         * Resumen anual del parque.
+         * @returns {Object} { vehiculosM, modo, demandaTWh, puntaCargaGW, cargaMediaHora[24],
+         *                     cargaSolarPct, cargaPuntaPct, v2gTWh, v2gPuntaGW, v2gMediaHora[24] }
+         */
+        resumen() {
+            const dias = Math.max(1, this.dias);
+            const cuota = (desde, hasta) => {
+                let s = 0;
+                for (let hora = desde; hora <= hasta; hora++) s += this.cargaHora[hora];
+                return this.cargaGWh > 0 ? s / this.cargaGWh * 100 : 0;
+            };
+            return {
+                vehiculosM:      this.params.vehiculosElectricos,
+                modo:            this.inteligente ? 'inteligente' : 'libre',
+                demandaTWh:      this.cargaGWh / 1000,
+                puntaCargaGW:    this.puntaCargaGW,
+                cargaMediaHora:  Array.from(this.cargaHora, gw => gw / dias),
+                // Horas solares (10-17 h) y punta de tarde (18-22 h)
+                cargaSolarPct:   cuota(10, 17),
+                cargaPuntaPct:   cuota(18, 22),
+                v2gTWh:          this.v2gGWh / 1000,
+                v2gPuntaGW:      this.v2gPuntaGW,
+                v2gMediaHora:    Array.from(this.v2gHora, gw => gw / dias),
+            };
+        }
+    }
+
+    FlotaVehiculos.PERFIL_LIBRE = PERFIL_LIBRE;
+
+    // Exportar al namespace global
+    SEF.FlotaVehiculos = FlotaVehiculos;
+})();
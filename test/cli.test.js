@@ -0,0 +1,21 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { leerArgumentos } = require('../cli/simular.js');
+
+test('--semillas acepta enteros positivos', () => {
+    assert.equal(leerArgumentos(['--modo', 'conjunto', '--semillas', '50']).semillas, 50);
+    assert.equal(leerArgumentos([]).semillas, 20);
+});
+
+test('--semillas rechaza valores que no son enteros positivos', () => {
+    for (const v of ['abc', '0', '-3', '2.5', '']) {
+        assert.throws(() => leerArgumentos(['--semillas', v]), /semillas no válido/);
+    }
+});
+
+test('--formato se valida al leer los argumentos', () => {
+    assert.equal(leerArgumentos(['--formato', 'csv']).formato, 'csv');
+    assert.throws(() => leerArgumentos(['--formato', 'xml']), /Formato no válido/);
+});
@@ -0,0 +1,30 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { simular } = require('./motor');
+
+/** El coste por MWh debe usar la misma demanda servida que se reporta */
+function comprobarCosteMWh(R) {
+    const servidaTWh = R.demandaAjustadaTWh - R.energiaNoSuministradaTWh;
+    assert.ok(Math.abs(R.costeSistemaM / servidaTWh - R.costeSistemaMWh) < 1e-6,
+        `${R.costeSistemaM / servidaTWh} €/MWh frente a ${R.costeSistemaMWh} €/MWh`);
+}
+
+test('coste por MWh con la recarga del vehículo eléctrico en la demanda', () => {
+    const R = simular('PNIEC Base 2030', { vehiculosElectricos: 10 });
+    assert.ok(R.demandaVETWh > 0);
+    comprobarCosteMWh(R);
+});
+
+test('coste por MWh con el consumo de las bombas de calor en la demanda', () => {
+    const R = simular('PNIEC Base 2030', { bombasCalorM: 8 });
+    assert.ok(R.demandaBombasCalorTWh > 0);
+    comprobarCosteMWh(R);
+});
+
+test('coste por MWh con la demanda neta del autoconsumo', () => {
+    const R = simular('PNIEC Base 2030', { autoconsumoGW: 20 });
+    assert.ok(R.autoconsumoTWh > 0);
+    comprobarCosteMWh(R);
+});
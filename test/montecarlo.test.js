@@ -0,0 +1,15 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { SEF } = require('./motor');
+
+test('rangoSemillas genera n semillas consecutivas', () => {
+    assert.deepEqual(SEF.MonteCarlo.rangoSemillas(7, 3), [7, 8, 9]);
+});
+
+test('rangoSemillas rechaza n que no es un entero positivo', () => {
+    for (const n of [0, -2, 2.5, NaN, undefined, '3']) {
+        assert.throws(() => SEF.MonteCarlo.rangoSemillas(1, n), /semillas no válido/);
+    }
+});
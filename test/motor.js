@@ -0,0 +1,32 @@
+/**
+ * ============================================================================
+ *  Pruebas — carga del motor
+ * ============================================================================
+ *  Carga los scripts de js/ en el contexto global con el mismo cargador que
+ *  la CLI y ofrece atajos para simular un escenario con parámetros extra.
+ *
+ *  Ejecutar las pruebas: node --test test/*.test.js
+ *
+ *  Autor: David Antizar
+ * ============================================================================
+ */
+
+'use strict';
+
+const { cargarMotor } = require('../cli/simular.js');
+
+const SEF = cargarMotor();
+
+/** Parámetros completos de un escenario (por nombre) con sobrescrituras */
+function paramsEscenario(nombre, extra = {}) {
+    const esc = SEF.ESCENARIOS.find(e => e.nombre === nombre);
+    if (!esc) throw new Error(`Escenario no encontrado: ${nombre}`);
+    return { ...SEF.PARAMS_DEFAULT, ...esc.params, ...extra };
+}
+
+/** Simula un año del escenario y devuelve el resultado */
+function simular(nombre, extra = {}) {
+    return SEF.Tareas.ejecutar('simular', paramsEscenario(nombre, extra));
+}
+
+module.exports = { SEF, paramsEscenario, simular };
@@ -0,0 +1,16 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { SEF, paramsEscenario } = require('./motor');
+
+test('la nuclear de un año intermedio es la interpolada, sin descontar el cierre otra vez', () => {
+    const params = paramsEscenario('PNIEC Base 2030');
+    assert.equal(params.aplicarPlanNuclear, true);
+    const { series, capacidades } = SEF.Trayectoria.simularTrayectoria(params, { anioInicio: 2028, anioFin: 2028 });
+    const base = SEF.PARAMS_DEFAULT.nuclear;
+    const esperada = base + (params.nuclear - base) * (2028 - 2026) / (params.anioObjetivo - 2026);
+    assert.ok(Math.abs(capacidades.nuclear[0] - esperada) < 1e-9);
+    assert.ok(Math.abs(series.nuclearEfectivaGW[0] - esperada) < 1e-9,
+        `${series.nuclearEfectivaGW[0]} GW frente a ${esperada} GW`);
+});